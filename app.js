@@ -14,16 +14,67 @@ const CONFIG = {
     OSM: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
 
     // NASA GIBS WMTS config
+    // GIBS_TM is the fallback tile matrix set; layers known to GibsCatalog use their own
     GIBS_TM: 'GoogleMapsCompatible_Level9',
-    GIBS_URL: (layer, dateISO, ext) =>
-        `https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/${layer}/default/${dateISO}/${CONFIG.GIBS_TM}/{z}/{y}/{x}.${ext}`,
+    GIBS_URL: (layer, dateISO, ext, tms = CONFIG.GIBS_TM) =>
+        `https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/${layer}/default/${dateISO}/${tms}/{z}/{y}/{x}.${ext}`,
+    GIBS_WMTS_CAPS: 'https://gibs.earthdata.nasa.gov/wmts/epsg3857/best/1.0.0/WMTSCapabilities.xml',
+    GIBS_COLORMAP_URL: (layer) => `https://gibs.earthdata.nasa.gov/colormaps/v1.3/${layer}.xml`,
+    GIBS_CATALOG_TTL: 864e5, // parsed capabilities are reused for a day
 
     // MODIS RST API
     RST: 'https://modis.ornl.gov/rst/api/v1',
 
-    // OpenAI API config (using provided de-obfuscation)
-    OPENAI_BASE: 'https://api.openai.com/v1',
-    OPENAI_MODEL: 'gpt-4o-mini'
+    // Forward geocoding (search box). URL is a Nominatim-compatible /search endpoint,
+    // or a local gazetteer file (.json / .geojson) for offline use:
+    //   [{ "name": "Tokyo", "lat": 35.68, "lng": 139.69 }, ...] or a FeatureCollection of Points
+    GEOCODER: {
+        URL: 'https://nominatim.openstreetmap.org/search',
+        LIMIT: 6,
+        MIN_CHARS: 3,
+        DEBOUNCE_MS: 500
+    },
+
+    // AI backend (no secrets ship with the page). Defaults can be changed in the AI panel.
+    // - openai: any chat-completions compatible endpoint, e.g. the local proxy (server/ai-proxy.js)
+    //           or api.openai.com with a key kept in sessionStorage only
+    // - ollama: local Ollama-style /api/chat
+    // - mock:   canned offline answers (demos, tests)
+    AI: {
+        PROVIDER: 'openai',
+        BASE_URL: 'http://localhost:8787/v1',
+        MODEL: 'gpt-4o-mini',
+        OLLAMA_URL: 'http://localhost:11434',
+        OLLAMA_MODEL: 'llama3.1',
+        TEMPERATURE: 0.4
+    },
+
+    // Shared request layer (see Http below)
+    // - ttl: how long a successful GET stays in the IndexedDB cache (ms, 0 = never cached)
+    // - ttlPaths: optional [regex, ttl] overrides by URL path
+    // - concurrency: max parallel requests to the host
+    // - minInterval: min spacing between request starts (ms)
+    HTTP: {
+        RETRIES: 4,
+        BACKOFF_MS: 800,
+        BACKOFF_MAX_MS: 20000,
+        DEFAULT: { ttl: 0, concurrency: 4, minInterval: 0 },
+        HOSTS: {
+            'power.larc.nasa.gov':         { ttl: 864e5, concurrency: 2 },
+            'modis.ornl.gov':              { ttl: 30 * 864e5, concurrency: 3, ttlPaths: [[/\/dates$/, 864e5]] },
+            'api.inaturalist.org':         { ttl: 864e5, concurrency: 1, minInterval: 1000 },
+            'nominatim.openstreetmap.org': { ttl: 30 * 864e5, concurrency: 1, minInterval: 1000 },
+            'gibs.earthdata.nasa.gov':     { ttl: 864e5, concurrency: 4 },
+            'api.openai.com':              { ttl: 0, concurrency: 2 }
+        }
+    },
+
+    // Record/replay of API responses (see Fixtures). Overridden by ?fixtures=record|replay
+    // BUNDLE_URL: optional bundle to load on start in replay mode (also ?bundle=path)
+    FIXTURES: {
+        MODE: 'off', // 'off' | 'record' | 'replay'
+        BUNDLE_URL: null
+    }
 };
 
 /* =========================================================
@@ -34,6 +85,7 @@ const AppState = {
     map: null,        // Map A
     mapB: null,       // Map B (compare mode)
     syncing: false,   // View synchronization flag
+    compareMode: 'side', // 'side' | 'swipe' | 'lens' (see CompareMode)
 
     // Markers
     currentMarker: null,   // Marker on map A
@@ -50,7 +102,7 @@ const AppState = {
     // Heatmaps (exactly one per map)
     heatLayerA: null,
     heatLayerB: null,
-    heatTypeA: 'off', // 'off' | 'ndvi' | 'evi' | 't2m' | 'precip'
+    heatTypeA: 'off', // 'off' | 'ndvi' | 'evi' | 't2m' | 'precip' (+ '_anom' variants)
     heatTypeB: 'off',
 
     // Photos/iNat
@@ -113,8 +165,672 @@ const Utils = {
         return n;
     },
 
-    fmt: (v, digits = 4) => (v == null || isNaN(v) ? '—' : (+v).toFixed(digits))
+    fmt: (v, digits = 4) => (v == null || isNaN(v) ? '—' : (+v).toFixed(digits)),
+
+    // Run async task factories with bounded concurrency; results keep task order
+    pool: async (tasks, limit = 4) => {
+        const ret = new Array(tasks.length);
+        let i = 0;
+        const workers = new Array(Math.min(limit, tasks.length)).fill(0).map(async () => {
+            while (i < tasks.length) {
+                const idx = i++;
+                ret[idx] = await tasks[idx]();
+            }
+        });
+        await Promise.all(workers);
+        return ret;
+    },
+
+    sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/* =========================================================
+ * Store: tiny IndexedDB key/value wrapper (one object store per use)
+ * =======================================================*/
+const Store = {
+    DB_NAME: 'floracast',
+    DB_VERSION: 5,
+    STORES: ['http', 'fixtures', 'reports', 'sites', 'catalog'],
+    _db: null,
+
+    open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                if (!window.indexedDB) return reject(new Error('IndexedDB unavailable'));
+                const req = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    for (const name of this.STORES) {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+            // Allow a later retry if opening failed (private mode, quota, ...)
+            this._db.catch(() => { this._db = null; });
+        }
+        return this._db;
+    },
+
+    async _tx(store, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(store, mode);
+            const req = fn(tx.objectStore(store));
+            tx.oncomplete = () => resolve(req?.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    get(store, key)        { return this._tx(store, 'readonly',  s => s.get(key)); },
+    put(store, key, value) { return this._tx(store, 'readwrite', s => s.put(value, key)); },
+    del(store, key)        { return this._tx(store, 'readwrite', s => s.delete(key)); },
+    clear(store)           { return this._tx(store, 'readwrite', s => s.clear()); },
+    keys(store)            { return this._tx(store, 'readonly',  s => s.getAllKeys()); },
+    all(store)             { return this._tx(store, 'readonly',  s => s.getAll()); }
+};
+
+/* =========================================================
+ * Http (NEW): shared request layer for all external APIs
+ * - persistent IndexedDB cache with per-host TTL (CONFIG.HTTP)
+ * - exponential backoff on 429/5xx and network errors
+ * - per-host concurrency limits and request spacing
+ * - identical in-flight GETs are shared
+ * Drop-in for window.fetch: returns a Response.
+ * =======================================================*/
+const Http = {
+    _active: new Map(),   // host -> running requests
+    _queues: new Map(),   // host -> waiting resolvers
+    _last: new Map(),     // host -> time slot of the last request start
+    _inflight: new Map(), // cache key -> Promise<record>
+
+    policy(u) {
+        const H = CONFIG.HTTP;
+        const pol = { ...H.DEFAULT, ...(H.HOSTS[u.hostname] || {}) };
+        for (const [re, ttl] of (pol.ttlPaths || [])) {
+            if (re.test(u.pathname)) { pol.ttl = ttl; break; }
+        }
+        return pol;
+    },
+
+    // Normalised URL (sorted query) used as cache key
+    key(url, init = {}) {
+        const u = new URL(String(url), location.href);
+        const params = Array.from(u.searchParams.entries())
+            .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)));
+        const qs = new URLSearchParams(params).toString();
+        const base = `${u.origin}${u.pathname}${qs ? '?' + qs : ''}`;
+        const method = (init.method || 'GET').toUpperCase();
+        return method === 'GET' ? base : `${method} ${base} ${typeof init.body === 'string' ? init.body : ''}`;
+    },
+
+    // fetch(url, init) — init may carry `ttl` (ms) to override the host policy, and
+    // `retry: true` to mark a non-GET request as safe to repeat (only GET/HEAD are by default)
+    async fetch(url, init = {}) {
+        const { ttl, retry, ...opts } = init;
+        const u = new URL(String(url), location.href);
+        const pol = this.policy(u);
+        if (ttl != null) pol.ttl = ttl;
+        if (retry != null) pol.retry = retry;
+
+        if (Fixtures.mode === 'replay') return Fixtures.replay(this.key(u, opts));
+
+        const method = (opts.method || 'GET').toUpperCase();
+        if (method !== 'GET' || !(pol.ttl > 0) || opts.cache === 'no-store') {
+            const resp = await this._network(u, opts, pol);
+            if (Fixtures.mode === 'record') {
+                // Not awaited: callers may be streaming the original body
+                const key = this.key(u, opts);
+                this._toRecord(u, resp.clone()).then(rec => Fixtures.capture(key, rec)).catch(() => {});
+            }
+            return resp;
+        }
+
+        // The shared job runs without any caller's signal; each caller races its own
+        // signal against it, so one caller aborting does not fail the others
+        const { signal, ...shared } = opts;
+        const key = this.key(u);
+        if (this._inflight.has(key)) return this._toResponse(await this._await(this._inflight.get(key), signal));
+
+        const job = (async () => {
+            const cached = await Store.get('http', key).catch(() => null);
+            if (cached && Date.now() - cached.ts < pol.ttl) {
+                if (Fixtures.mode === 'record') Fixtures.capture(key, cached);
+                return cached;
+            }
+            try {
+                const resp = await this._network(u, shared, pol);
+                const rec = await this._toRecord(u, resp);
+                if (resp.ok) Store.put('http', key, rec).catch(() => {});
+                if (Fixtures.mode === 'record') Fixtures.capture(key, rec);
+                return rec;
+            } catch (e) {
+                // Offline or still throttled after retries: a stale copy beats nothing
+                if (cached && e.name !== 'AbortError') {
+                    console.warn('[Http] serving stale cache for', key, e.message);
+                    return cached;
+                }
+                throw e;
+            }
+        })();
+        this._inflight.set(key, job);
+        const done = () => { if (this._inflight.get(key) === job) this._inflight.delete(key); };
+        job.then(done, done);
+        return this._toResponse(await this._await(job, signal));
+    },
+
+    // Settle with the job, or with an AbortError as soon as this caller's signal aborts
+    _await(job, signal) {
+        if (!signal) return job;
+        if (signal.aborted) return Promise.reject(new DOMException('Aborted', 'AbortError'));
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new DOMException('Aborted', 'AbortError'));
+            signal.addEventListener('abort', onAbort, { once: true });
+            job.then(resolve, reject).then(() => signal.removeEventListener('abort', onAbort));
+        });
+    },
+
+    clearCache() {
+        return Store.clear('http');
+    },
+
+    async _network(u, init, pol) {
+        const H = CONFIG.HTTP;
+        const host = u.hostname;
+        // A failed POST may still have run upstream (and been billed): never repeat it implicitly
+        const retries = (pol.retry ?? ['GET', 'HEAD'].includes((init.method || 'GET').toUpperCase())) ? H.RETRIES : 0;
+        for (let attempt = 0; ; attempt++) {
+            await this._acquire(host, pol, init.signal);
+            let resp = null, err = null;
+            try {
+                resp = await fetch(u.toString(), init);
+            } catch (e) {
+                err = e;
+            } finally {
+                this._release(host);
+            }
+            if (err && err.name === 'AbortError') throw err;
+
+            const retryable = err ? true : (resp.status === 429 || resp.status >= 500);
+            if (!retryable || attempt >= retries) {
+                if (err) throw err;
+                return resp;
+            }
+            const wait = this._backoff(attempt, resp);
+            console.warn(`[Http] ${host} ${err ? err.message : resp.status}, retry ${attempt + 1}/${retries} in ${wait}ms`);
+            await Utils.sleep(wait);
+            if (init.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        }
+    },
+
+    _backoff(attempt, resp) {
+        const H = CONFIG.HTTP;
+        const ra = resp?.headers?.get('retry-after');
+        if (ra) {
+            const secs = Number(ra);
+            const ms = Number.isFinite(secs) ? secs * 1000 : (Date.parse(ra) - Date.now());
+            if (ms > 0) return Math.min(ms, H.BACKOFF_MAX_MS);
+        }
+        const exp = H.BACKOFF_MS * Math.pow(2, attempt);
+        return Math.min(H.BACKOFF_MAX_MS, Math.round(exp * (0.75 + Math.random() * 0.5)));
+    },
+
+    // Wait for a free slot on the host; a queued request leaves the queue when its signal aborts
+    async _acquire(host, pol, signal) {
+        while ((this._active.get(host) || 0) >= pol.concurrency) {
+            if (signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+            await new Promise((resolve, reject) => {
+                const q = this._queues.get(host) || [];
+                const onAbort = () => {
+                    const i = q.indexOf(wake);
+                    if (i >= 0) q.splice(i, 1);
+                    reject(new DOMException('Aborted', 'AbortError'));
+                };
+                const wake = () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                };
+                q.push(wake);
+                this._queues.set(host, q);
+                signal?.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        this._active.set(host, (this._active.get(host) || 0) + 1);
+
+        if (pol.minInterval > 0) {
+            // Reserve the next start slot, then wait for it
+            const slot = Math.max(Date.now(), (this._last.get(host) || 0) + pol.minInterval);
+            this._last.set(host, slot);
+            if (slot > Date.now()) await Utils.sleep(slot - Date.now());
+        }
+    },
+
+    _release(host) {
+        this._active.set(host, Math.max(0, (this._active.get(host) || 1) - 1));
+        const q = this._queues.get(host);
+        if (q && q.length) q.shift()();
+    },
+
+    async _toRecord(u, resp) {
+        return {
+            url: u.toString(),
+            status: resp.status,
+            statusText: resp.statusText,
+            contentType: resp.headers.get('content-type') || '',
+            body: await resp.blob(),
+            ts: Date.now()
+        };
+    },
+
+    _toResponse(rec) {
+        return new Response(rec.body, {
+            status: rec.status,
+            statusText: rec.statusText,
+            headers: rec.contentType ? { 'Content-Type': rec.contentType } : {}
+        });
+    }
+};
+window.Http = Http;
+
+/* =========================================================
+ * Fixtures (NEW): record & replay API responses for offline use
+ * - record: every response passing through Http (and fixture tile layers)
+ *   is stored under its normalised URL; download it as a JSON bundle
+ * - replay: Http answers from the bundle only, never touching the network
+ * Mode: ?fixtures=record|replay, else CONFIG.FIXTURES.MODE.
+ * =======================================================*/
+const Fixtures = {
+    // Query params that shift with "today" (rolling windows, latest WMS time).
+    // A replay miss retries with these ignored so a bundle keeps working on later days,
+    // but only when the window reaches into the last ROLLING_DAYS ("up to now" queries).
+    // Historical windows identify the data, so those still miss with a 504.
+    VOLATILE: ['start', 'end', 'startDate', 'endDate', 'd1', 'd2', 'time'],
+    ROLLING_DAYS: 20,
+    TEXT_TYPES: /json|xml|text|javascript|event-stream|x-ndjson/i,
+
+    mode: 'off',
+    ready: Promise.resolve(),
+    _entries: new Map(), // key -> serialised record
+    _loose: new Map(),   // loose key -> key
+
+    setup() {
+        const qs = new URLSearchParams(location.search);
+        const mode = (qs.get('fixtures') || CONFIG.FIXTURES.MODE || 'off').toLowerCase();
+        this.mode = ['record', 'replay'].includes(mode) ? mode : 'off';
+        if (this.mode === 'off') return;
+
+        const bundleUrl = qs.get('bundle') || CONFIG.FIXTURES.BUNDLE_URL;
+        this.ready = (async () => {
+            try {
+                const keys = await Store.keys('fixtures');
+                const vals = await Store.all('fixtures');
+                keys.forEach((k, i) => this._index(k, vals[i]));
+            } catch (e) {
+                console.warn('[Fixtures] could not read stored fixtures:', e.message);
+            }
+            if (this.mode === 'replay' && bundleUrl) {
+                try {
+                    const resp = await fetch(bundleUrl);
+                    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                    await this.importBundle(await resp.json());
+                } catch (e) {
+                    console.warn('[Fixtures] bundle load failed:', bundleUrl, e.message);
+                }
+            }
+            console.log(`[Fixtures] ${this.mode} mode, ${this._entries.size} entries`);
+        })();
+    },
+
+    // Panel wiring (fixtures-panel)
+    init() {
+        if (this._bound) { this.updateStats(); return; }
+        this._bound = true;
+
+        const modeSel = document.getElementById('fx-mode');
+        if (modeSel) {
+            modeSel.value = this.mode;
+            modeSel.addEventListener('change', () => this.switchMode(modeSel.value));
+        }
+        document.getElementById('fx-download')?.addEventListener('click', () => this.download());
+        document.getElementById('fx-clear')?.addEventListener('click', () => this.clear());
+        document.getElementById('fx-clear-cache')?.addEventListener('click', async () => {
+            await Http.clearCache().catch(() => {});
+            this.updateStats('HTTP cache cleared.');
+        });
+        document.getElementById('fx-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                await this.importBundle(JSON.parse(await file.text()));
+                this.updateStats(`Loaded ${file.name}.`);
+            } catch (err) {
+                console.error(err);
+                alert('Could not read fixture bundle.');
+            }
+        });
+        this.updateStats();
+    },
+
+    updateStats(note = '') {
+        const el = document.getElementById('fx-stats');
+        if (el) el.textContent = `Mode: ${this.mode}, entries: ${this._entries.size}${note ? ' · ' + note : ''}`;
+    },
+
+    showBadge() {
+        const badge = document.getElementById('fixtures-badge');
+        if (!badge) return;
+        badge.textContent = this.mode === 'record' ? 'REC' : 'REPLAY';
+        badge.classList.toggle('hidden', this.mode === 'off');
+    },
+
+    switchMode(mode) {
+        const url = new URL(location.href);
+        if (mode === 'off') url.searchParams.delete('fixtures');
+        else url.searchParams.set('fixtures', mode);
+        location.href = url.toString();
+    },
+
+    async capture(key, rec) {
+        try {
+            const entry = await this._serialise(rec);
+            this._index(key, entry);
+            await Store.put('fixtures', key, entry);
+        } catch (e) {
+            console.warn('[Fixtures] capture failed', key, e.message);
+        }
+    },
+
+    async replay(key) {
+        await this.ready;
+        const exact = this._entries.get(key);
+        if (exact) return Http._toResponse(this._deserialise(exact));
+
+        const substitute = this._isRolling(key) ? this._loose.get(this._looseKey(key)) : null;
+        const entry = substitute && this._entries.get(substitute);
+        if (!entry) {
+            console.warn('[Fixtures] not in bundle:', key);
+            return new Response('', { status: 504, statusText: 'Not in fixture bundle' });
+        }
+        // Recorded for a different window: flag it so callers can tell
+        console.warn('[Fixtures] substituting', substitute, 'for', key);
+        const resp = Http._toResponse(this._deserialise(entry));
+        resp.headers.set('X-Fixture-Substitute', substitute);
+        return resp;
+    },
+
+    async download() {
+        await this.ready;
+        const bundle = { version: 1, created: new Date().toISOString(), entries: Object.fromEntries(this._entries) };
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `floracast-fixtures-${bundle.created.slice(0, 10)}.json`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    async importBundle(bundle) {
+        const entries = bundle?.entries;
+        if (!entries || typeof entries !== 'object') throw new Error('Invalid fixture bundle');
+        for (const [key, entry] of Object.entries(entries)) {
+            this._index(key, entry);
+            await Store.put('fixtures', key, entry).catch(() => {});
+        }
+    },
+
+    async clear() {
+        this._entries.clear();
+        this._loose.clear();
+        await Store.clear('fixtures').catch(() => {});
+        this.updateStats('Cleared.');
+    },
+
+    // Tile layers that load through Http so tiles are recorded/replayed too
+    tileLayer(url, options = {}) {
+        if (this.mode === 'off') return L.tileLayer(url, options);
+        // Pin the subdomain so recorded tile URLs match on replay
+        return new L.TileLayer.Fixture(url, { ...options, subdomains: 'a' });
+    },
+
+    wmsLayer(base, params = {}) {
+        if (this.mode === 'off') return L.tileLayer.wms(base, params);
+        return new L.TileLayer.WMS.Fixture(base, params);
+    },
+
+    _index(key, entry) {
+        this._entries.set(key, entry);
+        const loose = this._looseKey(key);
+        if (!this._loose.has(loose)) this._loose.set(loose, key);
+    },
+
+    _looseKey(key) {
+        return key.replace(/https?:\/\/[^\s]+/, (url) => {
+            const u = new URL(url);
+            for (const p of this.VOLATILE) u.searchParams.delete(p);
+            return u.toString();
+        });
+    },
+
+    // True when the key's date params end within ROLLING_DAYS of today
+    _isRolling(key) {
+        const m = key.match(/https?:\/\/[^\s]+/);
+        if (!m) return false;
+        const u = new URL(m[0]);
+        const times = this.VOLATILE.filter(p => u.searchParams.has(p)).map(p => this._paramTime(u.searchParams.get(p)));
+        if (!times.length || times.some(t => !Number.isFinite(t))) return false;
+        return Math.max(...times) >= Date.now() - this.ROLLING_DAYS * 86400000;
+    },
+
+    // YYYY-MM-DD[Thh:mm...], YYYYMMDD or MODIS AYYYYDDD -> epoch ms (NaN otherwise)
+    _paramTime(v) {
+        let m = /^(\d{4})-?(\d{2})-?(\d{2})(?:$|T)/.exec(v);
+        if (m) return Date.UTC(+m[1], +m[2] - 1, +m[3]);
+        m = /^A(\d{4})(\d{3})$/.exec(v);
+        if (m) return Date.UTC(+m[1], 0, +m[2]);
+        return NaN;
+    },
+
+    async _serialise(rec) {
+        const type = rec.contentType || '';
+        const isText = this.TEXT_TYPES.test(type);
+        let body = '';
+        if (isText) {
+            body = await rec.body.text();
+        } else {
+            const bytes = new Uint8Array(await rec.body.arrayBuffer());
+            let bin = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            body = btoa(bin);
+        }
+        return { url: rec.url, status: rec.status, statusText: rec.statusText, contentType: type, encoding: isText ? 'text' : 'base64', body };
+    },
+
+    _deserialise(entry) {
+        let body;
+        if (entry.encoding === 'base64') {
+            const bin = atob(entry.body || '');
+            const bytes = new Uint8Array(bin.length);
+            for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+            body = new Blob([bytes], { type: entry.contentType });
+        } else {
+            body = new Blob([entry.body || ''], { type: entry.contentType });
+        }
+        return { ...entry, body };
+    }
+};
+Fixtures.setup();
+window.Fixtures = Fixtures;
+
+// Tile loading through Http (object URLs), used by Fixtures.tileLayer/wmsLayer
+const FixtureTileMixin = {
+    createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+        Http.fetch(this.getTileUrl(coords))
+            .then(r => {
+                if (!r.ok) throw new Error(`Tile error: ${r.status}`);
+                return r.blob();
+            })
+            .then(blob => {
+                const src = URL.createObjectURL(blob);
+                tile.onload = () => { URL.revokeObjectURL(src); done(null, tile); };
+                tile.onerror = (e) => { URL.revokeObjectURL(src); done(e, tile); };
+                tile.src = src;
+            })
+            .catch(e => done(e, tile));
+        return tile;
+    }
+};
+L.TileLayer.Fixture = L.TileLayer.extend(FixtureTileMixin);
+L.TileLayer.WMS.Fixture = L.TileLayer.WMS.extend(FixtureTileMixin);
+
+/* =========================================================
+ * Power (NEW): NASA POWER point client shared by all panels
+ * - daily ranges are split into calendar-year chunks (closed years cache long)
+ * - parameter lists are split into groups and merged back
+ * - fill values (-999) become null, precipitation is clamped to >= 0
+ * Series are returned column-wise: { dates, iso, values: { PARAM: [...] } }
+ * =======================================================*/
+const Power = {
+    BASE: 'https://power.larc.nasa.gov/api/temporal',
+    COMMUNITY: 'AG',
+    MAX_PARAMS: 15,
+    // POWER revises near-real-time data for a few months; older chunks are final
+    FINAL_AFTER_DAYS: 120,
+    FINAL_TTL: 365 * 864e5,
+    NON_NEGATIVE: ['PRECTOTCORR', 'PRECTOT'],
+    SUMMED: ['PRECTOTCORR', 'PRECTOT'], // monthly aggregation: sum instead of mean
+    MONTHS: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+
+    // Date | 'YYYY-MM-DD' | 'YYYYMMDD' -> 'YYYYMMDD'
+    ymd(d) {
+        if (d instanceof Date) {
+            return `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}${String(d.getUTCDate()).padStart(2, '0')}`;
+        }
+        return String(d).replace(/-/g, '').slice(0, 8);
+    },
+
+    iso(ymd) {
+        return `${ymd.slice(0, 4)}-${ymd.slice(4, 6)}-${ymd.slice(6, 8)}`;
+    },
+
+    clean(param, v) {
+        const n = Utils.numOrNull(v);
+        if (n == null) return null;
+        return this.NON_NEGATIVE.includes(param) ? Math.max(0, n) : n;
+    },
+
+    async daily(lat, lng, start, end, params = ['T2M']) {
+        const s = this.ymd(start), e = this.ymd(end);
+        const groups = [];
+        for (let i = 0; i < params.length; i += this.MAX_PARAMS) groups.push(params.slice(i, i + this.MAX_PARAMS));
+
+        const jobs = [];
+        for (const [cs, ce] of this._yearChunks(s, e)) {
+            for (const g of groups) jobs.push(this._fetchDailyChunk(lat, lng, cs, ce, g));
+        }
+        const parts = await Promise.all(jobs);
+
+        // Merge chunks/groups by date
+        const byDate = new Map();
+        for (const part of parts) {
+            for (const [p, obj] of Object.entries(part)) {
+                for (const [d, v] of Object.entries(obj)) {
+                    if (!byDate.has(d)) byDate.set(d, {});
+                    byDate.get(d)[p] = this.clean(p, v);
+                }
+            }
+        }
+        const dates = Array.from(byDate.keys()).filter(d => d >= s && d <= e).sort();
+        const values = {};
+        for (const p of params) values[p] = dates.map(d => byDate.get(d)[p] ?? null);
+        return { dates, iso: dates.map(d => this.iso(d)), values };
+    },
+
+    // Row view of a daily series; `rename` maps POWER names to row keys
+    rows(series, rename = {}) {
+        return series.dates.map((d, i) => {
+            const row = { date: d };
+            for (const [p, arr] of Object.entries(series.values)) row[rename[p] || p] = arr[i];
+            return row;
+        });
+    },
+
+    // { YYYYMMDD: value } lookup for one parameter
+    lookup(series, param) {
+        const out = {};
+        const arr = series.values[param] || [];
+        series.dates.forEach((d, i) => { out[d] = arr[i]; });
+        return out;
+    },
+
+    // Calendar-month aggregates of daily data (sum for precip, mean otherwise)
+    async monthly(lat, lng, year, params = ['PRECTOTCORR']) {
+        const series = await this.daily(lat, lng, `${year}0101`, `${year}1231`, params);
+        const months = Array.from({ length: 12 }, (_, i) => i + 1);
+        const values = {};
+        for (const p of params) {
+            const acc = months.map(() => []);
+            series.dates.forEach((d, i) => {
+                const v = series.values[p][i];
+                if (v != null) acc[parseInt(d.slice(4, 6), 10) - 1].push(v);
+            });
+            values[p] = acc.map(list => {
+                if (!list.length) return null;
+                const sum = list.reduce((a, b) => a + b, 0);
+                return this.SUMMED.includes(p) ? sum : sum / list.length;
+            });
+        }
+        return { year, months, values };
+    },
+
+    // Long-term monthly means from the POWER climatology endpoint.
+    // Note: precipitation comes back as mm/day (multiply by days in month for totals).
+    async climatology(lat, lng, params = ['T2M', 'PRECTOTCORR']) {
+        const json = await this._get('climatology', { parameters: params.join(','), latitude: lat, longitude: lng }, this.FINAL_TTL);
+        const par = json?.properties?.parameter || {};
+        const values = {}, annual = {};
+        for (const p of params) {
+            values[p] = this.MONTHS.map(m => this.clean(p, par[p]?.[m]));
+            annual[p] = this.clean(p, par[p]?.ANN);
+        }
+        return { months: Array.from({ length: 12 }, (_, i) => i + 1), values, annual };
+    },
+
+    async _fetchDailyChunk(lat, lng, start, end, params) {
+        const finalBefore = this.ymd(new Date(Date.now() - this.FINAL_AFTER_DAYS * 864e5));
+        const ttl = end < finalBefore ? this.FINAL_TTL : undefined;
+        const json = await this._get('daily', { parameters: params.join(','), latitude: lat, longitude: lng, start, end }, ttl);
+        return json?.properties?.parameter || {};
+    },
+
+    async _get(kind, query, ttl) {
+        const url = new URL(`${this.BASE}/${kind}/point`);
+        url.search = new URLSearchParams({
+            ...query,
+            latitude: String(query.latitude),
+            longitude: String(query.longitude),
+            community: this.COMMUNITY,
+            format: 'JSON'
+        }).toString();
+        const resp = await Http.fetch(url.toString(), { ttl });
+        if (!resp.ok) throw new Error(`POWER API error: ${resp.status}`);
+        return resp.json();
+    },
+
+    _yearChunks(s, e) {
+        const out = [];
+        for (let y = parseInt(s.slice(0, 4), 10); y <= parseInt(e.slice(0, 4), 10); y++) {
+            const cs = Math.max(+s, +`${y}0101`), ce = Math.min(+e, +`${y}1231`);
+            if (cs <= ce) out.push([String(cs), String(ce)]);
+        }
+        return out;
+    }
 };
+window.Power = Power;
 
 /* =========================================================
  * Icons
@@ -233,6 +949,7 @@ const UIManager = {
             panel.classList.add('active');
             overlay.classList.add('active');
             this.initPanel(panelId);
+            Permalink.schedule();
         }
     },
 
@@ -243,6 +960,7 @@ const UIManager = {
         if (panel) panel.classList.remove('active');
         if (!AppState.menuOpen) overlay.classList.remove('active');
         AppState.currentPanel = null;
+        Permalink.schedule();
 
         // After closing a panel, maps may have changed visible area. Refresh sizes.
         MapManager.refreshMapSizes();
@@ -250,13 +968,15 @@ const UIManager = {
 
     initPanel(panelId) {
         switch (panelId) {
-            case 'layers': LayerManager.init(); break;
+            case 'layers': LayerManager.init(); TimeLapse.init(); HeatmapHelper.init(); break;
             case 'photos': PhotoManager.init(); break;
-            case 'vegetation': VegetationManager.init(); break;
+            case 'vegetation': VegetationManager.init(); AOI.init(); Neighborhood.init(); ViSeries.init(); LandPhenology.init(); break;
             case 'phenology': PhenologyManager.init(); break;
             case 'weather': WeatherManager.init(); break;
             case 'forecast':   ForecastManager.init(); break;
             case 'ai': AIManager.init(); break;
+            case 'fixtures': Fixtures.init(); break;
+            case 'sites': Sites.init(); break;
         }
         // When opening a panel, overlay appears; refresh map sizes to keep views centered.
         MapManager.refreshMapSizes();
@@ -308,7 +1028,7 @@ const Geo = {
         }).toString();
 
         try {
-            const resp = await fetch(url.toString(), {
+            const resp = await Http.fetch(url.toString(), {
                 headers: { 'Accept': 'application/json' }
             });
             if (!resp.ok) throw new Error(`Reverse geocode failed: ${resp.status}`);
@@ -318,6 +1038,129 @@ const Geo = {
             console.warn('Reverse geocoding error:', e.message);
             return null;
         }
+    },
+
+    // Forward geocoding -> [{ name, lat, lng, type, bbox: [south, north, west, east] | null }]
+    async search(query, limit = CONFIG.GEOCODER.LIMIT) {
+        const q = String(query || '').trim();
+        if (!q) return [];
+        const endpoint = CONFIG.GEOCODER.URL;
+        if (/\.(geo)?json$/i.test(new URL(endpoint, location.href).pathname)) {
+            return this._searchGazetteer(endpoint, q, limit);
+        }
+
+        const url = new URL(endpoint, location.href);
+        url.search = new URLSearchParams({
+            format: 'jsonv2',
+            q,
+            limit: String(limit),
+            'accept-language': 'en'
+        }).toString();
+        const resp = await Http.fetch(url.toString(), {
+            headers: { 'Accept': 'application/json' }
+        });
+        if (!resp.ok) throw new Error(`Geocode failed: ${resp.status}`);
+        const data = await resp.json();
+        return (Array.isArray(data) ? data : []).map(d => ({
+            name: d.display_name || d.name,
+            lat: +d.lat,
+            lng: +d.lon,
+            type: d.type || d.category || '',
+            bbox: Array.isArray(d.boundingbox) ? d.boundingbox.map(Number) : null
+        })).filter(r => Number.isFinite(r.lat) && Number.isFinite(r.lng));
+    },
+
+    // Local gazetteer: loaded once, matched by case-insensitive substring (prefix matches first)
+    async _searchGazetteer(url, q, limit) {
+        if (!this._gazetteer || this._gazetteer.url !== url) {
+            const resp = await Http.fetch(url);
+            if (!resp.ok) throw new Error(`Gazetteer load failed: ${resp.status}`);
+            const json = await resp.json();
+            const items = Array.isArray(json)
+                ? json.map(d => ({ name: d.name, lat: +d.lat, lng: +(d.lng ?? d.lon), type: d.type || '' }))
+                : (json.features || []).filter(f => f.geometry?.type === 'Point').map(f => ({
+                    name: f.properties?.name,
+                    lat: +f.geometry.coordinates[1],
+                    lng: +f.geometry.coordinates[0],
+                    type: f.properties?.type || ''
+                }));
+            this._gazetteer = { url, items: items.filter(d => d.name && Number.isFinite(d.lat) && Number.isFinite(d.lng)) };
+        }
+        const needle = q.toLowerCase();
+        return this._gazetteer.items
+            .map(d => ({ d, at: d.name.toLowerCase().indexOf(needle) }))
+            .filter(x => x.at >= 0)
+            .sort((a, b) => (a.at === 0 ? 0 : 1) - (b.at === 0 ? 0 : 1) || a.d.name.length - b.d.name.length)
+            .slice(0, limit)
+            .map(x => ({ ...x.d, bbox: null }));
+    },
+
+    /**
+     * Parse typed coordinates -> { lat, lng } or null.
+     * Accepts decimal ("35.68, 139.69", "35.68 139.69"), DMS ("35°40'48\"N 139°41'24\"E",
+     * "N 35 40 48 E 139 41 24"), hemisphere letters as prefix or suffix, and labels
+     * ("lng 139.69 lat 35.68"). Without letters or labels the order is lat/lng unless the
+     * first value cannot be a latitude, in which case lng/lat is assumed.
+     */
+    parseCoordinates(text) {
+        let s = String(text || '').trim().toUpperCase()
+            .replace(/[′’]/g, "'").replace(/[″”]|''/g, '"').replace(/º/g, '°');
+        if (!s) return null;
+
+        // Labels decide the order and are then dropped
+        const latAt = s.search(/\bLAT(ITUDE)?\b/), lngAt = s.search(/\b(LNG|LON|LONG|LONGITUDE)\b/);
+        const labelled = latAt >= 0 && lngAt >= 0;
+        s = s.replace(/\b(LATITUDE|LAT|LONGITUDE|LONG|LNG|LON)\b\s*[:=]?/g, ' ');
+        // Anything other than numbers, hemisphere letters, DMS marks and separators is a place name
+        if (/[^\d\s.,;:+\-°'"NSEW]/.test(s) || /[A-Z]{2}/.test(s)) return null;
+
+        const tokens = s.match(/[-+]?\d+(?:\.\d+)?|[NSEW]/g) || [];
+        const letters = tokens.filter(t => /[NSEW]/.test(t));
+        const nums = tokens.filter(t => !/[NSEW]/.test(t));
+
+        let groups;
+        if (letters.length === 2) {
+            groups = [];
+            if (/[NSEW]/.test(tokens[0])) {
+                // Prefix: N 35 40 48 E 139 41 24
+                tokens.forEach(t => (/[NSEW]/.test(t) ? groups.push({ hemi: t, parts: [] }) : groups[groups.length - 1]?.parts.push(t)));
+            } else {
+                // Suffix: 35 40 48 N 139 41 24 E
+                let parts = [];
+                tokens.forEach(t => {
+                    if (/[NSEW]/.test(t)) { groups.push({ hemi: t, parts }); parts = []; } else parts.push(t);
+                });
+                if (parts.length) return null;
+            }
+        } else if (letters.length === 0 && [2, 4, 6].includes(nums.length)) {
+            const half = nums.length / 2;
+            groups = [{ parts: nums.slice(0, half) }, { parts: nums.slice(half) }];
+        } else {
+            return null;
+        }
+        if (groups.length !== 2 || groups.some(g => !g.parts.length || g.parts.length > 3)) return null;
+
+        const toDec = (g) => {
+            const [d, m = 0, sec = 0] = g.parts.map(Number);
+            if (g.parts.length > 1 && (m >= 60 || sec >= 60 || m < 0 || sec < 0)) return NaN;
+            const neg = g.parts[0].startsWith('-') || g.hemi === 'S' || g.hemi === 'W';
+            return (neg ? -1 : 1) * (Math.abs(d) + m / 60 + sec / 3600);
+        };
+        const [a, b] = groups.map(toDec);
+        if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+
+        let lat = a, lng = b;
+        if (groups[0].hemi) {
+            const isLat = (h) => h === 'N' || h === 'S';
+            if (isLat(groups[0].hemi) === isLat(groups[1].hemi)) return null;
+            if (!isLat(groups[0].hemi)) [lat, lng] = [b, a];
+        } else if (labelled) {
+            if (lngAt < latAt) [lat, lng] = [b, a];
+        } else if (Math.abs(a) > 90 && Math.abs(b) <= 90) {
+            [lat, lng] = [b, a];
+        }
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+        return { lat, lng };
     }
 };
 
@@ -338,7 +1181,7 @@ const MapManager = {
             zoom: 10,
             zoomControl: true
         });
-        L.tileLayer(CONFIG.OSM, { attribution: '© OpenStreetMap contributors' }).addTo(AppState.map);
+        Fixtures.tileLayer(CONFIG.OSM, { attribution: '© OpenStreetMap contributors', crossOrigin: true }).addTo(AppState.map);
     },
 
     createMapB() {
@@ -346,8 +1189,8 @@ const MapManager = {
         // Show second pane
         document.getElementById('map-b').classList.remove('hidden');
 
-        // Mark container as dual to enforce left/right centering
-        document.getElementById('map-wrap').classList.add('dual');
+        // Mark container as dual (left/right centering) or stacked (swipe/lens) before sizing the map
+        document.getElementById('map-wrap').classList.add(AppState.compareMode === 'side' ? 'dual' : 'stacked');
 
         // Create map B with same view as A
         const view = AppState.map.getCenter();
@@ -358,7 +1201,7 @@ const MapManager = {
             zoom: zoom,
             zoomControl: false
         });
-        L.tileLayer(CONFIG.OSM, { attribution: '© OpenStreetMap contributors' }).addTo(AppState.mapB);
+        Fixtures.tileLayer(CONFIG.OSM, { attribution: '© OpenStreetMap contributors', crossOrigin: true }).addTo(AppState.mapB);
 
         // Mirror marker
         const loc = this.getCurrentLocation();
@@ -370,13 +1213,15 @@ const MapManager = {
         // Hook events
         this.attachMapEvents(AppState.mapB, 'B');
 
-        // Resize/center correction after layout change
-        this.refreshMapSizes();
+        // Layout for the compare mode (also resizes/centers both maps)
+        CompareMode.apply();
 
         // Ensure B layer UI reflects defaults
         LayerManager.updateDateSlider('B');
         LayerManager.updateLayer('B');
         LayerManager.updateHeatmap('B'); // apply current selection for Map B heatmap
+        Neighborhood.render();            // mirror the pixel neighborhood, if one is shown
+        Permalink.schedule();
     },
 
     destroyMapB() {
@@ -395,25 +1240,30 @@ const MapManager = {
             AppState.heatTypeB = 'off';
         }
 
+        // Remove B neighborhood raster
+        if (Neighborhood.layers.B) {
+            AppState.mapB.removeLayer(Neighborhood.layers.B);
+            delete Neighborhood.layers.B;
+        }
+
         // Remove B marker
         if (AppState.currentMarkerB) {
             AppState.mapB.removeLayer(AppState.currentMarkerB);
             AppState.currentMarkerB = null;
         }
 
-        // Disable sync
+        // Disable sync (live swipe/lens sync first, it re-attaches B's moveend handler)
+        CompareMode.detach();
         this.disableSync();
 
         // Destroy map
         AppState.mapB.remove();
         AppState.mapB = null;
 
-        // Hide pane and revert layout to single map
+        // Hide pane and revert layout to single map (also resizes/centers Map A)
         document.getElementById('map-b').classList.add('hidden');
-        document.getElementById('map-wrap').classList.remove('dual');
-
-        // Resize/center correction after layout change
-        this.refreshMapSizes();
+        CompareMode.apply();
+        Permalink.schedule();
     },
 
     setupCompareButtons() {
@@ -433,7 +1283,11 @@ const MapManager = {
     },
 
     attachMapEvents(map, which) {
-        map.on('click', (e) => this.setMarker(e.latlng.lat, e.latlng.lng));
+        map.on('click', (e) => {
+            if (AOI.drawing) return; // vertices, not marker moves, while drawing an AOI
+            this.setMarker(e.latlng.lat, e.latlng.lng);
+            Legends.readAt(which, e.latlng);
+        });
     },
 
     enableSync() {
@@ -487,6 +1341,8 @@ const MapManager = {
 
         UIManager.updateCurrentLocation(lat, lng);
         this.onLocationUpdate(lat, lng);
+        Permalink.schedule();
+        Sites.highlight(lat, lng);
     },
 
     ensureMarkerOnBoth(lat, lng) {
@@ -511,6 +1367,9 @@ const MapManager = {
         if (AppState.currentPanel === 'vegetation') {
             VegetationManager.updateLocation(lat, lng);
         }
+        if (AppState.currentPanel === 'ai') {
+            AIManager.updateLocation(lat, lng);
+        }
         // When photos are active, reload around the selected point
         if (AppState.inatActive) {
             PhotoManager.loadPhotosAroundPoint();
@@ -530,110 +1389,891 @@ const MapManager = {
 };
 
 /* =========================================================
- * Layer Manager (supports Map A and Map B)
+ * CompareMode (NEW): how Map B is presented while compare is on
+ * - 'side':  the original side-by-side panes (moveend sync both ways)
+ * - 'swipe': Map B stacked on Map A, revealed right of a draggable divider
+ * - 'lens':  Map B stacked on Map A, revealed in a circle under the cursor
+ * Map B keeps its layers (GIBS, heatmap, OPG/WMS) across modes; only its
+ * container is restyled and clipped, and Map A drives it live.
  * =======================================================*/
-const LayerManager = {
+const CompareMode = {
+    MODES: ['side', 'swipe', 'lens'],
+    swipeX: 0.5,    // divider position as a fraction of the map width
+    lensRadius: 140, // px
+    _lens: null,     // last cursor position { x, y } or null when outside
+
     init() {
-        this.setupControls('A');
-        this.setupControls('B'); // will attach only if B controls exist
-        this.updateDateSlider('A');
-        this.updateDateSlider('B');
-        this.updateLayer('A');
-    },
+        if (this._bound) return;
+        this._bound = true;
+        const modeSelect = document.getElementById('compare-mode');
+        const radius = document.getElementById('compare-lens-radius');
+        if (modeSelect) {
+            modeSelect.value = AppState.compareMode;
+            modeSelect.addEventListener('change', () => this.setMode(modeSelect.value));
+        }
+        if (radius) {
+            radius.value = this.lensRadius;
+            radius.addEventListener('input', () => { this.lensRadius = +radius.value; this.clip(); });
+        }
 
-    // Resolve DOM elements by map side
-    _els(side) {
-        const suf = side === 'B' ? '-b' : '';
-        return {
-            layerSelect: document.getElementById(`main-layer${suf}`),
-            yearInput: document.getElementById(`layer-year${suf}`),
-            dateSlider: document.getElementById(`layer-date${suf}`),
-            dateLabel: document.getElementById(`layer-date-label${suf}`),
-            opacitySlider: document.getElementById(`layer-opacity${suf}`),
-            heatmapSelect: document.getElementById(`heatmap-${side === 'B' ? 'b' : 'a'}`) // may be null if UI not present
-        };
+        const wrap = document.getElementById('map-wrap');
+        wrap.addEventListener('pointermove', (e) => {
+            if (AppState.compareMode !== 'lens') return;
+            const box = wrap.getBoundingClientRect();
+            this._lens = { x: e.clientX - box.left, y: e.clientY - box.top };
+            this.clip();
+        });
+        wrap.addEventListener('pointerleave', () => { this._lens = null; this.clip(); });
+        window.addEventListener('resize', () => this.clip());
+
+        const handle = document.getElementById('compare-divider');
+        handle?.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            const move = (ev) => {
+                const box = wrap.getBoundingClientRect();
+                this.swipeX = Utils.clamp((ev.clientX - box.left) / box.width, 0.02, 0.98);
+                this.clip();
+            };
+            const up = () => {
+                handle.removeEventListener('pointermove', move);
+                handle.removeEventListener('pointerup', up);
+                Permalink.schedule();
+            };
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', up);
+        });
     },
 
-    setupControls(side) {
-        const { layerSelect, yearInput, dateSlider, opacitySlider, heatmapSelect } = this._els(side);
-        if (!layerSelect && side === 'B') return; // B controls may not be present yet
-
-        if (layerSelect) layerSelect.addEventListener('change', () => this.updateLayer(side));
-        if (yearInput) yearInput.addEventListener('change', () => { this.updateDateSlider(side); this.updateLayer(side); });
-        if (dateSlider) dateSlider.addEventListener('input', () => { this.updateDateLabel(side); this.updateLayer(side); });
-        if (opacitySlider) opacitySlider.addEventListener('input', () => this.updateLayer(side));
-        if (heatmapSelect) heatmapSelect.addEventListener('change', () => this.updateHeatmap(side)); // NEW
-        // Compare buttons handled by MapManager
+    setMode(mode) {
+        if (!this.MODES.includes(mode)) return;
+        AppState.compareMode = mode;
+        const modeSelect = document.getElementById('compare-mode');
+        if (modeSelect) modeSelect.value = mode;
+        this.apply();
+        Permalink.schedule();
     },
 
-    updateDateSlider(side = 'A') {
-        const { yearInput, dateSlider } = this._els(side);
-        if (!yearInput || !dateSlider) return;
-        const year = parseInt(yearInput.value) || CONFIG.YEAR;
-        const dates = Utils.genDates(year, 1);
-        dateSlider.max = dates.length - 1;
-        if (dateSlider.value > dates.length - 1) dateSlider.value = dates.length - 1;
-        this.updateDateLabel(side);
+    // Restyle the panes for the current mode (called on mode change and when Map B is created)
+    apply() {
+        const wrap = document.getElementById('map-wrap');
+        const stacked = !!AppState.mapB && AppState.compareMode !== 'side';
+        wrap.classList.toggle('dual', !!AppState.mapB && !stacked);
+        wrap.classList.toggle('stacked', stacked);
+        wrap.dataset.compare = stacked ? AppState.compareMode : '';
+        document.getElementById('layer-lens-settings')?.classList.toggle('hidden', AppState.compareMode !== 'lens');
+
+        this.detach();
+        if (stacked) this.attach();
+        this.clip();
+        MapManager.refreshMapSizes();
     },
 
-    updateDateLabel(side = 'A') {
-        const { yearInput, dateSlider, dateLabel } = this._els(side);
-        if (!yearInput || !dateSlider || !dateLabel) return;
-        const year = parseInt(yearInput.value) || CONFIG.YEAR;
-        const dates = Utils.genDates(year, 1);
-        const index = parseInt(dateSlider.value);
-        if (dates[index]) dateLabel.textContent = dates[index];
+    // Stacked modes: Map A is the only interactive map and pushes its view to B on every frame
+    attach() {
+        const a = AppState.map, b = AppState.mapB;
+        this._onMove = () => {
+            if (AppState.syncing) return;
+            AppState.syncing = true;
+            b.setView(a.getCenter(), a.getZoom(), { animate: false });
+            AppState.syncing = false;
+        };
+        // Run B's zoom animation alongside A's instead of jumping at the end
+        this._onZoomAnim = (e) => b.setView(e.center, e.zoom, { animate: true });
+        a.on('move', this._onMove);
+        a.on('zoomanim', this._onZoomAnim);
+        // B never receives input here, so B -> A sync would only echo back
+        if (MapManager._syncB) b.off('moveend', MapManager._syncB);
+        this._onMove();
     },
 
-    updateLayer(side = 'A') {
-        const els = this._els(side);
-        const { layerSelect, yearInput, dateSlider, opacitySlider } = els;
-        if (!layerSelect || !yearInput || !dateSlider || !opacitySlider) return;
+    detach() {
+        if (!this._onMove) return;
+        AppState.map.off('move', this._onMove);
+        AppState.map.off('zoomanim', this._onZoomAnim);
+        if (AppState.mapB && MapManager._syncB) AppState.mapB.on('moveend', MapManager._syncB);
+        this._onMove = this._onZoomAnim = null;
+    },
 
-        // Remove existing overlay on the corresponding map
-        const isB = (side === 'B');
-        const map = isB ? AppState.mapB : AppState.map;
-        if (!map) return;
+    // Clip Map B's container to the divider or lens
+    clip() {
+        const paneB = document.getElementById('map-b');
+        const divider = document.getElementById('compare-divider');
+        const ring = document.getElementById('compare-lens');
+        if (!paneB) return;
+        const mode = AppState.mapB ? AppState.compareMode : 'side';
+        const width = paneB.parentElement.getBoundingClientRect().width;
+
+        paneB.style.clipPath = '';
+        divider?.classList.toggle('hidden', mode !== 'swipe');
+        ring?.classList.toggle('hidden', mode !== 'lens' || !this._lens);
+
+        if (mode === 'swipe') {
+            const x = Math.round(this.swipeX * width);
+            paneB.style.clipPath = `inset(0 0 0 ${x}px)`;
+            if (divider) divider.style.left = `${x}px`;
+        } else if (mode === 'lens') {
+            const r = this.lensRadius;
+            paneB.style.clipPath = this._lens ? `circle(${r}px at ${this._lens.x}px ${this._lens.y}px)` : 'circle(0px at 0 0)';
+            if (ring && this._lens) {
+                Object.assign(ring.style, {
+                    left: `${this._lens.x - r}px`, top: `${this._lens.y - r}px`,
+                    width: `${2 * r}px`, height: `${2 * r}px`
+                });
+            }
+        }
+    }
+};
+window.CompareMode = CompareMode;
+
+/* =========================================================
+ * GibsCatalog (NEW): GIBS layer catalog from WMTS + WMS GetCapabilities
+ * - both documents are parsed once into compact entries and kept in
+ *   IndexedDB ('catalog' store) for CONFIG.GIBS_CATALOG_TTL
+ * - entry: { id, title, formats, ext, tms, maxZoom, template, colormap, time, wmts, wms }
+ *   time: { default, periods: [{ start, end, step: 'P1D' | 'P8D' | 'P1M' | ... }] } or null
+ * - dates(id, year) lists the valid dates of a layer, used to snap the date sliders
+ * - the layer browser in the Layers panel searches it and assigns layers to Map A/B or WMS
+ * =======================================================*/
+const GibsCatalog = {
+    STORE_KEY: 'gibs-3857',
+    MAX_RESULTS: 60,
+    layers: new Map(), // id -> entry
+    loaded: false,
+    _loading: null,
+
+    load() {
+        if (!this._loading) {
+            this._loading = this._load().catch(e => {
+                this._loading = null; // allow a retry
+                throw e;
+            });
+        }
+        return this._loading;
+    },
+
+    async _load() {
+        const cached = await Store.get('catalog', this.STORE_KEY).catch(() => null);
+        let entries = cached && Date.now() - cached.ts < CONFIG.GIBS_CATALOG_TTL ? cached.entries : null;
+        if (!entries) {
+            // Raw capabilities are several MB: skip the HTTP cache and keep only the parsed catalog
+            const [wmts, wms] = await Promise.all([
+                Http.fetch(CONFIG.GIBS_WMTS_CAPS, { ttl: 0 }).then(r => (r.ok ? r.text() : Promise.reject(new Error(`WMTS capabilities: ${r.status}`)))),
+                Http.fetch(`${CONFIG.GIBS_WMS_BASE('3857')}?service=WMS&request=GetCapabilities&version=1.3.0`, { ttl: 0 })
+                    .then(r => (r.ok ? r.text() : '')).catch(() => '')
+            ]);
+            entries = this.merge(this.parseWMTS(wmts), wms ? this.parseWMS(wms) : []);
+            Store.put('catalog', this.STORE_KEY, { ts: Date.now(), entries }).catch(() => {});
+        }
+        this.layers = new Map(entries.map(e => [e.id, e]));
+        this.loaded = true;
+        return this.layers;
+    },
+
+    get(id) {
+        return this.layers.get(id) || null;
+    },
+
+    // ---- capabilities parsing ----
+    _kids(el, name) {
+        return el ? Array.from(el.children).filter(c => c.localName === name) : [];
+    },
+
+    _text(el, name) {
+        return this._kids(el, name)[0]?.textContent?.trim() || '';
+    },
+
+    parseWMTS(xmlText) {
+        const xml = new DOMParser().parseFromString(xmlText, 'text/xml');
+        if (xml.getElementsByTagName('parsererror').length) throw new Error('Invalid WMTS capabilities');
+        const contents = Array.from(xml.documentElement.children).find(c => c.localName === 'Contents');
+        return this._kids(contents, 'Layer').map(layer => {
+            const id = this._text(layer, 'Identifier');
+            const formats = this._kids(layer, 'Format').map(f => f.textContent.trim());
+            const sets = this._kids(layer, 'TileMatrixSetLink').map(l => this._text(l, 'TileMatrixSet')).filter(Boolean);
+            const level = (s) => +(/Level(\d+)/.exec(s)?.[1] || 0);
+            sets.sort((a, b) => level(b) - level(a));
+            const dim = this._kids(layer, 'Dimension').find(d => /^time$/i.test(this._text(d, 'Identifier')));
+            const resource = this._kids(layer, 'ResourceURL').find(r => r.getAttribute('resourceType') === 'tile');
+            // Colormap metadata links: prefer the v1.3 document
+            const href = (m) => m.getAttributeNS('http://www.w3.org/1999/xlink', 'href') || m.getAttribute('xlink:href') || '';
+            const role = (m) => m.getAttributeNS('http://www.w3.org/1999/xlink', 'role') || m.getAttribute('xlink:role') || '';
+            const metas = this._kids(layer, 'Metadata').filter(m => /colormap/i.test(role(m)));
+            const colormap = metas.find(m => /1\.3/.test(role(m))) || metas[0];
+            return {
+                id,
+                title: this._text(layer, 'Title') || id,
+                formats,
+                ext: this._ext(formats[0]),
+                tms: sets[0] || CONFIG.GIBS_TM,
+                maxZoom: level(sets[0] || CONFIG.GIBS_TM) || 9,
+                template: resource?.getAttribute('template') || null,
+                colormap: colormap ? href(colormap) : null,
+                time: dim ? this.parseTime(this._kids(dim, 'Value').map(v => v.textContent), this._text(dim, 'Default')) : null,
+                wmts: true,
+                wms: false
+            };
+        }).filter(e => e.id);
+    },
+
+    parseWMS(xmlText) {
+        const xml = new DOMParser().parseFromString(xmlText, 'text/xml');
+        if (xml.getElementsByTagName('parsererror').length) return [];
+        return Array.from(xml.getElementsByTagName('Layer'))
+            .filter(l => this._text(l, 'Name'))
+            .map(layer => {
+                const dim = this._kids(layer, 'Dimension').find(d => d.getAttribute('name') === 'time');
+                return {
+                    id: this._text(layer, 'Name'),
+                    title: this._text(layer, 'Title') || this._text(layer, 'Name'),
+                    time: dim ? this.parseTime((dim.textContent || '').split(','), dim.getAttribute('default')) : null
+                };
+            });
+    },
+
+    // WMTS entries win; WMS-only layers are added without tile info
+    merge(wmts, wms) {
+        const byId = new Map(wmts.map(e => [e.id, e]));
+        for (const w of wms) {
+            const e = byId.get(w.id);
+            if (e) { e.wms = true; continue; }
+            byId.set(w.id, { ...w, formats: ['image/png'], ext: 'png', tms: null, maxZoom: null, template: null, colormap: null, wmts: false, wms: true });
+        }
+        return Array.from(byId.values()).sort((a, b) => a.title.localeCompare(b.title));
+    },
+
+    _ext(format) {
+        return { 'image/jpeg': 'jpg', 'image/png': 'png', 'application/vnd.mapbox-vector-tile': 'mvt' }[format] || 'png';
+    },
+
+    // "2000-02-24/2024-05-01/P1D", "2019-01-01T00:00:00Z/2019-01-02T00:00:00Z/PT10M" or single dates
+    parseTime(values, def) {
+        const periods = [];
+        for (const raw of values) {
+            const v = (raw || '').trim();
+            if (!v) continue;
+            const [start, end, step] = v.split('/');
+            periods.push({ start: start.slice(0, 10), end: (end || start).slice(0, 10), step: step || 'P1D' });
+        }
+        if (!periods.length) return null;
+        const last = periods[periods.length - 1].end;
+        return { default: (def || '').slice(0, 10) || last, periods };
+    },
+
+    // ---- dates ----
+    periodicity(entry) {
+        const steps = new Set((entry?.time?.periods || []).map(p => p.step));
+        if (!steps.size) return 'static';
+        const [step] = steps;
+        const labels = { P1D: 'daily', P8D: '8-day', P16D: '16-day', P1M: 'monthly', P1Y: 'yearly' };
+        return steps.size > 1 ? 'mixed' : (labels[step] || (/^PT/.test(step) ? 'sub-daily' : step));
+    },
+
+    extent(entry) {
+        const p = entry?.time?.periods;
+        if (!p?.length) return null;
+        return { start: p.reduce((m, x) => (x.start < m ? x.start : m), p[0].start), end: p.reduce((m, x) => (x.end > m ? x.end : m), p[0].end) };
+    },
+
+    // Valid ISO dates of a layer within a year (null when unknown: caller falls back to every day)
+    dates(id, year) {
+        const entry = this.get(id);
+        if (!entry?.time) return null;
+        const from = `${year}-01-01`, to = `${year}-12-31`;
+        const out = new Set();
+        for (const p of entry.time.periods) {
+            if (p.end < from || p.start > to) continue;
+            const m = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?$/.exec(p.step);
+            const [y, mo, d] = m ? [+(m[1] || 0), +(m[2] || 0), +(m[3] || 0)] : [0, 0, 1]; // sub-daily -> daily
+            const cur = new Date(`${p.start}T00:00:00Z`);
+            // Jump close to the year for long daily / N-day periods
+            if (!y && !mo && d && p.start < from) {
+                cur.setUTCDate(cur.getUTCDate() + Math.floor((Date.parse(from) - cur.getTime()) / 864e5 / d) * d);
+            }
+            const next = () => {
+                if (y) cur.setUTCFullYear(cur.getUTCFullYear() + y);
+                if (mo) cur.setUTCMonth(cur.getUTCMonth() + mo);
+                if (d || (!y && !mo)) cur.setUTCDate(cur.getUTCDate() + (d || 1));
+                return cur.toISOString().slice(0, 10);
+            };
+            for (let iso = cur.toISOString().slice(0, 10); iso <= p.end && iso <= to; iso = next()) {
+                if (iso >= from) out.add(iso);
+            }
+        }
+        return Array.from(out).sort();
+    },
+
+    // ---- layer browser ----
+    initBrowser() {
+        if (this._bound) return;
+        this._bound = true;
+        const input = document.getElementById('gibs-search');
+        const list = document.getElementById('gibs-results');
+        if (!input || !list) return;
+
+        let timer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.renderResults(input.value), 200);
+        });
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-target]');
+            if (btn) this.assign(btn.dataset.id, btn.dataset.target);
+        });
+
+        this._status('Loading GIBS capabilities…');
+        this.load()
+            .then(() => {
+                this._status(`${this.layers.size} layers. Type to search by title or identifier.`);
+                LayerManager.refreshDates();
+                if (input.value) this.renderResults(input.value);
+            })
+            .catch(e => {
+                console.warn('[GibsCatalog] load failed:', e);
+                this._status('Capabilities unavailable; using the built-in layer list.');
+            });
+    },
+
+    search(query) {
+        const tokens = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (!tokens.length) return [];
+        const out = [];
+        for (const e of this.layers.values()) {
+            const hay = `${e.title} ${e.id}`.toLowerCase();
+            if (tokens.every(t => hay.includes(t))) out.push(e);
+            if (out.length >= this.MAX_RESULTS) break;
+        }
+        return out;
+    },
+
+    renderResults(query) {
+        const list = document.getElementById('gibs-results');
+        if (!list) return;
+        const results = this.search(query);
+        if (!results.length) {
+            list.innerHTML = query.trim() && this.loaded ? '<div class="gibs-empty">No matching layers.</div>' : '';
+            return;
+        }
+        const esc = (v) => String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        list.innerHTML = results.map(e => {
+            const ext = this.extent(e);
+            const when = ext ? `${ext.start} → ${ext.end} · ${this.periodicity(e)}` : 'no time dimension';
+            const btn = (target, label) => `<button class="btn" data-id="${esc(e.id)}" data-target="${target}">${label}</button>`;
+            return `
+                <div class="gibs-item">
+                    <div class="gibs-title">${esc(e.title)}</div>
+                    <div class="gibs-meta">${esc(e.id)}</div>
+                    <div class="gibs-meta">${esc(e.formats.join(', '))}${e.tms ? ` · ${esc(e.tms)}` : ''} · ${esc(when)}</div>
+                    <div class="gibs-actions">
+                        ${e.wmts ? btn('A', 'Map A') : ''}${e.wmts && AppState.mapB ? btn('B', 'Map B') : ''}
+                        ${e.wms ? btn('wms-A', 'WMS A') : ''}${e.wms && AppState.mapB ? btn('wms-B', 'WMS B') : ''}
+                    </div>
+                </div>`;
+        }).join('');
+    },
+
+    // Put a catalog layer into the Map A/B base-layer select or the WMS layer select
+    assign(id, target) {
+        const entry = this.get(id);
+        if (!entry) return;
+        const [kind, side] = target.startsWith('wms-') ? ['wms', target.slice(4)] : ['wmts', target];
+        const select = kind === 'wms'
+            ? document.getElementById(`wms-${side.toLowerCase()}-layer`)
+            : LayerManager._els(side).layerSelect;
+        if (!select) return;
+        const value = kind === 'wms' ? entry.id : `${entry.id}|${entry.ext}|1`;
+        if (![...select.options].some(o => o.value === value)) select.add(new Option(entry.title, value));
+        select.value = value;
+        if (kind === 'wms') window.Overlays?.addWMS(side);
+        else select.dispatchEvent(new Event('change'));
+    },
+
+    _status(text) {
+        const el = document.getElementById('gibs-status');
+        if (el) el.textContent = text;
+    }
+};
+window.GibsCatalog = GibsCatalog;
+
+/* =========================================================
+ * Colormaps (NEW): GIBS colormap metadata (v1.3 XML)
+ * - load(id): fetched once per layer (URL from the catalog, else the
+ *   standard colormaps path), parsed to
+ *   { title, units, type, entries: [{ rgb, min, max, label, nodata }] }
+ * - lookup(cm, rgb): reverse-map a rendered pixel colour to its entry
+ *   (exact match first, nearest colour within a tolerance for resampled tiles)
+ * =======================================================*/
+const Colormaps = {
+    MAX_DIST2: 3 * 12 * 12, // squared RGB distance accepted for a near match
+    _cache: new Map(),      // id -> Promise<colormap | null>
 
-        const targetLayerKey = isB ? 'gibsLayerB' : 'gibsLayerA';
-        const existing = AppState[targetLayerKey];
-        if (existing) {
-            map.removeLayer(existing);
-            AppState[targetLayerKey] = null;
+    url(id) {
+        return GibsCatalog.get(id)?.colormap || CONFIG.GIBS_COLORMAP_URL(id);
+    },
+
+    load(id) {
+        // The catalog says explicitly when a layer has no colormap (e.g. true colour imagery)
+        if (!id || GibsCatalog.get(id)?.colormap === null) return Promise.resolve(null);
+        if (!this._cache.has(id)) {
+            const job = Http.fetch(this.url(id))
+                .then(r => (r.ok ? r.text() : null))
+                .then(txt => (txt ? this.parse(txt) : null))
+                .catch(e => {
+                    console.warn('[Colormaps] load failed for', id, e.message);
+                    return null;
+                });
+            this._cache.set(id, job);
+        }
+        return this._cache.get(id);
+    },
+
+    parse(xmlText) {
+        const xml = new DOMParser().parseFromString(xmlText, 'text/xml');
+        if (xml.getElementsByTagName('parsererror').length) return null;
+        const maps = Array.from(xml.getElementsByTagName('ColorMap'));
+        if (!maps.length) return null;
+
+        const entries = [];
+        let units = '', title = '', type = 'continuous';
+        for (const cm of maps) {
+            const list = Array.from(cm.getElementsByTagName('ColorMapEntry')).map(e => this._entry(e));
+            // The data colormap is the one with visible entries; no-data maps only add transparent colours
+            if (list.some(e => !e.nodata)) {
+                units = units || cm.getAttribute('units') || '';
+                title = title || cm.getAttribute('title') || '';
+                type = cm.getElementsByTagName('Legend')[0]?.getAttribute('type') || type;
+            }
+            entries.push(...list);
+        }
+        return { title, units, type, entries };
+    },
+
+    _entry(el) {
+        const rgb = (el.getAttribute('rgb') || '0,0,0').split(',').map(Number);
+        const nodata = el.getAttribute('transparent') === 'true' || el.getAttribute('nodata') === 'true';
+        const [min, max] = this._interval(el.getAttribute('value'));
+        return { rgb, min, max, label: el.getAttribute('label') || '', nodata };
+    },
+
+    // "[200,200.5)", "[3]", "(-INF,0)", "[330,+INF)" -> [min, max]
+    _interval(v) {
+        if (!v) return [null, null];
+        const nums = v.replace(/[[\]()]/g, '').split(',').map(s => {
+            const t = s.trim().toUpperCase();
+            if (t === '-INF') return -Infinity;
+            if (t === 'INF' || t === '+INF') return Infinity;
+            const n = parseFloat(t);
+            return Number.isFinite(n) ? n : null;
+        });
+        return [nums[0], nums.length > 1 ? nums[1] : nums[0]];
+    },
+
+    lookup(cm, [r, g, b]) {
+        if (!cm) return null;
+        let best = null, bestD = Infinity;
+        for (const e of cm.entries) {
+            const d = (e.rgb[0] - r) ** 2 + (e.rgb[1] - g) ** 2 + (e.rgb[2] - b) ** 2;
+            if (d < bestD) { best = e; bestD = d; }
+            if (d === 0) break;
+        }
+        return bestD <= this.MAX_DIST2 ? best : null;
+    },
+
+    // Human-readable value of an entry
+    format(cm, e) {
+        if (!e) return 'Unknown colour';
+        if (e.nodata) return e.label || 'No data';
+        const units = cm.units ? ` ${cm.units}` : '';
+        if (Number.isFinite(e.min) && Number.isFinite(e.max) && e.min !== e.max) {
+            return `${Utils.fmt((e.min + e.max) / 2, 3).replace(/\.?0+$/, '')}${units} (${e.label || `${e.min}–${e.max}`})`;
+        }
+        if (Number.isFinite(e.min)) return e.label || `${e.min}${units}`;
+        return e.label || 'Out of range';
+    },
+
+    // Visible entries sampled down to at most n colour stops
+    stops(cm, n = 48) {
+        const data = cm.entries.filter(e => !e.nodata);
+        if (data.length <= n) return data;
+        return Array.from({ length: n }, (_, i) => data[Math.round((i * (data.length - 1)) / (n - 1))]);
+    },
+
+    // ---- built-in ramps for rasters rendered by the app (heatmaps) ----
+    RAMPS: {
+        vegetation:    ['#8c510a', '#d8b365', '#f6e8c3', '#c7e9c0', '#a1d99b', '#41ab5d', '#006d2c', '#00441b'],
+        temperature:   ['#313695', '#4575b4', '#74add1', '#abd9e9', '#fee090', '#fdae61', '#f46d43', '#d73027', '#a50026'],
+        precipitation: ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'],
+        // Diverging (anomalies): neutral at the centre
+        vegetationAnomaly:    ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7e9c0', '#74c476', '#238b45', '#00441b'],
+        temperatureAnomaly:   ['#2166ac', '#4393c3', '#92c5de', '#d1e5f0', '#f7f7f7', '#fddbc7', '#f4a582', '#d6604d', '#b2182b'],
+        precipitationAnomaly: ['#8c510a', '#bf812d', '#dfc27d', '#f6e8c3', '#f5f5f5', '#c7eae5', '#80cdc1', '#35978f', '#01665e']
+    },
+
+    // Colour at t in [0, 1] (clamped), linear between evenly spaced stops -> [r, g, b]
+    rampColor(name, t) {
+        const stops = this.RAMPS[name] || this.RAMPS.vegetation;
+        const x = Utils.clamp(Number.isFinite(t) ? t : 0, 0, 1) * (stops.length - 1);
+        const k = Math.min(Math.floor(x), stops.length - 2);
+        const hex = (h) => [1, 3, 5].map(i => parseInt(h.slice(i, i + 2), 16));
+        const [a, b] = [hex(stops[k]), hex(stops[k + 1])];
+        return a.map((v, i) => Math.round(v + (b[i] - v) * (x - k)));
+    },
+
+    rampCSS(name) {
+        return `linear-gradient(to right, ${(this.RAMPS[name] || this.RAMPS.vegetation).join(', ')})`;
+    }
+};
+window.Colormaps = Colormaps;
+
+/* =========================================================
+ * Legends (NEW): colormap legends + click-to-read for Map A / Map B
+ * - a bottom-right control per map lists the colormaps of the active GIBS
+ *   WMTS and WMS layers (gradient for continuous maps, swatches for classes)
+ *   plus the ramp and physical range of app-rendered rasters (heatmap, pixel neighborhood)
+ * - clicking the map samples the rendered tile pixel of each colormapped
+ *   layer and shows the reverse-mapped data value in a popup
+ * =======================================================*/
+const Legends = {
+    MAX_SWATCHES: 12,
+    _controls: {}, // side -> { map, control }
+    _sigs: {},     // side -> active layer ids last requested
+    _rendered: {}, // side -> control that holds the last render
+
+    // Colormapped candidates on a map: [{ id, kind, layer }]
+    active(side) {
+        const suf = side === 'B' ? 'B' : 'A';
+        const out = [];
+        const gibs = AppState[`gibsLayer${suf}`];
+        const { layerSelect } = LayerManager._els(side);
+        if (gibs && layerSelect) out.push({ id: layerSelect.value.split('|')[0], kind: 'GIBS', layer: gibs });
+        const wms = AppState[`wms${suf}`];
+        if (wms?.permalink?.layer) out.push({ id: wms.permalink.layer, kind: 'WMS', layer: wms });
+        return out;
+    },
+
+    _control(side) {
+        const map = side === 'B' ? AppState.mapB : AppState.map;
+        if (!map) return null;
+        const cur = this._controls[side];
+        if (cur?.map === map) return cur.control;
+        const control = L.control({ position: 'bottomright' });
+        control.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend hidden');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+            return div;
+        };
+        control.addTo(map);
+        this._controls[side] = { map, control };
+        return control;
+    },
+
+    async refresh(side = 'A') {
+        const control = this._control(side);
+        if (!control) return;
+        const layers = this.active(side);
+        // App-rendered rasters (heatmap, pixel neighborhood) carry their own legend metadata
+        const rasters = [AppState[`heatLayer${side === 'B' ? 'B' : 'A'}`], Neighborhood.layers[side]].map(l => l?.heat).filter(Boolean);
+        // Date changes (slider, time-lapse) keep the same colormaps: nothing to redraw
+        const sig = layers.map(l => `${l.kind}:${l.id}`).concat(rasters.map(r => `${r.kind}:${r.label}:${r.note}`)).join('|');
+        if (this._sigs[side] === sig && this._rendered[side] === control) return;
+        this._sigs[side] = sig;
+
+        const maps = await Promise.all(layers.map(l => Colormaps.load(l.id)));
+        if (this._sigs[side] !== sig) return; // superseded while loading
+        this._rendered[side] = control;
+        const el = control.getContainer();
+        const blocks = layers.map((l, i) => (maps[i] ? this._render(l, maps[i]) : '')).filter(Boolean);
+        blocks.push(...rasters.map(r => this._renderRaster(r)));
+        el.innerHTML = blocks.join('');
+        el.classList.toggle('hidden', !blocks.length);
+    },
+
+    _render(l, cm) {
+        const title = this._esc(GibsCatalog.get(l.id)?.title || cm.title || l.id);
+        const units = cm.units ? ` <span class="legend-units">(${this._esc(cm.units)})</span>` : '';
+        const rgb = (e) => `rgb(${e.rgb.join(',')})`;
+        const data = cm.entries.filter(e => !e.nodata);
+        let body;
+        if (cm.type === 'classification' || data.length <= this.MAX_SWATCHES) {
+            body = data.slice(0, this.MAX_SWATCHES).map(e =>
+                `<div class="legend-class"><span style="background:${rgb(e)}"></span>${this._esc(e.label || e.min)}</div>`
+            ).join('') + (data.length > this.MAX_SWATCHES ? `<div class="legend-more">+${data.length - this.MAX_SWATCHES} more</div>` : '');
+        } else {
+            const stops = Colormaps.stops(cm);
+            const lo = data.find(e => Number.isFinite(e.min))?.min;
+            const hi = [...data].reverse().find(e => Number.isFinite(e.max))?.max;
+            body = `<div class="legend-bar" style="background:linear-gradient(to right, ${stops.map(rgb).join(', ')})"></div>
+                <div class="legend-range"><span>${lo ?? ''}</span><span>${hi ?? ''}</span></div>`;
         }
+        return `<div class="legend-block"><div class="legend-title">${l.kind} · ${title}${units}</div>${body}</div>`;
+    },
+
+    // App-rendered rasters use the app's own ramps and a fixed physical range per variable
+    _renderRaster(h) {
+        const units = h.units ? ` <span class="legend-units">(${this._esc(h.units)})</span>` : '';
+        const mid = (h.min + h.max) / 2;
+        return `<div class="legend-block"><div class="legend-title">${this._esc(h.kind)} · ${this._esc(h.label)}${units}</div>
+            <div class="legend-bar" style="background:${Colormaps.rampCSS(h.ramp)}"></div>
+            <div class="legend-range"><span>≤ ${h.min}</span><span>${Utils.fmt(mid, h.digits)}</span><span>≥ ${h.above ? '+' : ''}${h.max}</span></div>
+            ${h.above ? `<div class="legend-range legend-units"><span>${this._esc(h.below)}</span><span>normal</span><span>${this._esc(h.above)}</span></div>` : ''}
+            <div class="legend-units">${this._esc(h.note || '')}</div></div>`;
+    },
+
+    // ---- click-to-read ----
+    async readAt(side, latlng) {
+        const map = side === 'B' ? AppState.mapB : AppState.map;
+        const layers = this.active(side);
+        if (!map || !layers.length) return;
+        const maps = await Promise.all(layers.map(l => Colormaps.load(l.id)));
+        const rows = [];
+        for (let i = 0; i < layers.length; i++) {
+            if (!maps[i]) continue;
+            const title = this._esc(GibsCatalog.get(layers[i].id)?.title || layers[i].id);
+            try {
+                const px = await this.samplePixel(map, layers[i].layer, latlng);
+                const text = px[3] === 0 ? 'No data' : Colormaps.format(maps[i], Colormaps.lookup(maps[i], px));
+                rows.push(`<div><strong>${title}</strong><br>${this._esc(text)}</div>`);
+            } catch (e) {
+                rows.push(`<div><strong>${title}</strong><br>Could not read pixel (${this._esc(e.message)})</div>`);
+            }
+        }
+        if (!rows.length) return;
+        L.popup({ maxWidth: 320 })
+            .setLatLng(latlng)
+            .setContent(`<div class="legend-popup">${rows.join('')}<div class="legend-units">${latlng.lat.toFixed(4)}, ${latlng.lng.toFixed(4)}</div></div>`)
+            .openOn(map);
+    },
+
+    // RGBA of the tile pixel under latlng, at the zoom the layer is actually rendered from
+    async samplePixel(map, layer, latlng) {
+        const size = layer.getTileSize().x;
+        const z = Utils.clamp(Math.round(map.getZoom()), layer.options.minNativeZoom ?? 0, layer.options.maxNativeZoom ?? layer.options.maxZoom ?? 18);
+        const p = map.project(latlng, z);
+        const coords = L.point(Math.floor(p.x / size), Math.floor(p.y / size));
+        coords.z = z;
+        const url = layer.getTileUrl(coords);
+
+        const resp = await Http.fetch(url);
+        if (!resp.ok) throw new Error(`tile ${resp.status}`);
+        const bitmap = await createImageBitmap(await resp.blob());
+        const scale = bitmap.width / size;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, Math.floor((p.x - coords.x * size) * scale), Math.floor((p.y - coords.y * size) * scale), 1, 1, 0, 0, 1, 1);
+        return Array.from(ctx.getImageData(0, 0, 1, 1).data);
+    },
+
+    _esc(v) {
+        return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+};
+window.Legends = Legends;
+
+/* =========================================================
+ * Layer Manager (supports Map A and Map B)
+ * =======================================================*/
+const LayerManager = {
+    RETIRE_MS: 4000, // drop the previous overlay even if the new one never finishes loading
+    _retiring: {},   // side -> pending retire callback of a double-buffered swap
+
+    init() {
+        this.setupControls('A');
+        this.setupControls('B'); // will attach only if B controls exist
+        this.updateDateSlider('A');
+        this.updateDateSlider('B');
+        this.updateLayer('A');
+        GibsCatalog.initBrowser();
+    },
+
+    // Resolve DOM elements by map side
+    _els(side) {
+        const suf = side === 'B' ? '-b' : '';
+        return {
+            layerSelect: document.getElementById(`main-layer${suf}`),
+            yearInput: document.getElementById(`layer-year${suf}`),
+            dateSlider: document.getElementById(`layer-date${suf}`),
+            dateLabel: document.getElementById(`layer-date-label${suf}`),
+            opacitySlider: document.getElementById(`layer-opacity${suf}`),
+            heatmapSelect: document.getElementById(`heatmap-${side === 'B' ? 'b' : 'a'}`) // may be null if UI not present
+        };
+    },
+
+    setupControls(side) {
+        const { layerSelect, yearInput, dateSlider, opacitySlider, heatmapSelect } = this._els(side);
+        if (!layerSelect && side === 'B') return; // B controls may not be present yet
+
+        if (layerSelect) layerSelect.addEventListener('change', () => this.onLayerChange(side));
+        if (yearInput) yearInput.addEventListener('change', () => { this.updateDateSlider(side); this.updateLayer(side); });
+        if (dateSlider) dateSlider.addEventListener('input', () => { this.updateDateLabel(side); this.updateLayer(side); });
+        if (opacitySlider) opacitySlider.addEventListener('input', () => this.updateOpacity(side));
+        if (heatmapSelect) heatmapSelect.addEventListener('change', () => this.updateHeatmap(side)); // NEW
+        // Compare buttons handled by MapManager
+    },
 
-        // Parse layer selection
-        const layerInfo = layerSelect.value.split('|');
-        if (layerInfo[0] === 'STD_OSM') return; // no overlay
+    // Slider dates for the selected layer and year: the layer's valid dates when the
+    // catalog knows them, otherwise every day of the year
+    dates(side = 'A') {
+        const { layerSelect, yearInput } = this._els(side);
+        const year = parseInt(yearInput?.value) || CONFIG.YEAR;
+        const valid = layerSelect ? GibsCatalog.dates(layerSelect.value.split('|')[0], year) : null;
+        return valid?.length ? valid : Utils.genDates(year, 1);
+    },
 
+    // Keep the year inside the layer's temporal extent
+    _fitYear(side) {
+        const { layerSelect, yearInput } = this._els(side);
+        const ext = GibsCatalog.extent(GibsCatalog.get(layerSelect?.value.split('|')[0]));
+        if (!ext || !yearInput) return;
         const year = parseInt(yearInput.value) || CONFIG.YEAR;
-        const dates = Utils.genDates(year, 1);
-        const index = parseInt(dateSlider.value);
-        const opacity = parseFloat(opacitySlider.value);
+        const fitted = Utils.clamp(year, +ext.start.slice(0, 4), +ext.end.slice(0, 4));
+        if (fitted !== year) yearInput.value = fitted;
+    },
+
+    updateDateSlider(side = 'A') {
+        const { yearInput, dateSlider } = this._els(side);
+        if (!yearInput || !dateSlider) return;
+        this._fitYear(side);
+        const dates = this.dates(side);
+        dateSlider.max = dates.length - 1;
+        if (dateSlider.value > dates.length - 1) dateSlider.value = dates.length - 1;
+        this.updateDateLabel(side);
+    },
+
+    updateDateLabel(side = 'A') {
+        const { dateLabel } = this._els(side);
+        const date = this.currentDate(side);
+        if (dateLabel && date) dateLabel.textContent = date;
+    },
+
+    // ISO date currently selected by the year input + date slider
+    currentDate(side = 'A') {
+        const { yearInput, dateSlider } = this._els(side);
+        if (!yearInput || !dateSlider) return null;
+        return this.dates(side)[parseInt(dateSlider.value)] || null;
+    },
+
+    // Move the year input + date slider to an ISO date (snapped to the nearest valid date);
+    // apply = false only updates the controls
+    setDate(side, dateISO, apply = true) {
+        const { yearInput, dateSlider } = this._els(side);
+        if (!yearInput || !dateSlider || !/^\d{4}-\d{2}-\d{2}$/.test(dateISO || '')) return;
+        const year = dateISO.slice(0, 4);
+        if (yearInput.value !== year) yearInput.value = year;
+        this.updateDateSlider(side);
+        const dates = this.dates(side);
+        const t = Date.parse(dateISO);
+        let idx = dates.indexOf(dateISO);
+        if (idx < 0) {
+            idx = dates.reduce((best, d, i) => (Math.abs(Date.parse(d) - t) < Math.abs(Date.parse(dates[best]) - t) ? i : best), 0);
+        }
+        dateSlider.value = idx;
+        this.updateDateLabel(side);
+        if (apply) this.updateLayer(side);
+    },
+
+    // New product: keep the shown date where the layer has data, else snap to the nearest one
+    onLayerChange(side = 'A') {
+        const { dateLabel } = this._els(side);
+        const shown = dateLabel?.textContent?.trim();
+        if (/^\d{4}-\d{2}-\d{2}$/.test(shown || '')) this.setDate(side, shown);
+        else { this.updateDateSlider(side); this.updateLayer(side); }
+    },
+
+    // Catalog arrived: re-snap both sliders to the selected layers' valid dates
+    refreshDates() {
+        ['A', 'B'].forEach(side => {
+            const before = this.currentDate(side);
+            if (!before) return;
+            this.setDate(side, before, false);
+            if (this.currentDate(side) !== before) this.updateLayer(side);
+        });
+    },
+
+    // GIBS tile layer for the selected product on a date (not added to a map); null for OSM
+    buildOverlay(side, dateISO, opacity) {
+        const { layerSelect, opacitySlider } = this._els(side);
+        if (!layerSelect || !dateISO) return null;
+        const [layerId, ext] = layerSelect.value.split('|');
+        if (layerId === 'STD_OSM') return null; // no overlay
+
+        // Catalog layers bring their own URL template and tile matrix set (Level6..Level13)
+        const entry = GibsCatalog.get(layerId);
+        const url = entry?.template
+            ? entry.template
+                .replace('{Time}', dateISO)
+                .replace('{TileMatrixSet}', entry.tms)
+                .replace('{TileMatrix}', '{z}')
+                .replace('{TileRow}', '{y}')
+                .replace('{TileCol}', '{x}')
+            : CONFIG.GIBS_URL(layerId, dateISO, ext, entry?.tms || CONFIG.GIBS_TM);
+        return Fixtures.tileLayer(url, {
+            opacity: opacity ?? parseFloat(opacitySlider?.value ?? 0.8),
+            attribution: 'NASA GIBS',
+            maxNativeZoom: entry?.maxZoom || 9,
+            crossOrigin: true
+        });
+    },
+
+    updateLayer(side = 'A') {
+        const { layerSelect, yearInput, dateSlider, opacitySlider } = this._els(side);
+        if (!layerSelect || !yearInput || !dateSlider || !opacitySlider) return;
+        const map = side === 'B' ? AppState.mapB : AppState.map;
+        if (!map) return;
+        this.swapOverlay(side, this.buildOverlay(side, this.currentDate(side)));
+    },
+
+    updateOpacity(side = 'A') {
+        const { opacitySlider } = this._els(side);
+        const layer = AppState[side === 'B' ? 'gibsLayerB' : 'gibsLayerA'];
+        if (layer && opacitySlider) layer.setOpacity(parseFloat(opacitySlider.value));
+        Permalink.schedule();
+    },
 
-        if (dates[index]) {
-            // Use ISO date with dashes for GIBS
-            const dateISO = dates[index]; // YYYY-MM-DD
-            const url = CONFIG.GIBS_URL(layerInfo[0], dateISO, layerInfo[1]);
+    /**
+     * Double-buffered overlay swap: the new layer goes on top and the old one is only
+     * removed once the new tiles have loaded, so stepping dates does not flash the base map.
+     */
+    swapOverlay(side, overlay) {
+        const map = side === 'B' ? AppState.mapB : AppState.map;
+        const key = side === 'B' ? 'gibsLayerB' : 'gibsLayerA';
+        if (!map) return;
+        const prev = AppState[key];
+        if (prev === overlay) return;
+
+        // A swap still waiting on its tiles is superseded: drop its old layer now
+        this._retiring[side]?.();
 
-            // Set maxNativeZoom to 9 for GIBS overlays
-            const overlay = L.tileLayer(url, {
-                opacity,
-                attribution: 'NASA GIBS',
-                maxNativeZoom: 9,
-                crossOrigin: true
-            }).addTo(map);
+        AppState[key] = overlay;
+        Permalink.schedule();
+        Legends.refresh(side);
+        if (overlay && !map.hasLayer(overlay)) overlay.addTo(map);
+        if (!prev) return;
 
-            AppState[targetLayerKey] = overlay;
+        if (!overlay || !overlay.isLoading?.()) {
+            map.removeLayer(prev);
+            return;
         }
+        const retire = () => {
+            clearTimeout(timer);
+            overlay.off('load', retire);
+            if (map.hasLayer(prev) && AppState[key] !== prev) map.removeLayer(prev);
+            if (this._retiring[side] === retire) this._retiring[side] = null;
+        };
+        const timer = setTimeout(retire, this.RETIRE_MS);
+        overlay.on('load', retire);
+        this._retiring[side] = retire;
     },
 
     // ---- Heatmap helpers (NEW) ----
+    _heatSeq: { A: 0, B: 0 },
+
     async updateHeatmap(side = 'A') {
         const { heatmapSelect } = this._els(side);
         if (!heatmapSelect) return;
 
-        const type = heatmapSelect.value; // 'off' | 'ndvi' | 'evi' | 't2m' | 'precip'
+        const type = heatmapSelect.value; // 'off' or a HeatmapHelper.TYPES key (absolute or '_anom')
         const isB = side === 'B';
         const map = isB ? AppState.mapB : AppState.map;
         if (!map) return;
@@ -641,130 +2281,365 @@ const LayerManager = {
         // Close previous heatmap (only one per map)
         const layerKey = isB ? 'heatLayerB' : 'heatLayerA';
         const typeKey  = isB ? 'heatTypeB'  : 'heatTypeA';
+        const seq = ++this._heatSeq[side];
 
         if (AppState[layerKey]) {
             map.removeLayer(AppState[layerKey]);
             AppState[layerKey] = null;
         }
         AppState[typeKey] = type;
+        Permalink.schedule();
 
-        if (type === 'off') return;
-
-        // Build & add heat layer
-        const points = await HeatmapHelper.buildPointsAroundSelection(type, map);
-        if (!points.length) return;
+        if (type === 'off') {
+            HeatmapHelper.status(side, '');
+            Legends.refresh(side);
+            return;
+        }
 
-        const hl = L.heatLayer(points, { radius: 28, blur: 20, maxZoom: 15 });
-        hl.addTo(map);
-        AppState[layerKey] = hl;
+        // Build & add the interpolated raster, unless a newer request replaced this one meanwhile
+        try {
+            const layer = await HeatmapHelper.buildLayer(type, map, side);
+            if (seq !== this._heatSeq[side] || map !== (isB ? AppState.mapB : AppState.map)) return;
+            AppState[layerKey] = layer.addTo(map);
+        } catch (e) {
+            if (seq !== this._heatSeq[side]) return;
+            console.warn('[Heatmap]', e);
+            HeatmapHelper.status(side, `Heatmap unavailable: ${e.message}`);
+        }
+        Legends.refresh(side);
     },
 
-    async refreshHeatmap(side = 'A') {
-        // Rebuild current heatmap for this map if it is active
+    async refreshHeatmap(side = 'A', force = false) {
+        // Rebuild current heatmap for this map if it is active; viewport grids don't follow the marker
         const isB = side === 'B';
         const type = isB ? AppState.heatTypeB : AppState.heatTypeA;
         if (!type || type === 'off') return;
+        if (!force && HeatmapHelper.settings().extent === 'viewport') return;
         await this.updateHeatmap(side);
     }
 };
 
 /* =========================================================
- * HeatmapHelper (NEW): fetch small grid of values around selected point
+ * HeatmapHelper (NEW): interpolated value raster for Map A / Map B
+ * - samples a grid of physical values (NDVI/EVI, LAI/FPAR or LST from RST,
+ *   30-day T2M mean or precipitation total from POWER) around the selected
+ *   point or over the viewport; RST types name their product and variable
+ * - interpolates the cells (IDW or bilinear) onto a canvas image overlay
+ *   coloured with a fixed ramp per variable, so both maps share one scale
+ * - the layer carries its legend metadata (layer.heat) for Legends, and
+ *   hovering it shows the nearest sampled cell and the interpolated value
  * =======================================================*/
 const HeatmapHelper = {
-    // Grid config: 4x4 within ~0.4° box (~40 km at mid lat)
-    gridSize: 4,
+    // Grid defaults; the Layers panel (heat-grid, heat-span, heat-extent, heat-method) overrides them
+    gridSize: 5,
     halfSpanDeg: 0.4,
+    MIN_GRID: 3,
+    MAX_GRID: 8,
+    RASTER: 96,      // canvas resolution (px per side) of the interpolated image
+    IDW_POWER: 2,
+    OPACITY: 0.65,
+
+    TYPES: {
+        ndvi:   { label: 'NDVI', units: '', ramp: 'vegetation', min: -0.1, max: 0.9, digits: 3, product: 'MOD13Q1', variable: 'ndvi' },
+        evi:    { label: 'EVI', units: '', ramp: 'vegetation', min: -0.1, max: 0.9, digits: 3, product: 'MOD13Q1', variable: 'evi' },
+        lai:    { label: 'Leaf area index', units: 'm²/m²', ramp: 'vegetation', min: 0, max: 6, digits: 2, product: 'MOD15A2H', variable: 'lai' },
+        fpar:   { label: 'FPAR', units: '', ramp: 'vegetation', min: 0, max: 1, digits: 2, product: 'MOD15A2H', variable: 'fpar' },
+        lst_day:   { label: 'Land surface temperature, day', units: '°C', ramp: 'temperature', min: -10, max: 50, digits: 1, product: 'MOD11A2', variable: 'lst_day' },
+        lst_night: { label: 'Land surface temperature, night', units: '°C', ramp: 'temperature', min: -20, max: 30, digits: 1, product: 'MOD11A2', variable: 'lst_night' },
+        t2m:    { label: 'Air temperature, 30-day mean', units: '°C', ramp: 'temperature', min: -10, max: 35, digits: 1 },
+        precip: { label: 'Precipitation, 30-day total', units: 'mm', ramp: 'precipitation', min: 0, max: 200, digits: 0 },
+        // Anomalies: latest minus normal, on symmetric ranges with diverging ramps
+        ndvi_anom:   { label: 'NDVI anomaly', units: '', ramp: 'vegetationAnomaly', min: -0.2, max: 0.2, digits: 3, below: 'browner', above: 'greener', product: 'MOD13Q1', variable: 'ndvi' },
+        evi_anom:    { label: 'EVI anomaly', units: '', ramp: 'vegetationAnomaly', min: -0.2, max: 0.2, digits: 3, below: 'browner', above: 'greener', product: 'MOD13Q1', variable: 'evi' },
+        t2m_anom:    { label: 'Air temperature anomaly, 30-day mean', units: '°C', ramp: 'temperatureAnomaly', min: -5, max: 5, digits: 1, below: 'colder', above: 'hotter' },
+        precip_anom: { label: 'Precipitation anomaly, 30-day total', units: 'mm', ramp: 'precipitationAnomaly', min: -100, max: 100, digits: 0, below: 'drier', above: 'wetter' }
+    },
+    MAX_ANOMALY_YEARS: 10,
+
+    // Composite dates per RST product (the latest one is used for every grid)
+    _dates: {},
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        if ($('heat-grid')) $('heat-grid').value = this.gridSize;
+        if ($('heat-span')) $('heat-span').value = this.halfSpanDeg;
+        // Grid changes need new samples; a different method only re-interpolates the existing ones
+        ['heat-grid', 'heat-span', 'heat-extent', 'heat-years'].forEach(id => $(id)?.addEventListener('change', () => this.resampleAll()));
+        $('heat-method')?.addEventListener('change', () => ['A', 'B'].forEach(side => this.reinterpolate(side)));
+        $('heat-resample')?.addEventListener('click', () => this.resampleAll());
+    },
+
+    settings() {
+        const $ = (id) => document.getElementById(id);
+        const n = Math.round(Utils.clamp(parseInt($('heat-grid')?.value) || this.gridSize, this.MIN_GRID, this.MAX_GRID));
+        const halfSpan = Utils.clamp(parseFloat($('heat-span')?.value) || this.halfSpanDeg, 0.05, 5);
+        const years = Math.round(Utils.clamp(parseInt($('heat-years')?.value) || 5, 1, this.MAX_ANOMALY_YEARS));
+        return {
+            n,
+            halfSpan,
+            years,
+            extent: $('heat-extent')?.value === 'viewport' ? 'viewport' : 'point',
+            method: $('heat-method')?.value === 'bilinear' ? 'bilinear' : 'idw'
+        };
+    },
+
+    resampleAll() {
+        LayerManager.refreshHeatmap('A', true);
+        LayerManager.refreshHeatmap('B', true);
+    },
 
-    // Cache for latest VI composite date
-    _latestVIDate: null,
-    _latestVIProduct: 'MOD13Q1',
+    reinterpolate(side) {
+        const map = side === 'B' ? AppState.mapB : AppState.map;
+        const key = side === 'B' ? 'heatLayerB' : 'heatLayerA';
+        const cur = AppState[key];
+        if (!map || !cur?.sample) return;
+        const layer = this.toLayer({ ...cur.sample, method: this.settings().method }, side);
+        map.removeLayer(cur);
+        AppState[key] = layer.addTo(map);
+        Legends.refresh(side);
+    },
+
+    status(side, text) {
+        const el = document.getElementById(`heatmap-status-${side === 'B' ? 'b' : 'a'}`);
+        if (el) el.textContent = text;
+    },
 
-    async buildPointsAroundSelection(type, map) {
+    // ---- sampling ----
+    bounds(map, s) {
+        if (s.extent === 'viewport') {
+            const b = map.getBounds();
+            return { south: Math.max(b.getSouth(), -85), north: Math.min(b.getNorth(), 85), west: b.getWest(), east: b.getEast() };
+        }
         const { lat, lng } = MapManager.getCurrentLocation();
-        const pts = this._grid(lat, lng);
-        let values = [];
+        const hs = s.halfSpan;
+        return { south: Math.max(lat - hs, -85), north: Math.min(lat + hs, 85), west: lng - hs, east: lng + hs };
+    },
 
-        if (type === 'ndvi' || type === 'evi') {
-            const date = await this._getLatestVIDate();
-            values = await this._pool(pts.map(p => () => this._fetchVIAt(p.lat, p.lng, date, type)), 4);
-            // normalize NDVI/EVI to [0,1]
-            const norm = (v) => v == null ? 0 : Utils.clamp((v + 0.1) / 0.7, 0, 1);
-            return values.filter(v => v.val != null).map(v => [v.lat, v.lng, norm(v.val)]);
+    // Cell centres of an n x n grid; i counts rows from the south, j columns from the west
+    _grid(b, n) {
+        const dLat = (b.north - b.south) / n;
+        const dLng = (b.east - b.west) / n;
+        const arr = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                arr.push({ i, j, lat: b.south + (i + 0.5) * dLat, lng: b.west + (j + 0.5) * dLng });
+            }
         }
+        return arr;
+    },
 
-        if (type === 't2m' || type === 'precip') {
+    // -> { type, meta, bounds, n, method, date, cells: [{ i, j, lat, lng, val, current, normal }] }
+    // Anomaly cells also keep the latest value and its normal for the hover readout
+    async sample(type, map, s = this.settings(), onProgress = null) {
+        const meta = this.TYPES[type];
+        if (!meta) throw new Error(`Unknown heatmap variable: ${type}`);
+        const base = type.replace(/_anom$/, '');
+        const anomaly = base !== type;
+        const bounds = this.bounds(map, s);
+        const cells = this._grid(bounds, s.n);
+        let done = 0;
+        const tick = () => onProgress?.(++done, cells.length);
+        let date = null, values;
+
+        if (meta.product) {
+            const dates = await this._getDates(meta.product);
+            const latest = dates[dates.length - 1];
+            if (!latest) throw new Error(`No ${meta.product} composite date available`);
+            date = `${meta.product} ${RstSeries.toISO(latest)}`;
+            if (anomaly) {
+                const refs = this.sameCompositeDates(dates, latest, s.years);
+                if (!refs.length) throw new Error('No earlier composites for this date');
+                date += ` vs ${refs.length}-yr mean`;
+                values = await this._pool(cells.map(p => () => this._fetchRstAnomaly(p.lat, p.lng, latest, refs, meta).finally(tick)), 2);
+            } else {
+                values = await this._pool(cells.map(p => () => this._fetchRstAt(p.lat, p.lng, latest, meta).finally(tick)), 4);
+            }
+        } else {
             const now = new Date();
             const end = this._ymd(now);
             const startDate = new Date(now); startDate.setDate(now.getDate() - 29);
             const start = this._ymd(startDate);
-            values = await this._pool(pts.map(p => () => this._fetchPowerAgg(p.lat, p.lng, start, end)), 4);
-            if (type === 't2m') {
-                // Temperature (30d mean): map [-10..35]C to [0..1]
-                const normT = (v) => v == null ? 0 : Utils.clamp((v + 10) / 45, 0, 1);
-                return values.filter(v => v.t2m_mean != null).map(v => [v.lat, v.lng, normT(v.t2m_mean)]);
-            } else {
-                // Precip (30d total): map [0..200]mm to [0..1]
-                const normP = (v) => v == null ? 0 : Utils.clamp(v / 200, 0, 1);
-                return values.filter(v => v.precip_sum != null).map(v => [v.lat, v.lng, normP(v.precip_sum)]);
-            }
+            date = `${start}–${end}${anomaly ? ' vs POWER climatology' : ''}`;
+            const fetch = anomaly ? this._fetchPowerAnomaly : this._fetchPowerAgg;
+            values = await this._pool(cells.map(p => () => fetch.call(this, p.lat, p.lng, start, end).finally(tick)), 4);
+            const key = base === 't2m' ? 't2m' : 'precip';
+            values = values.map(v => (anomaly
+                ? { val: v[`${key}_anom`], current: v[`${key}_now`], normal: v[`${key}_normal`] }
+                : { val: base === 't2m' ? v.t2m_mean : v.precip_sum }));
         }
 
-        return [];
+        cells.forEach((c, k) => {
+            const v = values[k] || {};
+            c.val = Number.isFinite(v.val) ? v.val : null;
+            if (anomaly) { c.current = v.current ?? null; c.normal = v.normal ?? null; }
+        });
+        return { type, meta, bounds, n: s.n, method: s.method, date, cells };
     },
 
-    _grid(lat, lng) {
-        const n = this.gridSize;
-        const hs = this.halfSpanDeg;
-        const step = (2 * hs) / (n - 1);
-        const arr = [];
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                arr.push({ lat: lat - hs + i * step, lng: lng - hs + j * step });
+    // Composites of the prior `years` years on the same day-of-year as `latest` ('A2024145' -> 'A2023145', ...)
+    sameCompositeDates(dates, latest, years) {
+        const year = parseInt(latest.slice(1, 5), 10), doy = latest.slice(5);
+        const have = new Set(dates);
+        const out = [];
+        for (let y = year - 1; y >= year - years; y--) {
+            if (have.has(`A${y}${doy}`)) out.push(`A${y}${doy}`);
+        }
+        return out;
+    },
+
+    // ---- interpolation ----
+    valueAt(sample, lat, lng) {
+        if (sample.method === 'bilinear') {
+            const v = this._bilinear(sample, lat, lng);
+            if (v != null) return v;
+        }
+        return this._idw(sample, lat, lng);
+    },
+
+    // Inverse-distance weighting over all valid cells (longitude scaled by cos(lat))
+    _idw(sample, lat, lng) {
+        const kx = Math.cos((lat * Math.PI) / 180);
+        let num = 0, den = 0;
+        for (const c of sample.cells) {
+            if (c.val == null) continue;
+            const d2 = ((c.lng - lng) * kx) ** 2 + (c.lat - lat) ** 2;
+            if (d2 < 1e-12) return c.val;
+            const w = 1 / d2 ** (this.IDW_POWER / 2);
+            num += w * c.val;
+            den += w;
+        }
+        return den ? num / den : null;
+    },
+
+    // Bilinear between the four surrounding cell centres (edges clamp); null if any corner is missing
+    _bilinear(sample, lat, lng) {
+        const { bounds: b, n, cells } = sample;
+        const fi = Utils.clamp(((lat - b.south) / (b.north - b.south)) * n - 0.5, 0, n - 1);
+        const fj = Utils.clamp(((lng - b.west) / (b.east - b.west)) * n - 0.5, 0, n - 1);
+        const i0 = Math.floor(fi), j0 = Math.floor(fj);
+        const i1 = Math.min(i0 + 1, n - 1), j1 = Math.min(j0 + 1, n - 1);
+        const v = (i, j) => cells[i * n + j].val;
+        const q = [v(i0, j0), v(i0, j1), v(i1, j0), v(i1, j1)];
+        if (q.some(x => x == null)) return null;
+        const ti = fi - i0, tj = fj - j0;
+        return (q[0] * (1 - tj) + q[1] * tj) * (1 - ti) + (q[2] * (1 - tj) + q[3] * tj) * ti;
+    },
+
+    nearestCell(sample, lat, lng) {
+        const { bounds: b, n, cells } = sample;
+        const i = Utils.clamp(Math.floor(((lat - b.south) / (b.north - b.south)) * n), 0, n - 1);
+        const j = Utils.clamp(Math.floor(((lng - b.west) / (b.east - b.west)) * n), 0, n - 1);
+        return cells[i * n + j];
+    },
+
+    // Canvas rows are evenly spaced in Web Mercator, as L.imageOverlay stretches the image
+    render(sample) {
+        const size = this.RASTER;
+        const { bounds: b, meta } = sample;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const img = ctx.createImageData(size, size);
+        const merc = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360));
+        const yN = merc(b.north), yS = merc(b.south);
+        for (let r = 0; r < size; r++) {
+            const y = yN + ((r + 0.5) / size) * (yS - yN);
+            const lat = (360 / Math.PI) * Math.atan(Math.exp(y)) - 90;
+            for (let c = 0; c < size; c++) {
+                const lng = b.west + ((c + 0.5) / size) * (b.east - b.west);
+                const v = this.valueAt(sample, lat, lng);
+                if (v == null) continue;
+                const [R, G, B] = Colormaps.rampColor(meta.ramp, (v - meta.min) / (meta.max - meta.min));
+                const k = (r * size + c) * 4;
+                img.data[k] = R; img.data[k + 1] = G; img.data[k + 2] = B; img.data[k + 3] = 255;
             }
         }
-        return arr;
+        ctx.putImageData(img, 0, 0);
+        return canvas;
+    },
+
+    format(meta, v) {
+        if (v == null) return 'No data';
+        const sign = meta.above && v > 0 ? '+' : '';
+        return `${sign}${Utils.fmt(v, meta.digits)}${meta.units ? ` ${meta.units}` : ''}`;
+    },
+
+    _cellText(meta, cell) {
+        const text = this.format(meta, cell.val);
+        if (cell.normal == null) return text;
+        const plain = { ...meta, above: null };
+        return `${text} (latest ${this.format(plain, cell.current)}, normal ${this.format(plain, cell.normal)})`;
+    },
+
+    async buildLayer(type, map, side = 'A') {
+        this.status(side, 'Sampling…');
+        const sample = await this.sample(type, map, this.settings(), (k, total) => this.status(side, `Sampling ${k}/${total}…`));
+        if (!sample.cells.some(c => c.val != null)) throw new Error('No values returned for this area');
+        return this.toLayer(sample, side);
+    },
+
+    // Interpolate a sample and wrap it as an interactive image overlay (not added to the map)
+    toLayer(sample, side = 'A') {
+        const { bounds: b, meta } = sample;
+        const layer = L.imageOverlay(this.render(sample).toDataURL(), [[b.south, b.west], [b.north, b.east]], {
+            opacity: this.OPACITY,
+            interactive: true,
+            className: 'heat-raster'
+        });
+        layer.sample = sample;
+        const method = sample.method === 'bilinear' ? 'bilinear' : 'IDW';
+        layer.heat = { ...meta, kind: 'Heatmap', note: `${sample.date} · ${method}` };
+        layer.bindTooltip('', { sticky: true, direction: 'top', className: 'heat-tooltip' });
+        layer.on('mousemove', (e) => {
+            const { lat, lng } = e.latlng;
+            const cell = this.nearestCell(sample, lat, lng);
+            layer.setTooltipContent(
+                `${this._esc(meta.label)}: <strong>${this._esc(this.format(meta, this.valueAt(sample, lat, lng)))}</strong>` +
+                `<br>Nearest sample (${cell.lat.toFixed(3)}, ${cell.lng.toFixed(3)}): ${this._esc(this._cellText(meta, cell))}`
+            );
+        });
+
+        const valid = sample.cells.filter(c => c.val != null).length;
+        this.status(side, `${valid}/${sample.cells.length} cells · ${method} · ${sample.date}`);
+        return layer;
     },
 
-    async _getLatestVIDate() {
-        if (this._latestVIDate) return this._latestVIDate;
+    // Sorted modis_date strings of an RST product (fetched once per product, at the selected point)
+    async _getDates(product) {
+        if (this._dates[product]) return this._dates[product];
         const { lat, lng } = MapManager.getCurrentLocation();
-        const json = await VegetationManager.fetchDates(this._latestVIProduct, lat, lng);
-        const arr = json?.dates || [];
-        this._latestVIDate = arr.length ? (arr[arr.length - 1]?.modis_date || arr[arr.length - 1]) : null;
-        return this._latestVIDate;
+        const json = await VegetationManager.fetchDates(product, lat, lng);
+        const list = (json?.dates || []).map(d => d?.modis_date || d).filter(Boolean).sort();
+        if (list.length) this._dates[product] = list;
+        return list;
     },
 
-    async _fetchVIAt(lat, lng, modisDate, viType) {
+    // meta: a TYPES entry with product + variable; values failing the QA policy count as missing
+    async _fetchRstAt(lat, lng, modisDate, meta) {
         try {
-            const subset = await VegetationManager.fetchSubset(this._latestVIProduct, lat, lng, modisDate, modisDate);
-            const bands = subset?.subset || [];
-            const match = bands.find(b => (b.band || '').toLowerCase().includes(viType)); // 'ndvi' or 'evi'
-            const raw = Array.isArray(match?.data) ? match.data[0] : match?.data;
-            const val = raw == null || raw <= -9000 ? null : Number(raw) * 0.0001;
+            const [row] = await RstSeries.fetch(meta.product, lat, lng, [modisDate]);
+            const val = row && ViQuality.usable(Products.qaFor(row.qa, meta.variable)) ? row.values?.[meta.variable] ?? null : null;
             return { lat, lng, val };
         } catch (_) {
             return { lat, lng, val: null };
         }
     },
 
-    async _fetchPowerAgg(lat, lng, startYmd, endYmd) {
+    async _fetchRstAnomaly(lat, lng, modisDate, refDates, meta) {
+        const rows = await this._pool([modisDate, ...refDates].map(d => () => this._fetchRstAt(lat, lng, d, meta)), 2);
+        const current = rows[0].val;
+        const prior = rows.slice(1).map(r => r.val).filter(v => v != null);
+        const normal = prior.length ? prior.reduce((a, b) => a + b, 0) / prior.length : null;
+        return { lat, lng, val: current != null && normal != null ? current - normal : null, current, normal };
+    },
+
+    async _fetchPowerAgg(lat, lng, startYmd, endYmd) {
         try {
-            const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-            url.search = new URLSearchParams({
-                parameters: 'T2M,PRECTOTCORR',
-                community: 'AG',
-                longitude: String(lng),
-                latitude: String(lat),
-                start: startYmd,
-                end: endYmd,
-                format: 'JSON'
-            }).toString();
-            const r = await fetch(url);
-            if (!r.ok) throw new Error('POWER fail');
-            const data = await r.json();
-            const T = Object.values(data?.properties?.parameter?.T2M || {}).map(v => Utils.numOrNull(v)).filter(v => v != null);
-            const P = Object.values(data?.properties?.parameter?.PRECTOTCORR || {}).map(v => Utils.numOrNull(v)).filter(v => v != null);
+            const wx = await Power.daily(lat, lng, startYmd, endYmd, ['T2M', 'PRECTOTCORR']);
+            const T = wx.values.T2M.filter(v => v != null);
+            const P = wx.values.PRECTOTCORR.filter(v => v != null);
             const mean = T.length ? (T.reduce((a,b)=>a+b,0) / T.length) : null;
             const sumP = P.length ? (P.reduce((a,b)=>a+b,0)) : null;
             return { lat, lng, t2m_mean: mean, precip_sum: sumP };
@@ -773,6 +2648,33 @@ const HeatmapHelper = {
         }
     },
 
+    // Latest 30 days against POWER's long-term monthly means, compared over the days that have data
+    // (climatology precipitation is mm/day, so each day adds its month's rate)
+    async _fetchPowerAnomaly(lat, lng, startYmd, endYmd) {
+        const out = { lat, lng, t2m_anom: null, t2m_now: null, t2m_normal: null, precip_anom: null, precip_now: null, precip_normal: null };
+        try {
+            const [wx, clim] = await Promise.all([
+                Power.daily(lat, lng, startYmd, endYmd, ['T2M', 'PRECTOTCORR']),
+                Power.climatology(lat, lng, ['T2M', 'PRECTOTCORR'])
+            ]);
+            const acc = { T2M: [0, 0, 0], PRECTOTCORR: [0, 0, 0] }; // [sum now, sum normal, days]
+            wx.dates.forEach((d, i) => {
+                const m = parseInt(d.slice(4, 6), 10) - 1;
+                for (const p of ['T2M', 'PRECTOTCORR']) {
+                    const v = wx.values[p][i], n = clim.values[p][m];
+                    if (v == null || n == null) continue;
+                    acc[p][0] += v; acc[p][1] += n; acc[p][2]++;
+                }
+            });
+            const [ts, tn, td] = acc.T2M, [ps, pn, pd] = acc.PRECTOTCORR;
+            if (td) Object.assign(out, { t2m_now: ts / td, t2m_normal: tn / td, t2m_anom: (ts - tn) / td });
+            if (pd) Object.assign(out, { precip_now: ps, precip_normal: pn, precip_anom: ps - pn });
+            return out;
+        } catch (_) {
+            return out;
+        }
+    },
+
     _ymd(d) {
         const y = d.getUTCFullYear();
         const m = String(d.getUTCMonth()+1).padStart(2,'0');
@@ -782,19 +2684,445 @@ const HeatmapHelper = {
 
     // small async pool to limit concurrency
     async _pool(tasks, limit = 4) {
-        const ret = [];
-        let i = 0;
-        const workers = new Array(Math.min(limit, tasks.length)).fill(0).map(async () => {
-            while (i < tasks.length) {
-                const t = tasks[i++];
-                const v = await t();
-                ret.push(v);
+        return Utils.pool(tasks, limit);
+    },
+
+    _esc(v) {
+        return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+};
+window.HeatmapHelper = HeatmapHelper;
+
+/* =========================================================
+ * TimeLapse (NEW): GIBS date playback + animated export for Map A
+ * - plays the selected GIBS layer over a date range (step, speed, loop)
+ * - the next PRELOAD frames are added as invisible layers so their tiles
+ *   are cached by the time they are shown; frames swap via LayerManager.swapOverlay
+ * - the recorder steps through the range, composites the visible tiles of
+ *   the current view into a canvas and exports WebM (MediaRecorder) or GIF (GifWriter)
+ * =======================================================*/
+const TimeLapse = {
+    PRELOAD: 3,
+    LOAD_TIMEOUT_MS: 8000, // show a frame anyway if its tiles take longer than this
+    MAX_FRAMES: 120,       // recording cap (frames are held in memory for WebM)
+    MAX_WIDTH: 960,        // recorded frames are downscaled to this width
+
+    frames: [],
+    index: 0,
+    playing: false,
+    recording: false,
+    _token: 0,
+    _cache: new Map(), // date -> preloaded (invisible) tile layer
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+
+        // Default range: the year shown on the slider
+        const year = parseInt($('layer-year')?.value) || CONFIG.YEAR;
+        if ($('tl-start') && !$('tl-start').value) $('tl-start').value = `${year}-03-01`;
+        if ($('tl-end') && !$('tl-end').value) $('tl-end').value = `${year}-06-30`;
+
+        $('tl-play')?.addEventListener('click', () => (this.playing ? this.pause() : this.play()));
+        $('tl-prev')?.addEventListener('click', () => this.step(-1));
+        $('tl-next')?.addEventListener('click', () => this.step(1));
+        $('tl-record')?.addEventListener('click', () => this.record());
+        ['tl-start', 'tl-end', 'tl-step'].forEach(id => $(id)?.addEventListener('change', () => this.reset()));
+        // A different product invalidates preloaded frames; dragging the slider takes over from the player
+        $('main-layer')?.addEventListener('change', () => this.reset());
+        $('layer-date')?.addEventListener('input', () => this.pause());
+        this._status();
+    },
+
+    // ---- frames ----
+    buildFrames() {
+        const start = document.getElementById('tl-start')?.value;
+        const end = document.getElementById('tl-end')?.value;
+        const step = Math.max(1, parseInt(document.getElementById('tl-step')?.value) || 1);
+        if (!start || !end || start > end) throw new Error('Choose a start date before the end date.');
+        const out = [];
+        for (let d = new Date(`${start}T00:00:00Z`); d.toISOString().slice(0, 10) <= end; d.setUTCDate(d.getUTCDate() + step)) {
+            out.push(d.toISOString().slice(0, 10));
+        }
+        return out;
+    },
+
+    _ensureFrames() {
+        if (this.frames.length) return true;
+        try {
+            this.frames = this.buildFrames();
+        } catch (e) {
+            alert(e.message);
+            return false;
+        }
+        if (!LayerManager.buildOverlay('A', this.frames[0])) {
+            alert('Choose a GIBS layer for Map A first.');
+            this.frames = [];
+            return false;
+        }
+        // Start from the slider date if it lies in the range
+        const i = this.frames.indexOf(LayerManager.currentDate('A'));
+        this.index = i >= 0 ? i : 0;
+        return true;
+    },
+
+    reset() {
+        this.pause();
+        this.flush();
+        this.frames = [];
+        this.index = 0;
+        this._status();
+    },
+
+    flush() {
+        for (const layer of this._cache.values()) AppState.map?.removeLayer(layer);
+        this._cache.clear();
+    },
+
+    // ---- playback ----
+    fps() {
+        return Math.max(0.25, parseFloat(document.getElementById('tl-speed')?.value) || 2);
+    },
+
+    play() {
+        if (this.recording || !this._ensureFrames()) return;
+        this.playing = true;
+        this._setPlayLabel();
+        this._run(++this._token);
+    },
+
+    pause() {
+        this.playing = false;
+        this._token++;
+        this._setPlayLabel();
+    },
+
+    async step(delta) {
+        if (this.recording || !this._ensureFrames()) return;
+        this.pause();
+        const n = this.frames.length;
+        this.index = (this.index + delta + n) % n;
+        await this.showFrame(this.index);
+        this._preload(this.index);
+    },
+
+    async _run(token) {
+        const loop = () => document.getElementById('tl-loop')?.checked;
+        while (this.playing && token === this._token) {
+            const t0 = performance.now();
+            await this.showFrame(this.index);
+            if (token !== this._token) return;
+            this._preload(this.index);
+            const wait = 1000 / this.fps() - (performance.now() - t0);
+            if (wait > 0) await new Promise(r => setTimeout(r, wait));
+            if (!this.playing || token !== this._token) return;
+
+            if (this.index + 1 < this.frames.length) this.index++;
+            else if (loop()) this.index = 0;
+            else { this.pause(); return; }
+        }
+    },
+
+    // Show frame i on Map A once its tiles are in (or the timeout passes)
+    async showFrame(i) {
+        const date = this.frames[i];
+        if (!date) return;
+        const layer = this._frameLayer(date);
+        if (!layer) return;
+        await this._loaded(layer);
+        this._cache.delete(date);
+        layer.setOpacity(parseFloat(document.getElementById('layer-opacity')?.value ?? 0.8));
+        LayerManager.setDate('A', date, false);
+        LayerManager.swapOverlay('A', layer);
+        this._status();
+    },
+
+    _frameLayer(date) {
+        if (this._cache.has(date)) return this._cache.get(date);
+        const layer = LayerManager.buildOverlay('A', date, 0);
+        if (layer) layer.addTo(AppState.map);
+        return layer;
+    },
+
+    // Keep the next PRELOAD frames loading invisibly; drop anything else
+    _preload(i) {
+        const n = this.frames.length;
+        const wanted = new Set();
+        for (let k = 1; k <= Math.min(this.PRELOAD, n - 1); k++) wanted.add(this.frames[(i + k) % n]);
+        for (const [date, layer] of this._cache) {
+            if (!wanted.has(date)) { AppState.map.removeLayer(layer); this._cache.delete(date); }
+        }
+        for (const date of wanted) {
+            if (!this._cache.has(date)) this._cache.set(date, this._frameLayer(date));
+        }
+    },
+
+    _loaded(layer) {
+        if (!layer.isLoading?.()) return Promise.resolve();
+        return new Promise(resolve => {
+            const done = () => { clearTimeout(timer); layer.off('load', done); resolve(); };
+            const timer = setTimeout(done, this.LOAD_TIMEOUT_MS);
+            layer.on('load', done);
+        });
+    },
+
+    // ---- recording ----
+    async record() {
+        if (this.recording) return;
+        this.pause();
+        this.frames = [];
+        if (!this._ensureFrames()) return;
+        if (this.frames.length > this.MAX_FRAMES) {
+            alert(`Too many frames (${this.frames.length}); increase the step or shorten the range (max ${this.MAX_FRAMES}).`);
+            return;
+        }
+        const format = document.getElementById('tl-format')?.value || 'webm';
+        const fps = this.fps();
+        this.recording = true;
+        this._setBusy(true);
+        try {
+            const captured = [];
+            for (let i = 0; i < this.frames.length; i++) {
+                this.index = i;
+                await this.showFrame(i);
+                this._preload(i);
+                captured.push(this.snapshot(this.frames[i]));
+                this._status(`Capturing frame ${i + 1}/${this.frames.length}…`);
             }
+            this._status(`Encoding ${format.toUpperCase()}…`);
+            // Let the status paint before the synchronous GIF encoder runs
+            await new Promise(r => setTimeout(r, 30));
+            const blob = format === 'gif'
+                ? GifWriter.encode(
+                    captured.map(c => c.getContext('2d').getImageData(0, 0, c.width, c.height)),
+                    captured[0].width, captured[0].height, Math.round(100 / fps))
+                : await this._encodeWebM(captured, fps);
+            const layerId = (document.getElementById('main-layer')?.value || 'gibs').split('|')[0];
+            this._download(blob, `${layerId}_${this.frames[0]}_${this.frames[this.frames.length - 1]}.${format}`);
+            this._status(`Exported ${captured.length} frames (${(blob.size / 1048576).toFixed(1)} MB).`);
+        } catch (e) {
+            console.error('[TimeLapse] recording failed:', e);
+            // Tainted canvases (tiles without CORS) end up here as SecurityError
+            this._status(`Recording failed: ${e.name === 'SecurityError' ? 'a map layer does not allow export (CORS)' : e.message}`);
+        } finally {
+            this.recording = false;
+            this._setBusy(false);
+        }
+    },
+
+    // Composite the visible tile layers of Map A (in pane order, with their opacity) + a date stamp
+    snapshot(label) {
+        const map = AppState.map;
+        const box = map.getContainer().getBoundingClientRect();
+        const scale = Math.min(1, this.MAX_WIDTH / box.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(box.width * scale);
+        canvas.height = Math.round(box.height * scale);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        map.getPane('tilePane').querySelectorAll('.leaflet-layer').forEach(layerEl => {
+            const alpha = parseFloat(getComputedStyle(layerEl).opacity);
+            if (!(alpha > 0)) return; // preloaded frames are invisible
+            ctx.globalAlpha = alpha;
+            layerEl.querySelectorAll('img.leaflet-tile-loaded').forEach(img => {
+                const r = img.getBoundingClientRect();
+                ctx.drawImage(img, (r.left - box.left) * scale, (r.top - box.top) * scale, r.width * scale, r.height * scale);
+            });
         });
-        await Promise.all(workers);
-        return ret;
+        ctx.globalAlpha = 1;
+
+        const size = Math.max(14, Math.round(canvas.width / 40));
+        ctx.font = `600 ${size}px system-ui, sans-serif`;
+        ctx.fillStyle = 'rgba(15, 23, 42, 0.7)';
+        ctx.fillRect(8, 8, ctx.measureText(label).width + size, size * 1.8);
+        ctx.fillStyle = '#f8fafc';
+        ctx.fillText(label, 8 + size / 2, 8 + size * 1.3);
+        ctx.font = `${Math.round(size * 0.6)}px system-ui, sans-serif`;
+        ctx.fillText('NASA GIBS · © OpenStreetMap contributors', 8, canvas.height - 8);
+        return canvas;
+    },
+
+    async _encodeWebM(frames, fps) {
+        const mime = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(t => window.MediaRecorder?.isTypeSupported(t));
+        if (!mime) throw new Error('WebM recording is not supported in this browser; choose GIF.');
+
+        const canvas = document.createElement('canvas');
+        canvas.width = frames[0].width;
+        canvas.height = frames[0].height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(frames[0], 0, 0);
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const rec = new MediaRecorder(stream, { mimeType: mime, videoBitsPerSecond: 4e6 });
+        const chunks = [];
+        rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        const stopped = new Promise(r => { rec.onstop = r; });
+
+        // Frames are replayed at a fixed rate, so tile loading time does not end up in the video
+        rec.start();
+        for (const frame of frames) {
+            ctx.drawImage(frame, 0, 0);
+            track.requestFrame?.();
+            await new Promise(r => setTimeout(r, 1000 / fps));
+        }
+        rec.stop();
+        await stopped;
+        track.stop();
+        return new Blob(chunks, { type: 'video/webm' });
+    },
+
+    _download(blob, filename) {
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    // ---- UI ----
+    _setPlayLabel() {
+        const btn = document.getElementById('tl-play');
+        if (btn) btn.textContent = this.playing ? 'Pause' : 'Play';
+    },
+
+    _setBusy(busy) {
+        ['tl-play', 'tl-prev', 'tl-next', 'tl-record'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.disabled = busy;
+        });
+    },
+
+    _status(text) {
+        const el = document.getElementById('tl-status');
+        if (!el) return;
+        if (text) { el.textContent = text; return; }
+        el.textContent = this.frames.length
+            ? `Frame ${this.index + 1}/${this.frames.length} · ${this.frames[this.index]}`
+            : 'Choose a date range and press Play.';
+    }
+};
+window.TimeLapse = TimeLapse;
+
+/* =========================================================
+ * GifWriter (NEW): minimal animated GIF89a encoder
+ * Fixed 6×7×6 colour cube palette (no dithering) + LZW; good enough for
+ * imagery previews and keeps the page free of an encoder dependency.
+ * =======================================================*/
+const GifWriter = {
+    // frames: ImageData[] of identical size; delay in 1/100 s; loops forever
+    encode(frames, width, height, delay = 50) {
+        const out = this._buffer();
+        const u16 = (v) => { out.byte(v & 255); out.byte((v >> 8) & 255); };
+
+        out.bytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+        u16(width); u16(height);
+        out.bytes([0xf7, 0, 0]); // global colour table, 256 entries
+        out.bytes(this.palette());
+        // NETSCAPE2.0 application extension: loop forever
+        out.bytes([0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)), 0x03, 0x01, 0, 0, 0]);
+
+        for (const frame of frames) {
+            out.bytes([0x21, 0xf9, 0x04, 0x00]); u16(delay); out.bytes([0, 0]); // graphic control
+            out.byte(0x2c); u16(0); u16(0); u16(width); u16(height); out.byte(0); // image descriptor
+            out.byte(8); // LZW minimum code size
+            this._lzw(this._indices(frame.data), out);
+        }
+        out.byte(0x3b);
+        return new Blob(out.chunks(), { type: 'image/gif' });
+    },
+
+    palette() {
+        const p = new Uint8Array(768);
+        let i = 0;
+        for (let r = 0; r < 6; r++) for (let g = 0; g < 7; g++) for (let b = 0; b < 6; b++) {
+            p[i++] = Math.round((r * 255) / 5);
+            p[i++] = Math.round((g * 255) / 6);
+            p[i++] = Math.round((b * 255) / 5);
+        }
+        return p;
+    },
+
+    _indices(rgba) {
+        const px = new Uint8Array(rgba.length / 4);
+        for (let i = 0, j = 0; i < px.length; i++, j += 4) {
+            px[i] = Math.round((rgba[j] * 5) / 255) * 42 + Math.round((rgba[j + 1] * 6) / 255) * 6 + Math.round((rgba[j + 2] * 5) / 255);
+        }
+        return px;
+    },
+
+    // Variable-width LZW (codes up to 12 bits) written as 255-byte sub-blocks
+    _lzw(px, out) {
+        const CLEAR = 256, EOI = 257;
+        let codeSize = 9, next = 258;
+        const dict = new Map();
+        const block = new Uint8Array(255);
+        let blockLen = 0, cur = 0, bits = 0;
+
+        const flushBlock = () => {
+            if (!blockLen) return;
+            out.byte(blockLen);
+            out.bytes(block.subarray(0, blockLen));
+            blockLen = 0;
+        };
+        const emit = (code) => {
+            cur |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                block[blockLen++] = cur & 255;
+                if (blockLen === 255) flushBlock();
+                cur >>>= 8;
+                bits -= 8;
+            }
+        };
+
+        emit(CLEAR);
+        let prefix = px[0];
+        for (let i = 1; i < px.length; i++) {
+            const k = px[i];
+            const key = prefix * 256 + k;
+            const code = dict.get(key);
+            if (code !== undefined) { prefix = code; continue; }
+            emit(prefix);
+            if (next === 4096) {
+                emit(CLEAR);
+                dict.clear();
+                codeSize = 9;
+                next = 258;
+            } else {
+                if (next >= 1 << codeSize) codeSize++;
+                dict.set(key, next++);
+            }
+            prefix = k;
+        }
+        emit(prefix);
+        emit(EOI);
+        if (bits > 0) block[blockLen++] = cur & 255;
+        if (blockLen === 255) flushBlock();
+        flushBlock();
+        out.byte(0); // block terminator
+    },
+
+    // Growable byte sink in 64 KB chunks
+    _buffer() {
+        const SIZE = 65536;
+        const chunks = [];
+        let buf = new Uint8Array(SIZE), pos = 0;
+        const byte = (v) => {
+            if (pos === SIZE) { chunks.push(buf); buf = new Uint8Array(SIZE); pos = 0; }
+            buf[pos++] = v;
+        };
+        return {
+            byte,
+            bytes: (arr) => { for (let i = 0; i < arr.length; i++) byte(arr[i]); },
+            chunks: () => [...chunks, buf.subarray(0, pos)]
+        };
     }
 };
+window.GifWriter = GifWriter;
 
 /* =========================================================
  * Photo Manager (iNaturalist): load around selected point first
@@ -817,339 +3145,2006 @@ const PhotoManager = {
     async enablePhotos() {
         if (AppState.inatActive) return;
         AppState.inatActive = true;
+        Permalink.schedule();
+        this.clearLayers();
+        this.ensureLayers();
+
+        try {
+            await this.loadPhotosAroundPoint(); // start near selected point
+            this.setupMapListener();
+        } catch (error) {
+            console.error('Failed to load photos:', error);
+            AppState.inatActive = false;
+            Permalink.schedule();
+        }
+    },
+
+    disablePhotos() {
+        AppState.inatActive = false;
+        Permalink.schedule();
         this.clearLayers();
+        this.removeMapListener();
+        AppState.inatIndex.clear();
+        const stats = document.getElementById('photos-stats');
+        if (stats) stats.textContent = '—';
+    },
+
+    toggleHeatmap() {
+        if (!AppState.inatActive) return;
         this.ensureLayers();
+        this.renderPhotos();
+    },
+
+    ensureLayers() {
+        const useHeatmap = document.getElementById('photos-heatmap')?.checked;
+
+        if (useHeatmap) {
+            if (AppState.inatMarkerLayer) {
+                AppState.map.removeLayer(AppState.inatMarkerLayer);
+                AppState.inatMarkerLayer = null;
+            }
+            if (!AppState.inatHeatLayer) {
+                AppState.inatHeatLayer = L.heatLayer([], { radius: 25 }).addTo(AppState.map);
+            }
+        } else {
+            if (AppState.inatHeatLayer) {
+                AppState.map.removeLayer(AppState.inatHeatLayer);
+                AppState.inatHeatLayer = null;
+            }
+            if (!AppState.inatMarkerLayer) {
+                AppState.inatMarkerLayer = L.markerClusterGroup().addTo(AppState.map);
+            }
+        }
+    },
+
+    clearLayers() {
+        if (AppState.inatMarkerLayer) {
+            AppState.map.removeLayer(AppState.inatMarkerLayer);
+            AppState.inatMarkerLayer = null;
+        }
+        if (AppState.inatHeatLayer) {
+            AppState.map.removeLayer(AppState.inatHeatLayer);
+            AppState.inatHeatLayer = null;
+        }
+    },
+
+    // Load around the currently selected point
+    async loadPhotosAroundPoint() {
+        const { lat, lng } = MapManager.getCurrentLocation();
+        const startDate = document.getElementById('photos-start')?.value;
+        const endDate = document.getElementById('photos-end')?.value;
+        const taxon = parseInt(document.getElementById('photos-taxon')?.value) || 47125;
+        const maxPages = Utils.clamp(parseInt(document.getElementById('photos-max-pages')?.value) || 5, 1, 20);
+        const radiusKm = Utils.clamp(parseInt(document.getElementById('photos-radius')?.value) || 25, 1, 200);
+
+        let added = 0;
+        let pages = 0;
+
+        try {
+            for (let page = 1; page <= maxPages; page++) {
+                const observations = await this.fetchINatNearby(lat, lng, radiusKm, startDate, endDate, taxon, page, 200);
+                pages++;
+                if (!observations.length) break;
+
+                for (const obs of observations) {
+                    const id = obs.id;
+                    if (AppState.inatIndex.has(id)) continue;
+
+                    const latV = obs.geojson?.coordinates?.[1] ?? obs.location?.split(',')[0];
+                    const lngV = obs.geojson?.coordinates?.[0] ?? obs.location?.split(',')[1];
+                    if (!Number.isFinite(+latV) || !Number.isFinite(+lngV)) continue;
+
+                    const species = obs.taxon?.preferred_common_name || obs.taxon?.name || '—';
+                    const date = (obs.observed_on_details?.date || obs.observed_on || '').slice(0, 10);
+                    const url = obs.uri || `https://www.inaturalist.org/observations/${id}`;
+                    const thumb = obs.photos?.[0]?.url?.replace('square', 'small') || null;
+
+                    AppState.inatIndex.set(id, { lat: +latV, lng: +lngV, species, date, url, thumb });
+                    added++;
+                }
+                this.renderPhotos();
+            }
+        } catch (error) {
+            console.error('Error loading iNaturalist data:', error);
+        }
+
+        const stats = document.getElementById('photos-stats');
+        if (stats) {
+            stats.textContent = `Loaded ${AppState.inatIndex.size} records (+${added}, pages ${pages}/${maxPages})`;
+        }
+    },
+
+    // Keep this for moveend updates; still centers near current marker
+    setupMapListener() {
+        this.mapMoveHandler = () => this.loadPhotosAroundPoint();
+        AppState.map.on('moveend', this.mapMoveHandler);
+    },
+
+    removeMapListener() {
+        if (this.mapMoveHandler) {
+            AppState.map.off('moveend', this.mapMoveHandler);
+            this.mapMoveHandler = null;
+        }
+    },
+
+    async fetchINatNearby(lat, lng, radiusKm, startDate, endDate, taxon, page, perPage) {
+        const url = new URL('https://api.inaturalist.org/v1/observations');
+        const params = {
+            geo: true,
+            photos: true,
+            verifiable: true,
+            lat: lat,
+            lng: lng,
+            radius: radiusKm, // kilometers
+            taxon_id: taxon,
+            per_page: perPage,
+            page: page
+        };
+        if (startDate) params.d1 = startDate;
+        if (endDate) params.d2 = endDate;
+
+        url.search = new URLSearchParams(params).toString();
+        const response = await Http.fetch(url.toString());
+        if (!response.ok) throw new Error(`iNaturalist API error: ${response.status}`);
+        const data = await response.json();
+        return data.results || [];
+    },
 
+    renderPhotos() {
+        const useHeatmap = document.getElementById('photos-heatmap')?.checked;
+
+        if (useHeatmap && AppState.inatHeatLayer) {
+            const points = Array.from(AppState.inatIndex.values()).map(item => [item.lat, item.lng]);
+            AppState.inatHeatLayer.setLatLngs(points);
+        } else if (AppState.inatMarkerLayer) {
+            AppState.inatMarkerLayer.clearLayers();
+            for (const item of AppState.inatIndex.values()) {
+                const marker = L.marker([item.lat, item.lng], { icon: Icons.flower });
+                const popupContent = `
+                    <div>
+                        <strong>${item.species}</strong><br>
+                        Date: ${item.date}<br>
+                        <a href="${item.url}" target="_blank">View Details</a>
+                        ${item.thumb ? `<br><img src="${item.thumb}" style="max-width: 150px; margin-top: 5px;">` : ''}
+                    </div>`;
+                marker.bindPopup(popupContent);
+                AppState.inatMarkerLayer.addLayer(marker);
+            }
+        }
+    }
+};
+
+/* =========================================================
+ * Vegetation Manager
+ * =======================================================*/
+const VegetationManager = {
+    // Vigor grading: the site's own history first, then its land-cover class, then fixed cut-offs
+    VIGOR_WINDOW_DAYS: 16,   // ± days around the same date in earlier years
+    VIGOR_MIN_HISTORY: 4,    // clear composites needed for a percentile
+    VIGOR_GRADES: [['Very Low', 'vig-verylow'], ['Low', 'vig-low'], ['Normal', 'vig-medium'], ['High', 'vig-high'], ['Very High', 'vig-veryhigh']],
+    PERCENTILE_BOUNDS: [10, 25, 75, 90],    // upper bounds of the grades
+    CLASS_BOUNDS: [0, 0.25, 0.75, 1],       // same, as a fraction of the class NDVI range
+    // Approximate NDVI range through the year (about 5th–95th percentile) per IGBP class;
+    // snow/ice and water have none
+    CLASS_NDVI: {
+        1: [0.45, 0.85], 2: [0.70, 0.92], 3: [0.35, 0.85], 4: [0.40, 0.90], 5: [0.45, 0.88],
+        6: [0.30, 0.70], 7: [0.10, 0.40], 8: [0.35, 0.80], 9: [0.25, 0.70], 10: [0.15, 0.70],
+        11: [0.25, 0.80], 12: [0.15, 0.90], 13: [0.10, 0.45], 14: [0.25, 0.85], 16: [0.02, 0.15]
+    },
+    _vigorSeq: 0,            // latest showVigor call; older ones do not write #vi-vigor
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        this.setupControls();
+    },
+
+    setupControls() {
+        const queryBtn = document.getElementById('vi-query');
+        if (queryBtn) queryBtn.addEventListener('click', () => this.queryVegetationIndex());
+        // The series / neighborhood variable lists follow the product
+        const productSelect = document.getElementById('vi-product');
+        const syncVariables = () => ['vi-ts-index', 'nb-index'].forEach(id => Products.fillSelect(id, productSelect.value));
+        if (productSelect) {
+            productSelect.addEventListener('change', syncVariables);
+            syncVariables();
+        }
+    },
+
+    async queryVegetationIndex() {
+        const location = MapManager.getCurrentLocation();
+        const product = document.getElementById('vi-product')?.value || 'MOD13Q1';
+        try {
+            await this.fetchVegetationIndex(location.lat, location.lng, product);
+        } catch (error) {
+            console.error('Failed to fetch vegetation index:', error);
+            this.clearVegetationDisplay();
+        }
+    },
+
+    async fetchVegetationIndex(lat, lng, product) {
+        // Fetch available dates
+        const dates = await this.fetchDates(product, lat, lng);
+        const dateArray = dates?.dates || [];
+        if (!dateArray.length) throw new Error('No composite dates available for this location');
+
+        // Fetch latest composite
+        const [row] = await RstSeries.fetch(product, lat, lng, [dateArray[dateArray.length - 1]]);
+        if (!row) throw new Error('Empty subset data');
+
+        this.updateVegetationDisplay(row);
+        const values = Object.fromEntries(Products.primary(product).map(k => [k, row.values[k]]));
+        Sites.record(lat, lng, Products.get(product).family, { product, date: row.date, ...values, ...row.qa });
+        this.showVigor(product, lat, lng, row, this.showLandCover(lat, lng));
+    },
+
+    // MCD12Q1 class at the point; does not hold up the product query. Resolves to the class or null
+    async showLandCover(lat, lng) {
+        const el = document.getElementById('vi-landcover');
+        if (el) el.textContent = 'Loading…';
+        try {
+            const lc = await Products.landCover(lat, lng);
+            if (el) el.textContent = lc ? `${lc.label} (IGBP class ${lc.code}, MCD12Q1 ${lc.year})` : 'Not available';
+            if (lc) Sites.record(lat, lng, 'landcover', lc);
+            return lc;
+        } catch (e) {
+            console.warn('[Vegetation] land cover unavailable:', e.message);
+            if (el) el.textContent = 'Not available';
+            return null;
+        }
+    },
+
+    // Grade the composite's NDVI once its history and the land cover are in
+    async showVigor(product, lat, lng, row, landCover) {
+        const el = document.getElementById('vi-vigor');
+        if (!el) return;
+        const seq = ++this._vigorSeq;
+        if (row.values.ndvi === undefined) { el.textContent = 'Vegetation index products only'; return; }
+        if (row.values.ndvi == null) { el.textContent = '—'; return; }
+        el.textContent = 'Grading against the site history…';
+        const [history, lc] = await Promise.all([
+            this.vigorHistory(product, lat, lng, row.modisDate).catch(e => {
+                console.warn('[Vegetation] vigor history unavailable:', e.message);
+                return null;
+            }),
+            landCover
+        ]);
+        if (seq !== this._vigorSeq) return; // the marker moved or another query started meanwhile
+        el.innerHTML = this.getVigorInfo(row.values.ndvi, { history, landCover: lc, qa: row.qa });
+    },
+
+    async fetchDates(product, lat, lng) {
+        const url = `${CONFIG.RST}/${product}/dates?latitude=${lat}&longitude=${lng}`;
+        const response = await Http.fetch(url);
+        if (!response.ok) throw new Error(`Dates API error: ${response.status}`);
+        return response.json();
+    },
+
+    // km: half-size of the pixel window around the point (0 = single pixel);
+    // a number for a square window or [kmAboveBelow, kmLeftRight]
+    async fetchSubset(product, lat, lng, startDate, endDate, km = 0) {
+        const [ab, lr] = Array.isArray(km) ? km : [km, km];
+        const url = `${CONFIG.RST}/${product}/subset?latitude=${lat}&longitude=${lng}&startDate=${startDate}&endDate=${endDate}&kmAboveBelow=${ab}&kmLeftRight=${lr}`;
+        const response = await Http.fetch(url);
+        if (!response.ok) throw new Error(`Subset API error: ${response.status}`);
+        return response.json();
+    },
+
+    // Scaled value of an RST band; the product descriptors know the band, bare numbers pass through
+    scaleValue(bandName, raw) {
+        if (raw == null) return null;
+        const v = Products.forBand(bandName);
+        if (v) return Products.scale(v, raw);
+        const n = Number(raw);
+        if (n <= -9000) return null; // fill / invalid
+        const b = (bandName || '').toLowerCase();
+        if (b.includes('zenith') || b.includes('azimuth')) return n * 0.01;
+        return n;
+    },
+
+    // row: RstSeries row of the latest composite
+    updateVegetationDisplay(row) {
+        const vars = Products.get(row.product).variables;
+        const body = document.getElementById('vi-values');
+        if (body) {
+            body.innerHTML = Object.entries(vars).map(([key, v]) =>
+                `<tr><td>${v.label}</td><td>${Products.format(v, row.values[key])}</td><td>${v.note || ''}</td></tr>`).join('');
+        }
+        const elements = {
+            'vi-date': `${row.date || '—'} · ${row.product} tile ${row.tile || '—'}`,
+            'vi-quality': this.getQualityBadge(row.qa)
+        };
+
+        for (const [id, content] of Object.entries(elements)) {
+            const element = document.getElementById(id);
+            if (!element) continue;
+            if (id === 'vi-quality') element.innerHTML = content;
+            else element.textContent = content;
+        }
+    },
+
+    // qa: row.qa of any product (VI reliability + VI_Quality, LAI/FPAR QC, LST QC)
+    getQualityBadge(qa) {
+        const lines = ViQuality.describe(qa);
+        if (!lines.length) return '—';
+        const { label, cls } = ViQuality.headline(qa);
+        const reasons = ViQuality.reasons(qa);
+        const verdict = reasons.length
+            ? `Masked by ${ViQuality.POLICIES[ViQuality.policy].label.toLowerCase()} policy: ${reasons.join(', ')}`
+            : `Usable under ${ViQuality.POLICIES[ViQuality.policy].label.toLowerCase()} policy`;
+        return `<span class="badge ${cls}">${label}</span> ${verdict}
+            <ul class="qa-list">${lines.map(l => `<li>${l}</li>`).join('')}</ul>`;
+    },
+
+    // Fixed NDVI cut-offs -> { label, cls }; the fallback when neither history nor land cover is available
+    vigorClass(ndvi) {
+        if (ndvi == null || isNaN(ndvi)) return { label: 'Unknown', cls: 'vig-verylow' };
+        if (ndvi < 0.2) return { label: 'Very Low (Bare/Urban)', cls: 'vig-verylow' };
+        if (ndvi < 0.3) return { label: 'Low', cls: 'vig-low' };
+        if (ndvi < 0.5) return { label: 'Moderate', cls: 'vig-medium' };
+        if (ndvi < 0.7) return { label: 'High', cls: 'vig-high' };
+        return { label: 'Very High', cls: 'vig-veryhigh' };
+    },
+
+    vigorYears() {
+        return Utils.clamp(parseInt(document.getElementById('vi-vigor-years')?.value) || 5, 2, 10);
+    },
+
+    // NDVI of the clear composites within ±VIGOR_WINDOW_DAYS of the same date in each of the past `years` years
+    // -> { values, from, to } (from/to: first and last year contributing)
+    async vigorHistory(product, lat, lng, modisDate, years = this.vigorYears()) {
+        const json = await this.fetchDates(product, lat, lng);
+        const t = (md) => Date.parse(RstSeries.toISO(md));
+        const now = t(modisDate);
+        const byLag = new Map(); // years back -> modis dates
+        for (const md of (json?.dates || []).map(d => d?.modis_date || d).filter(Boolean)) {
+            const days = (now - t(md)) / 864e5;
+            const k = Math.round(days / 365.25);
+            if (k < 1 || k > years || Math.abs(days - k * 365.25) > this.VIGOR_WINDOW_DAYS) continue;
+            if (!byLag.has(k)) byLag.set(k, []);
+            byLag.get(k).push(md);
+        }
+        // One request per year keeps every RST window short
+        const groups = await Utils.pool([...byLag.values()].map(list => () => RstSeries.fetch(product, lat, lng, list).catch(() => [])), 2);
+        const rows = groups.flat().filter(r => r.values.ndvi != null && ViQuality.usable(r.qa));
+        const yrs = rows.map(r => parseInt(r.date, 10));
+        return { values: rows.map(r => r.values.ndvi), from: yrs.length ? Math.min(...yrs) : null, to: yrs.length ? Math.max(...yrs) : null };
+    },
+
+    // Mid-rank percentile (ties count half) of v among values
+    percentile(values, v) {
+        const below = values.filter(x => x < v).length;
+        const equal = values.filter(x => x === v).length;
+        return (100 * (below + equal / 2)) / values.length;
+    },
+
+    _grade(bounds, x) {
+        const i = bounds.findIndex(b => x < b);
+        const [label, cls] = this.VIGOR_GRADES[i < 0 ? bounds.length : i];
+        return { label, cls };
+    },
+
+    // -> { label, cls, source: 'history' | 'landcover' | 'fixed', basis: [lines], unreliable }
+    // history: vigorHistory() result; landCover: Products.landCover() result;
+    // qa: the composite's QA, a composite failing the policy gets its grade flagged unreliable
+    vigor(ndvi, { history = null, landCover = null, qa = null } = {}) {
+        if (ndvi == null || isNaN(ndvi)) return { label: 'Unknown', cls: 'vig-verylow', source: 'fixed', basis: [], unreliable: false };
+        const basis = [];
+        const masked = qa ? ViQuality.reasons(qa) : [];
+        if (masked.length) basis.push(`Unreliable: this composite fails the ${ViQuality.policy} QA policy (${masked.join(', ')})`);
+        let grade = null;
+        if (history?.values.length >= this.VIGOR_MIN_HISTORY) {
+            const p = this.percentile(history.values, ndvi);
+            grade = { ...this._grade(this.PERCENTILE_BOUNDS, p), source: 'history' };
+            basis.push(`${grade.label} vs. site history: percentile ${Math.round(p)} of ${history.values.length} clear composites within ±${this.VIGOR_WINDOW_DAYS} days of this date, ${history.from}–${history.to}`);
+        } else if (history) {
+            basis.push(`Site history: only ${history.values.length} clear composite(s) at this time of year, too few for a percentile`);
+        }
+        const range = landCover && this.CLASS_NDVI[landCover.code];
+        if (range) {
+            const [lo, hi] = range;
+            const g = { ...this._grade(this.CLASS_BOUNDS, (ndvi - lo) / (hi - lo)), source: 'landcover' };
+            basis.push(`${g.label} for ${landCover.label} (typical NDVI ${lo.toFixed(2)}–${hi.toFixed(2)}; MCD12Q1 ${landCover.year})`);
+            grade = grade || g;
+        } else if (landCover) {
+            basis.push(`No NDVI range for ${landCover.label}`);
+        }
+        if (!grade) {
+            grade = { ...this.vigorClass(ndvi), source: 'fixed' };
+            basis.push('Fixed NDVI cut-offs (0.2 / 0.3 / 0.5 / 0.7): no usable site history or land cover class');
+        }
+        return { ...grade, basis, unreliable: masked.length > 0 };
+    },
+
+    getVigorInfo(ndvi, ref = {}) {
+        if (ndvi == null || isNaN(ndvi)) return '<span class="vig-verylow">Unknown</span>';
+        const v = this.vigor(ndvi, ref);
+        const source = { history: 'vs. site history', landcover: 'vs. land cover class', fixed: 'by fixed cut-offs' }[v.source];
+        const flag = v.unreliable ? ' <span class="qa-flag" title="Composite fails the QA policy">unreliable</span>' : '';
+        return `<span class="${v.cls}">${v.label}</span>${flag} ${source} (NDVI=${Utils.fmt(ndvi, 3)})
+            <ul class="qa-list">${v.basis.map(l => `<li>${l}</li>`).join('')}</ul>`;
+    },
+
+    clearVegetationDisplay() {
+        const body = document.getElementById('vi-values');
+        if (body) body.querySelectorAll('td:nth-child(2)').forEach(td => { td.textContent = '—'; });
+        const ids = ['vi-date', 'vi-landcover', 'vi-quality', 'vi-vigor'];
+        ids.forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            if (id === 'vi-quality' || id === 'vi-vigor') el.innerHTML = '—';
+            else el.textContent = '—';
+        });
+    },
+
+    // Multi-composite series at a point (batched, see RstSeries)
+    async fetchSeries(product, lat, lng, opts = {}) {
+        return RstSeries.fetchYears(product, lat, lng, opts);
+    },
+
+    updateLocation(_lat, _lng) {
+        // Could auto-refresh when location changes if needed
+        // this.queryVegetationIndex();
+    }
+};
+
+/* =========================================================
+ * Products (NEW): descriptors of the RST land products
+ * - per product: family, composite period (days), resolution, QA bands
+ *   (row.qa key -> band keyword) and variables
+ * - per variable: band keyword, scale/offset, valid raw range (anything
+ *   outside is fill), units, physical range and an optional class table;
+ *   `qa` names the QA keys that apply when a product mixes day/night layers
+ * - `primary` variables are the ones offered by the series, map and forecast tools
+ * =======================================================*/
+const VI_VARIABLES = {
+    ndvi: { label: 'NDVI', match: 'ndvi', scale: 0.0001, valid: [-2000, 10000], digits: 4, range: [-0.1, 1], note: '[−1, 1]', primary: true },
+    evi:  { label: 'EVI', match: 'evi', scale: 0.0001, valid: [-2000, 10000], digits: 4, range: [-0.1, 1], note: '[−1, ~1]', primary: true },
+    red:  { label: 'Red', match: 'red_reflectance', scale: 0.0001, valid: [0, 10000], digits: 4, note: 'Surface reflectance' },
+    nir:  { label: 'NIR', match: 'nir_reflectance', scale: 0.0001, valid: [0, 10000], digits: 4, note: 'Surface reflectance' },
+    blue: { label: 'Blue', match: 'blue_reflectance', scale: 0.0001, valid: [0, 10000], digits: 4, note: 'Surface reflectance' },
+    mir:  { label: 'MIR', match: 'mir_reflectance', scale: 0.0001, valid: [0, 10000], digits: 4, note: 'Surface reflectance' }
+};
+
+const Products = {
+    LIST: {
+        MOD13Q1: {
+            label: 'MODIS Terra vegetation indices', family: 'vi', period: 16, resolution: 250,
+            qa: { reliability: 'pixel_reliability', viQuality: 'vi_quality' },
+            variables: VI_VARIABLES
+        },
+        VNP13A1: {
+            label: 'VIIRS SNPP vegetation indices', family: 'vi', period: 16, resolution: 500,
+            qa: { reliability: 'pixel_reliability', viQuality: 'vi_quality' },
+            variables: VI_VARIABLES
+        },
+        MOD15A2H: {
+            label: 'MODIS Terra LAI/FPAR', family: 'lai', period: 8, resolution: 500,
+            qa: { fparLaiQc: 'fparlai_qc', fparExtraQc: 'fparextra_qc' },
+            variables: {
+                lai:  { label: 'LAI', match: 'lai_500m', scale: 0.1, valid: [0, 100], units: 'm²/m²', digits: 2, range: [0, 10], note: 'One-sided green leaf area', primary: true },
+                fpar: { label: 'FPAR', match: 'fpar_500m', scale: 0.01, valid: [0, 100], digits: 2, range: [0, 1], note: 'Fraction of absorbed PAR', primary: true }
+            }
+        },
+        MOD11A2: {
+            label: 'MODIS Terra land surface temperature', family: 'lst', period: 8, resolution: 1000,
+            qa: { qcDay: 'qc_day', qcNight: 'qc_night' },
+            variables: {
+                lst_day:   { label: 'LST (day)', match: 'lst_day_1km', scale: 0.02, offset: -273.15, valid: [7500, 65535], units: '°C', digits: 1, range: [-30, 60], note: '~10:30 local overpass', qa: ['qcDay'], primary: true },
+                lst_night: { label: 'LST (night)', match: 'lst_night_1km', scale: 0.02, offset: -273.15, valid: [7500, 65535], units: '°C', digits: 1, range: [-40, 40], note: '~22:30 local overpass', qa: ['qcNight'], primary: true }
+            }
+        },
+        MCD12Q1: {
+            label: 'MODIS land cover (yearly)', family: 'landcover', period: 365, resolution: 500,
+            qa: {},
+            variables: {
+                lc_type1: {
+                    label: 'Land cover (IGBP)', match: 'lc_type1', valid: [1, 17],
+                    classes: {
+                        1: 'Evergreen needleleaf forest', 2: 'Evergreen broadleaf forest', 3: 'Deciduous needleleaf forest',
+                        4: 'Deciduous broadleaf forest', 5: 'Mixed forest', 6: 'Closed shrubland', 7: 'Open shrubland',
+                        8: 'Woody savanna', 9: 'Savanna', 10: 'Grassland', 11: 'Permanent wetland', 12: 'Cropland',
+                        13: 'Urban and built-up', 14: 'Cropland/natural vegetation mosaic', 15: 'Permanent snow and ice',
+                        16: 'Barren', 17: 'Water bodies'
+                    }
+                }
+            }
+        }
+    },
+
+    get(product) {
+        const d = this.LIST[product];
+        if (!d) throw new Error(`Unknown product: ${product}`);
+        return d;
+    },
+
+    // Variable descriptor by key ('ndvi', 'lai', 'lst_day', ...); keys are unique across products
+    variable(key) {
+        for (const d of Object.values(this.LIST)) if (d.variables[key]) return d.variables[key];
+        return null;
+    },
+
+    label(key) {
+        return this.variable(key)?.label || String(key).toUpperCase();
+    },
+
+    primary(product) {
+        const vars = this.get(product).variables;
+        return Object.keys(vars).filter(k => vars[k].primary);
+    },
+
+    // Variable whose band keyword appears in an RST band name
+    forBand(bandName) {
+        const b = (bandName || '').toLowerCase();
+        for (const d of Object.values(this.LIST)) {
+            for (const v of Object.values(d.variables)) if (this._bandMatch(b, v.match)) return v;
+        }
+        return null;
+    },
+
+    bandName(names, keyword) {
+        return names.find(n => this._bandMatch(n, keyword)) || null;
+    },
+
+    // Keyword as whole '_'-separated parts of the band name: 'evi' matches
+    // 250m_16_days_evi but not 500_m_16_days_evi2 (VNP13) or ..._ndvi
+    _bandMatch(name, keyword) {
+        let re = this._bandRe.get(keyword);
+        if (!re) this._bandRe.set(keyword, (re = new RegExp(`(^|_)${keyword}(_|$)`)));
+        return re.test(name);
+    },
+    _bandRe: new Map(),
+
+    // Raw band value -> physical value; null for fill / out of the valid range
+    scale(v, raw) {
+        if (raw == null || raw === '') return null;
+        const n = Number(raw);
+        if (!Number.isFinite(n)) return null;
+        if (v.valid && (n < v.valid[0] || n > v.valid[1])) return null;
+        return n * (v.scale ?? 1) + (v.offset ?? 0);
+    },
+
+    format(v, value) {
+        if (value == null) return '—';
+        if (v.classes) return v.classes[value] || `Class ${value}`;
+        return `${Utils.fmt(value, v.digits ?? 3)}${v.units ? ` ${v.units}` : ''}`;
+    },
+
+    // Physical values of pixel i of a row's bands: { ndvi, evi, ... }
+    valuesAt(product, bands, i) {
+        const names = Object.keys(bands);
+        const out = {};
+        for (const [key, v] of Object.entries(this.get(product).variables)) {
+            const n = this.bandName(names, v.match);
+            out[key] = n ? this.scale(v, bands[n][i]) : null;
+        }
+        return out;
+    },
+
+    // QA values of pixel i under the product's keys, e.g. { reliability, viQuality } or { qcDay, qcNight }
+    qaAt(product, bands, i) {
+        const names = Object.keys(bands);
+        const out = {};
+        for (const [key, kw] of Object.entries(this.get(product).qa)) {
+            const n = this.bandName(names, kw);
+            out[key] = n && bands[n][i] != null ? Utils.numOrNull(bands[n][i]) : null;
+        }
+        return out;
+    },
+
+    // The part of a QA record that applies to one variable (LST day vs night); whole record otherwise
+    qaFor(qa, key) {
+        const keys = this.variable(key)?.qa;
+        if (!keys || !qa) return qa;
+        return Object.fromEntries(keys.map(k => [k, qa[k] ?? null]));
+    },
+
+    // Refill a variable <select> with the product's primary variables, keeping the choice when possible
+    fillSelect(id, product) {
+        const el = document.getElementById(id);
+        if (!el || !this.LIST[product]) return;
+        const keys = this.primary(product);
+        const prev = el.value;
+        el.innerHTML = keys.map(k => `<option value="${k}">${this.label(k)}</option>`).join('');
+        el.value = keys.includes(prev) ? prev : keys[0];
+    },
+
+    // IGBP class of the latest MCD12Q1 year at a point: { product, year, code, label } or null
+    async landCover(lat, lng) {
+        const json = await VegetationManager.fetchDates('MCD12Q1', lat, lng);
+        const dates = json?.dates || [];
+        if (!dates.length) return null;
+        const [row] = await RstSeries.fetch('MCD12Q1', lat, lng, [dates[dates.length - 1]]);
+        const code = row?.values?.lc_type1;
+        if (code == null) return null;
+        const v = this.LIST.MCD12Q1.variables.lc_type1;
+        return { product: 'MCD12Q1', year: String(row.date).slice(0, 4), code, label: this.format(v, code) };
+    }
+};
+window.Products = Products;
+
+/* =========================================================
+ * RstSeries (NEW): batched MODIS/VIIRS RST time-series fetcher
+ * - groups consecutive composites into windows of MAX_DATES (RST limit)
+ * - runs windows in a bounded parallel pool, reports progress
+ * - returns one row per composite with values and QA scaled per the product
+ *   descriptor (see Products):
+ *   { date, modisDate, tile, product, values: { ndvi, evi, ... }, qa: { reliability, viQuality }, bands, grid }
+ * =======================================================*/
+const RstSeries = {
+    MAX_DATES: 10,
+    POOL: 3,
+
+    // Last `years` of composites at a point
+    async fetchYears(product, lat, lng, { years = 3, km = 0, onProgress } = {}) {
+        const json = await VegetationManager.fetchDates(product, lat, lng);
+        const entries = (json?.dates || []).slice(-Math.ceil((365 / Products.get(product).period) * years));
+        return this.fetch(product, lat, lng, entries, { km, onProgress });
+    },
+
+    // dates: RST date entries ({ modis_date, calendar_date }) or modis_date strings
+    async fetch(product, lat, lng, dates, { km = 0, pool = this.POOL, onProgress } = {}) {
+        const list = dates.map(d => d?.modis_date || d).filter(Boolean).sort();
+        const batches = [];
+        for (let i = 0; i < list.length; i += this.MAX_DATES) batches.push(list.slice(i, i + this.MAX_DATES));
+
+        let done = 0, failed = 0;
+        onProgress?.(0, batches.length);
+        const results = await Utils.pool(batches.map(b => async () => {
+            let json = null;
+            try {
+                json = await VegetationManager.fetchSubset(product, lat, lng, b[0], b[b.length - 1], km);
+            } catch (e) {
+                failed++;
+                console.warn(`[RstSeries] window ${b[0]}..${b[b.length - 1]} failed:`, e.message);
+            }
+            onProgress?.(++done, batches.length);
+            return json;
+        }), pool);
+        if (failed === batches.length && batches.length) throw new Error('All RST requests failed');
+
+        const rows = new Map(); // modis_date -> row
+        for (const json of results) {
+            if (!json) continue;
+            const grid = {
+                nrows: json.nrows, ncols: json.ncols, cellsize: json.cellsize,
+                xllcorner: json.xllcorner, yllcorner: json.yllcorner
+            };
+            for (const item of (json.subset || [])) {
+                const md = item.modis_date;
+                if (!rows.has(md)) {
+                    rows.set(md, {
+                        date: item.calendar_date || this.toISO(md),
+                        modisDate: md,
+                        tile: item.tile,
+                        bands: {},
+                        grid
+                    });
+                }
+                rows.get(md).bands[(item.band || '').toLowerCase()] = Array.isArray(item.data) ? item.data : [item.data];
+            }
+        }
+
+        return Array.from(rows.values())
+            .map(r => this._decorate(r, product))
+            .sort((a, b) => (a.date < b.date ? -1 : 1));
+    },
+
+    // Scaled centre-pixel values + QA for a merged row
+    _decorate(row, product, pixel = null) {
+        const names = Object.keys(row.bands);
+        const idx = pixel ?? Math.floor(((row.bands[names[0]] || []).length - 1) / 2);
+        row.product = product;
+        row.values = Products.valuesAt(product, row.bands, idx);
+        row.qa = Products.qaAt(product, row.bands, idx);
+        return row;
+    },
+
+    toISO(modisDate) {
+        const m = /^A?(\d{4})-?(\d{3})$/.exec(modisDate || '');
+        return m ? Utils.doyToDate(+m[1], +m[2]) : modisDate;
+    }
+};
+window.RstSeries = RstSeries;
+
+/* =========================================================
+ * ViQuality (NEW): MOD13/VNP13 QA decoding and the shared masking policy
+ * - decode(viQuality) unpacks the 16-bit VI_Quality field (VNP13 uses the MOD13 layout)
+ * - a policy (strict | moderate | permissive) combines pixel_reliability
+ *   with the decoded flags; every VI consumer asks usable()/reason()
+ *   (point series, AOI statistics, heatmaps, forecast, assistant context)
+ * - the same policy names carry rules for MOD15A2H FparLai_QC/FparExtra_QC
+ *   and MOD11A2 QC_Day/QC_Night; the QA keys on a row pick the rule set
+ * - the chosen policy is kept in localStorage
+ * =======================================================*/
+const ViQuality = {
+    STORAGE_KEY: 'viQualityPolicy',
+    RELIABILITY: { '-1': 'Fill/No data', 0: 'Good', 1: 'Marginal', 2: 'Snow/Ice', 3: 'Cloudy' },
+    MODLAND: ['VI produced, good quality', 'VI produced, check other QA', 'VI produced, probably cloudy', 'VI not produced'],
+    AEROSOL: ['Climatology', 'Low', 'Intermediate', 'High'],
+    LAND_WATER: ['Shallow ocean', 'Land', 'Coastline/lake shore', 'Shallow inland water', 'Ephemeral water', 'Deep inland water', 'Moderate/continental ocean', 'Deep ocean'],
+    POLICIES: {
+        strict: {
+            label: 'Strict',
+            reliability: [0],
+            modland: [0, 1],
+            maxUsefulness: 2,
+            reject: ['adjacentCloud', 'mixedCloud', 'snow', 'shadow', 'highAerosol'],
+            lai: { scf: [0], cloud: [0, 3], reject: ['snow', 'aerosol', 'cirrus', 'cloudMask', 'shadow'] },
+            lst: { mandatory: [0], maxLstError: 0 }
+        },
+        moderate: {
+            label: 'Moderate',
+            reliability: [0, 1],
+            modland: [0, 1],
+            maxUsefulness: 11,
+            reject: ['mixedCloud', 'snow', 'shadow'],
+            lai: { scf: [0, 1], cloud: [0, 3], reject: ['snow', 'cloudMask', 'shadow'] },
+            lst: { mandatory: [0, 1], maxLstError: 1 }
+        },
+        permissive: {
+            label: 'Permissive',
+            reliability: [0, 1, 2],
+            modland: [0, 1, 2],
+            maxUsefulness: 15,
+            reject: [],
+            lai: { scf: [0, 1, 2, 3], cloud: [0, 2, 3], reject: [] },
+            lst: { mandatory: [0, 1], maxLstError: 3 }
+        }
+    },
+    FLAG_LABELS: {
+        adjacentCloud: 'adjacent cloud', mixedCloud: 'mixed clouds', snow: 'possible snow/ice',
+        shadow: 'possible shadow', highAerosol: 'high aerosol'
+    },
+    // MOD15A2H
+    SCF: ['Main (RT) method, best', 'Main method, saturated', 'Backup method (geometry)', 'Backup method (other)', 'Not produced'],
+    CLOUD_STATE: ['Clear', 'Significant clouds', 'Mixed clouds', 'Not set (assumed clear)'],
+    LAI_FLAGS: { snow: 'snow/ice', aerosol: 'aerosol', cirrus: 'cirrus', cloudMask: 'internal cloud mask', shadow: 'cloud shadow' },
+    // MOD11A2
+    LST_MANDATORY: ['Good quality', 'Produced, other quality', 'Not produced (cloud)', 'Not produced (other)'],
+    LST_ERROR: ['≤ 1 K', '≤ 2 K', '≤ 3 K', '> 3 K'],
+
+    policy: 'moderate',
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            if (this.POLICIES[saved]) this.policy = saved;
+        } catch (_) {}
+        const select = document.getElementById('vi-qa-policy');
+        if (!select) return;
+        select.value = this.policy;
+        select.addEventListener('change', () => this.setPolicy(select.value));
+    },
+
+    setPolicy(name) {
+        if (!this.POLICIES[name] || name === this.policy) return;
+        this.policy = name;
+        try { localStorage.setItem(this.STORAGE_KEY, name); } catch (_) {}
+        // Consumers read the policy when they run: redraw what is on screen now
+        ['A', 'B'].forEach(side => {
+            if (HeatmapHelper.TYPES[AppState[`heatType${side}`]]?.product) LayerManager.refreshHeatmap(side, true);
+        });
+        if (ViSeries.rows.length) ViSeries.render();
+        Neighborhood.render();
+        AOI.refresh();
+    },
+
+    // 16-bit VI_Quality -> flags
+    decode(q) {
+        if (q == null || !Number.isFinite(Number(q))) return null;
+        const v = Number(q) & 0xffff;
+        const bits = (from, n) => (v >> from) & ((1 << n) - 1);
+        return {
+            raw: v,
+            modland: bits(0, 2),
+            usefulness: bits(2, 4),     // 0 highest … 12 lowest, 13–15 not useful
+            aerosol: bits(6, 2),
+            adjacentCloud: !!bits(8, 1),
+            brdf: !!bits(9, 1),
+            mixedCloud: !!bits(10, 1),
+            landWater: bits(11, 3),
+            snow: !!bits(14, 1),
+            shadow: !!bits(15, 1),
+            highAerosol: bits(6, 2) === 3
+        };
+    },
+
+    // FparLai_QC (8 bits) + FparExtra_QC (8 bits) -> flags
+    decodeLai(qc, extra) {
+        if (qc == null || !Number.isFinite(Number(qc))) return null;
+        const v = Number(qc) & 0xff, x = extra == null ? 0 : Number(extra) & 0xff;
+        return {
+            raw: v,
+            modland: v & 1,
+            deadDetector: !!((v >> 2) & 1),
+            cloud: (v >> 3) & 3,
+            scf: (v >> 5) & 7,        // 0–3 retrieval method, 4+ not produced
+            snow: !!((x >> 2) & 1),
+            aerosol: !!((x >> 3) & 1),
+            cirrus: !!((x >> 4) & 1),
+            cloudMask: !!((x >> 5) & 1),
+            shadow: !!((x >> 6) & 1)
+        };
+    },
+
+    // QC_Day / QC_Night (8 bits) -> fields
+    decodeLst(qc) {
+        if (qc == null || !Number.isFinite(Number(qc))) return null;
+        const v = Number(qc) & 0xff;
+        return { raw: v, mandatory: v & 3, dataQuality: (v >> 2) & 3, emisError: (v >> 4) & 3, lstError: (v >> 6) & 3 };
+    },
+
+    _laiReasons(qa, p) {
+        const d = this.decodeLai(qa.fparLaiQc, qa.fparExtraQc);
+        if (!d) return [];
+        const out = [];
+        if (!p.scf.includes(d.scf)) out.push(d.scf >= 4 ? 'not produced' : this.SCF[d.scf].toLowerCase());
+        if (!p.cloud.includes(d.cloud)) out.push(this.CLOUD_STATE[d.cloud].toLowerCase());
+        for (const f of p.reject) if (d[f]) out.push(this.LAI_FLAGS[f]);
+        return out;
+    },
+
+    // Day and night are checked separately; the prefix only appears when both are present
+    _lstReasons(qa, p) {
+        const both = qa.qcDay != null && qa.qcNight != null;
+        const out = [];
+        for (const [key, when] of [['qcDay', 'day'], ['qcNight', 'night']]) {
+            const d = this.decodeLst(qa[key]);
+            if (!d) continue;
+            const pre = both ? `${when}: ` : '';
+            if (!p.mandatory.includes(d.mandatory)) out.push(pre + ['good', 'other quality', 'cloudy', 'not produced'][d.mandatory]);
+            else if (d.lstError > p.maxLstError) out.push(`${pre}LST error ${this.LST_ERROR[d.lstError]}`);
+        }
+        return out;
+    },
+
+    // Why a composite fails the policy: [] when usable.
+    // qa: row.qa of RstSeries ({ reliability, viQuality }, { fparLaiQc, fparExtraQc } or { qcDay, qcNight })
+    reasons(qa, policy = this.policy) {
+        const p = this.POLICIES[policy] || this.POLICIES.moderate;
+        if (qa && 'fparLaiQc' in qa) return this._laiReasons(qa, p.lai);
+        if (qa && ('qcDay' in qa || 'qcNight' in qa)) return this._lstReasons(qa, p.lst);
+        const out = [];
+        const rel = qa?.reliability;
+        if (rel != null && !p.reliability.includes(rel)) out.push(rel < 0 ? 'fill' : this.RELIABILITY[rel]?.toLowerCase() || `reliability ${rel}`);
+        const d = this.decode(qa?.viQuality);
+        if (d) {
+            if (!p.modland.includes(d.modland)) out.push(d.modland === 2 ? 'probably cloudy' : 'not produced');
+            if (d.usefulness > p.maxUsefulness) out.push(`usefulness ${d.usefulness}`);
+            for (const f of p.reject) if (d[f]) out.push(this.FLAG_LABELS[f]);
+        }
+        return out;
+    },
+
+    usable(qa, policy = this.policy) {
+        return !this.reasons(qa, policy).length;
+    },
+
+    // Single category for charts: cloud | snow | shadow | marginal | fill | aerosol | quality (null when usable)
+    reason(qa, policy = this.policy) {
+        const r = this.reasons(qa, policy);
+        if (!r.length) return null;
+        const first = r[0];
+        if (/cloud/.test(first)) return 'cloud';
+        if (/snow/.test(first)) return 'snow';
+        if (/shadow/.test(first)) return 'shadow';
+        if (/aerosol/.test(first)) return 'aerosol';
+        if (first === 'marginal' || first === 'fill') return first;
+        return 'quality';
+    },
+
+    // Badge text + class for the panel: VI reliability, LAI retrieval method or LST mandatory QA
+    headline(qa) {
+        if (qa && 'fparLaiQc' in qa) {
+            const d = this.decodeLai(qa.fparLaiQc, qa.fparExtraQc);
+            return { label: d ? this.SCF[Math.min(d.scf, 4)] : 'Unknown', cls: this.usable(qa) ? 'b-good' : 'b-cloud' };
+        }
+        if (qa && ('qcDay' in qa || 'qcNight' in qa)) {
+            const d = this.decodeLst(qa.qcDay ?? qa.qcNight);
+            return { label: d ? this.LST_MANDATORY[d.mandatory] : 'Unknown', cls: this.usable(qa) ? 'b-good' : 'b-cloud' };
+        }
+        const rel = qa?.reliability;
+        return {
+            label: `${this.RELIABILITY[rel] || 'Unknown'}${rel != null ? ` (${rel})` : ''}`,
+            cls: { 0: 'b-good', 1: 'b-marg', 2: 'b-snow', 3: 'b-cloud' }[rel] || ''
+        };
+    },
+
+    // Readable lines for the panel / assistant
+    describe(qa) {
+        const lines = [];
+        const lai = this.decodeLai(qa?.fparLaiQc, qa?.fparExtraQc);
+        if (lai) {
+            lines.push(`Retrieval: ${this.SCF[Math.min(lai.scf, 4)]}`);
+            lines.push(`Cloud state: ${this.CLOUD_STATE[lai.cloud]}`);
+            const flags = Object.keys(this.LAI_FLAGS).filter(f => lai[f]).map(f => this.LAI_FLAGS[f]);
+            lines.push(`Flags: ${flags.length ? flags.join(', ') : 'none'}${lai.deadDetector ? ' · dead detector' : ''}`);
+        }
+        for (const [key, when] of [['qcDay', 'Day'], ['qcNight', 'Night']]) {
+            const d = this.decodeLst(qa?.[key]);
+            if (d) lines.push(`${when} LST: ${this.LST_MANDATORY[d.mandatory]}, error ${this.LST_ERROR[d.lstError]}`);
+        }
+        if (qa?.reliability != null) lines.push(`Pixel reliability: ${this.RELIABILITY[qa.reliability] || 'Unknown'} (${qa.reliability})`);
+        const d = this.decode(qa?.viQuality);
+        if (d) {
+            lines.push(`MODLAND QA: ${this.MODLAND[d.modland]}`);
+            lines.push(`VI usefulness: ${d.usefulness}${d.usefulness >= 13 ? ' (not useful)' : d.usefulness === 0 ? ' (highest)' : ''}`);
+            lines.push(`Aerosol: ${this.AEROSOL[d.aerosol]}`);
+            lines.push(`Surface: ${this.LAND_WATER[d.landWater]}`);
+            const flags = Object.keys(this.FLAG_LABELS).filter(f => f !== 'highAerosol' && d[f]).map(f => this.FLAG_LABELS[f]);
+            lines.push(`Flags: ${flags.length ? flags.join(', ') : 'none'}${d.brdf ? ' · BRDF-corrected' : ''}`);
+        }
+        return lines;
+    }
+};
+window.ViQuality = ViQuality;
+
+/* =========================================================
+ * AOI (NEW): area-of-interest polygons with zonal VI statistics
+ * - draw on Map A (click vertices, double-click / Finish to close) or import GeoJSON
+ * - fetches the RST subset window covering the polygon's bounding box
+ * - pixel centres are located from the sinusoidal grid metadata and masked to the polygon
+ * - reports mean / median / percentiles / valid-pixel fraction per band,
+ *   and charts the zonal time series
+ * =======================================================*/
+const AOI = {
+    R: 6371007.181,   // MODIS sinusoidal sphere radius (m)
+    MAX_KM: 100,      // RST limit for kmAboveBelow / kmLeftRight
+    MARGIN_KM: 0.5,   // pad the window so edge pixels are fully covered
+    PERCENTILES: [10, 25, 75, 90],
+
+    drawing: false,
+    rings: null,      // [[ [lat, lng], ... ], ...]; holes / parts combine even-odd
+    _pts: [],
+    _layer: null,
+    _preview: null,
+    _shown: null,     // { rows, product, series } behind the table / chart on screen
+    _maskCache: new Map(),
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        $('aoi-draw')?.addEventListener('click', () => (this.drawing ? this.finishDraw() : this.startDraw()));
+        $('aoi-clear')?.addEventListener('click', () => this.clear());
+        $('aoi-latest')?.addEventListener('click', () => this.queryLatest());
+        $('aoi-series')?.addEventListener('click', () => this.querySeries());
+        $('aoi-export')?.addEventListener('click', () => this.exportGeoJSON());
+        $('aoi-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                this.importGeoJSON(JSON.parse(await file.text()));
+            } catch (err) {
+                alert(`Import failed: ${err.message}`);
+            }
+            e.target.value = '';
+        });
+    },
+
+    // ---- drawing ----
+    startDraw() {
+        const map = AppState.map;
+        this.clear();
+        this.drawing = true;
+        this._pts = [];
+        map.doubleClickZoom.disable();
+        map.getContainer().style.cursor = 'crosshair';
+        this._onClick = (e) => this._addVertex(e.latlng);
+        this._onDbl = () => this.finishDraw();
+        this._onKey = (e) => { if (e.key === 'Escape') this.cancelDraw(); };
+        map.on('click', this._onClick);
+        map.on('dblclick', this._onDbl);
+        document.addEventListener('keydown', this._onKey);
+        this._status('Click to add vertices; double-click or press Finish to close, Esc to cancel.');
+        this._setDrawLabel();
+    },
+
+    _addVertex(latlng) {
+        this._pts.push([latlng.lat, latlng.lng]);
+        if (this._preview) this._preview.setLatLngs(this._pts);
+        else this._preview = L.polyline(this._pts, { color: '#f59e0b', dashArray: '4 4' }).addTo(AppState.map);
+    },
+
+    _stopDraw() {
+        const map = AppState.map;
+        this.drawing = false;
+        map.off('click', this._onClick);
+        map.off('dblclick', this._onDbl);
+        document.removeEventListener('keydown', this._onKey);
+        map.doubleClickZoom.enable();
+        map.getContainer().style.cursor = '';
+        if (this._preview) { map.removeLayer(this._preview); this._preview = null; }
+        this._setDrawLabel();
+    },
+
+    finishDraw() {
+        // A double-click also fires two clicks; drop the duplicate vertex it leaves behind
+        const pts = this._pts.filter((p, i, a) => i === 0 || p[0] !== a[i - 1][0] || p[1] !== a[i - 1][1]);
+        this._stopDraw();
+        if (pts.length < 3) { this._status('A polygon needs at least 3 vertices.'); return; }
+        this.setRings([pts]);
+    },
+
+    cancelDraw() {
+        this._stopDraw();
+        this._status('Drawing cancelled.');
+    },
+
+    _setDrawLabel() {
+        const btn = document.getElementById('aoi-draw');
+        if (btn) btn.textContent = this.drawing ? 'Finish polygon' : 'Draw polygon';
+    },
+
+    clear() {
+        if (this.drawing) this._stopDraw();
+        if (this._layer) { AppState.map.removeLayer(this._layer); this._layer = null; }
+        this.rings = null;
+        this._shown = null;
+        this._maskCache.clear();
+        this._status('No area of interest.');
+    },
+
+    setRings(rings) {
+        this.clear();
+        this.rings = rings;
+        this._layer = L.polygon(rings, { color: '#f59e0b', weight: 2, fillOpacity: 0.1 }).addTo(AppState.map);
+        AppState.map.fitBounds(this._layer.getBounds(), { padding: [20, 20] });
+        try {
+            const w = this.window();
+            this._status(`AOI: ${rings[0].length} vertices, window ±${w.km[0]} km N/S × ±${w.km[1]} km E/W.`);
+        } catch (e) {
+            this._status(e.message);
+        }
+    },
+
+    // ---- GeoJSON ----
+    importGeoJSON(gj) {
+        const geoms = [];
+        const collect = (g) => {
+            if (!g) return;
+            if (g.type === 'FeatureCollection') g.features.forEach(f => collect(f.geometry));
+            else if (g.type === 'Feature') collect(g.geometry);
+            else if (g.type === 'GeometryCollection') g.geometries.forEach(collect);
+            else if (g.type === 'Polygon') geoms.push(g.coordinates);
+            else if (g.type === 'MultiPolygon') g.coordinates.forEach(c => geoms.push(c));
+        };
+        collect(gj);
+        if (!geoms.length) throw new Error('No Polygon or MultiPolygon found');
+        // GeoJSON is [lng, lat]; drop the closing vertex
+        const rings = geoms.flat().map(ring => {
+            const pts = ring.map(([x, y]) => [y, x]);
+            const [a, b] = [pts[0], pts[pts.length - 1]];
+            return a[0] === b[0] && a[1] === b[1] ? pts.slice(0, -1) : pts;
+        });
+        this.setRings(rings);
+    },
+
+    toGeoJSON() {
+        if (!this.rings) return null;
+        return {
+            type: 'Feature',
+            properties: { name: 'FloraCast AOI' },
+            geometry: { type: 'Polygon', coordinates: this.rings.map(r => [...r, r[0]].map(([lat, lng]) => [lng, lat])) }
+        };
+    },
+
+    exportGeoJSON() {
+        const gj = this.toGeoJSON();
+        if (!gj) { alert('Draw or import an area first.'); return; }
+        const blob = new Blob([JSON.stringify(gj, null, 2)], { type: 'application/geo+json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'floracast-aoi.geojson';
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    // ---- geometry ----
+    bbox() {
+        const pts = this.rings.flat();
+        const lats = pts.map(p => p[0]), lngs = pts.map(p => p[1]);
+        return { south: Math.min(...lats), north: Math.max(...lats), west: Math.min(...lngs), east: Math.max(...lngs) };
+    },
+
+    // RST request window: bbox centre + half-extents in km ([aboveBelow, leftRight]).
+    // RST centres the window on the projected centre, and the sinusoidal grid is skewed away
+    // from the central meridian, so the extents come from the vertices' projected offsets.
+    window() {
+        const b = this.bbox();
+        const lat = (b.south + b.north) / 2, lng = (b.west + b.east) / 2;
+        const c = this.project(lat, lng);
+        const pts = this.rings.flat();
+        // cos φ peaks at the equator, which an edge may cross between vertices
+        if (b.south < 0 && b.north > 0) pts.push([0, b.west], [0, b.east]);
+        let dx = 0, dy = 0;
+        for (const [plat, plng] of pts) {
+            const p = this.project(plat, plng);
+            dx = Math.max(dx, Math.abs(p.x - c.x));
+            dy = Math.max(dy, Math.abs(p.y - c.y));
+        }
+        const ab = Math.ceil(dy / 1000 + this.MARGIN_KM);
+        const lr = Math.ceil(dx / 1000 + this.MARGIN_KM);
+        if (ab > this.MAX_KM || lr > this.MAX_KM) {
+            throw new Error(`AOI too large: needs ±${ab} × ±${lr} km, RST allows ±${this.MAX_KM} km.`);
+        }
+        return { lat, lng, km: [ab, lr] };
+    },
+
+    // Forward sinusoidal projection (m)
+    project(lat, lng) {
+        const phi = (lat * Math.PI) / 180;
+        return { x: this.R * ((lng * Math.PI) / 180) * Math.cos(phi), y: this.R * phi };
+    },
+
+    // Throws unless every polygon vertex lies on a pixel of the subset grid,
+    // so zonal statistics never describe a clipped part of the AOI
+    checkCoverage(grid) {
+        const size = +grid.cellsize;
+        for (const [lat, lng] of this.rings.flat()) {
+            const p = this.project(lat, lng);
+            const c = Math.floor((p.x - +grid.xllcorner) / size);
+            const r = grid.nrows - 1 - Math.floor((p.y - +grid.yllcorner) / size);
+            if (c < 0 || c >= grid.ncols || r < 0 || r >= grid.nrows) {
+                throw new Error(`The subset window misses part of the AOI (vertex ${lat.toFixed(4)}, ${lng.toFixed(4)})`);
+            }
+        }
+    },
+
+    // Inverse sinusoidal projection of a pixel centre (row 0 = northern edge)
+    pixelLatLng(grid, r, c) {
+        const x = +grid.xllcorner + (c + 0.5) * +grid.cellsize;
+        const y = +grid.yllcorner + (grid.nrows - r - 0.5) * +grid.cellsize;
+        const phi = y / this.R;
+        return { lat: (phi * 180) / Math.PI, lng: ((x / (this.R * Math.cos(phi))) * 180) / Math.PI };
+    },
+
+    // Even-odd ray casting over all rings (holes and multipart polygons work unchanged)
+    contains(lat, lng) {
+        let inside = false;
+        for (const ring of this.rings) {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const [yi, xi] = ring[i], [yj, xj] = ring[j];
+                if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+            }
+        }
+        return inside;
+    },
+
+    // Flat indices of grid pixels whose centre falls in the polygon
+    mask(grid) {
+        const key = [grid.xllcorner, grid.yllcorner, grid.cellsize, grid.nrows, grid.ncols].join('|');
+        if (this._maskCache.has(key)) return this._maskCache.get(key);
+        const idx = [];
+        for (let r = 0; r < grid.nrows; r++) {
+            for (let c = 0; c < grid.ncols; c++) {
+                const p = this.pixelLatLng(grid, r, c);
+                if (this.contains(p.lat, p.lng)) idx.push(r * grid.ncols + c);
+            }
+        }
+        this._maskCache.set(key, idx);
+        return idx;
+    },
+
+    // ---- statistics ----
+    quantile(sorted, q) {
+        if (!sorted.length) return null;
+        const pos = (sorted.length - 1) * q;
+        const lo = Math.floor(pos), hi = Math.ceil(pos);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+    },
+
+    stats(values) {
+        const v = values.filter(x => x != null).sort((a, b) => a - b);
+        if (!v.length) return { n: 0, mean: null, median: null, min: null, max: null };
+        const out = {
+            n: v.length,
+            mean: v.reduce((a, b) => a + b, 0) / v.length,
+            median: this.quantile(v, 0.5),
+            min: v[0],
+            max: v[v.length - 1]
+        };
+        for (const p of this.PERCENTILES) out[`p${p}`] = this.quantile(v, p / 100);
+        return out;
+    },
+
+    // Zonal summary of one RstSeries row: { date, pixels, valid, validFraction, bands: { ndvi: stats, ... } }
+    // Pixels are screened per variable (LST day and night have their own QC)
+    zonal(row) {
+        const idx = this.mask(row.grid);
+        const names = Object.keys(row.bands);
+        const qa = idx.map(i => Products.qaAt(row.product, row.bands, i));
+        const out = { date: row.date, pixels: idx.length, bands: {} };
+        for (const [key, v] of Object.entries(Products.get(row.product).variables)) {
+            const n = Products.bandName(names, v.match);
+            if (!n) continue;
+            const usable = idx.filter((_, k) => ViQuality.usable(Products.qaFor(qa[k], key)));
+            out.bands[key] = this.stats(usable.map(i => Products.scale(v, row.bands[n][i])));
+        }
+        out.valid = out.bands[Products.primary(row.product)[0]]?.n ?? 0;
+        out.validFraction = idx.length ? out.valid / idx.length : 0;
+        return out;
+    },
+
+    // ---- queries ----
+    _product() {
+        return document.getElementById('vi-product')?.value || 'MOD13Q1';
+    },
+
+    _status(text) {
+        const el = document.getElementById('aoi-status');
+        if (el) el.textContent = text;
+    },
+
+    _require() {
+        if (!this.rings) { alert('Draw or import an area of interest first.'); return null; }
+        try {
+            return this.window();
+        } catch (e) {
+            alert(e.message);
+            return null;
+        }
+    },
+
+    async queryLatest() {
+        const w = this._require();
+        if (!w) return;
+        const product = this._product();
+        this._status('Fetching latest composite for the AOI…');
+        try {
+            const json = await VegetationManager.fetchDates(product, w.lat, w.lng);
+            const last = (json?.dates || []).slice(-1);
+            if (!last.length) throw new Error('No composites available here');
+            const [row] = await RstSeries.fetch(product, w.lat, w.lng, last, { km: w.km });
+            if (!row) throw new Error('Empty subset');
+            this._showLatest(row, product);
+        } catch (e) {
+            console.error('[AOI] latest failed:', e);
+            this._status(`Failed: ${e.message}`);
+        }
+    },
+
+    async querySeries() {
+        const w = this._require();
+        if (!w) return;
+        const product = this._product();
+        const years = Utils.clamp(parseInt(document.getElementById('aoi-years')?.value) || 1, 1, 5);
+        try {
+            const rows = await RstSeries.fetchYears(product, w.lat, w.lng, {
+                years,
+                km: w.km,
+                onProgress: (done, total) => this._status(`Fetching AOI time series… ${done}/${total} batches`)
+            });
+            this._showSeries(rows, product);
+        } catch (e) {
+            console.error('[AOI] series failed:', e);
+            this._status(`Failed: ${e.message}`);
+        }
+    },
+
+    // The fetched rows are kept so a QA policy change can recompute the statistics without refetching
+    _showLatest(row, product) {
+        this.checkCoverage(row.grid);
+        const z = this.zonal(row);
+        if (!z.pixels) throw new Error('No pixel centres fall inside the polygon (too small?)');
+        this._shown = { rows: [row], product, series: false };
+        this.renderTable(z);
+        this._status(`${product} ${z.date}: ${z.valid}/${z.pixels} valid pixels (${Math.round(z.validFraction * 100)}%).`);
+    },
+
+    _showSeries(rows, product) {
+        if (rows.length) this.checkCoverage(rows[0].grid);
+        const series = rows.map(r => this.zonal(r)).filter(z => z.pixels);
+        if (!series.length) throw new Error('No pixel centres fall inside the polygon');
+        this._shown = { rows, product, series: true };
+        this.plotSeries(series, product);
+        this.renderTable(series[series.length - 1]);
+        this._status(`${series.length} composites, ${series[0].pixels} pixels in polygon.`);
+    },
+
+    // Recompute the zonal results on screen (QA policy changed)
+    refresh() {
+        if (!this._shown || !this.rings) return;
+        const { rows, product, series } = this._shown;
+        try {
+            if (series) this._showSeries(rows, product);
+            else this._showLatest(rows[0], product);
+        } catch (e) {
+            this._status(`Failed: ${e.message}`);
+        }
+    },
+
+    // ---- output ----
+    renderTable(z) {
+        const el = document.getElementById('aoi-table');
+        if (!el) return;
+        const f = (v) => Utils.fmt(v, 4);
+        const rows = Object.entries(z.bands).map(([k, s]) => `
+            <tr><td>${Products.label(k)}</td><td>${f(s.mean)}</td><td>${f(s.median)}</td>
+            <td>${f(s.p10)}</td><td>${f(s.p25)}</td><td>${f(s.p75)}</td><td>${f(s.p90)}</td><td>${s.n}</td></tr>`).join('');
+        el.innerHTML = `
+            <div class="date-label">Composite ${z.date} · valid pixels ${z.valid}/${z.pixels} (${Math.round(z.validFraction * 100)}%)</div>
+            <table class="vi-table">
+                <thead><tr><th>Band</th><th>Mean</th><th>Median</th><th>P10</th><th>P25</th><th>P75</th><th>P90</th><th>n</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
+    },
+
+    plotSeries(series, product) {
+        const el = document.getElementById('aoi-chart');
+        if (!el || !window.Plotly) return;
+        const x = series.map(z => z.date);
+        const traces = [];
+        const keys = Products.primary(product);
+        keys.forEach((k, i) => {
+            const color = ['#10b981', '#3b82f6'][i % 2];
+            const get = (p) => series.map(z => z.bands[k]?.[p] ?? null);
+            traces.push(
+                { x, y: get('p75'), type: 'scatter', mode: 'lines', line: { width: 0 }, hoverinfo: 'skip', showlegend: false },
+                { x, y: get('p25'), type: 'scatter', mode: 'lines', line: { width: 0 }, fill: 'tonexty', fillcolor: `${color}33`, name: `${Products.label(k)} P25–P75` },
+                { x, y: get('median'), type: 'scatter', mode: 'lines+markers', line: { color }, name: `${Products.label(k)} median` }
+            );
+        });
+        traces.push({ x, y: series.map(z => z.validFraction * 100), type: 'bar', name: 'Valid pixels (%)', yaxis: 'y2', opacity: 0.25, marker: { color: '#94a3b8' } });
+        Plotly.newPlot(el, traces, {
+            margin: { l: 48, r: 48, t: 24, b: 56 },
+            title: { text: `${product} zonal statistics`, font: { size: 12 } },
+            yaxis: { title: keys.map(k => Products.label(k)).join(' / ') },
+            yaxis2: { title: 'Valid %', overlaying: 'y', side: 'right', range: [0, 100], showgrid: false },
+            legend: { orientation: 'h', y: -0.25 }
+        }, { displayModeBar: false, responsive: true });
+    }
+};
+window.AOI = AOI;
+
+/* =========================================================
+ * Neighborhood (NEW): RST pixel window around the marker as a map raster
+ * - requests ±km of the latest composite of the panel's product and keeps
+ *   every returned pixel (not just the centre one)
+ * - pixels are resampled from the MODIS sinusoidal grid into a Web Mercator
+ *   canvas, so the image overlay sits on the true pixel footprints
+ * - NDVI/EVI use the heatmap ramp and range; pixels failing the QA policy
+ *   are hatched; hovering reads the pixel value and its QA
+ * - shown on Map A and, while compare is on, on Map B
+ * =======================================================*/
+const Neighborhood = {
+    PX_PER_CELL: 4,   // canvas pixels per RST pixel (before the cap)
+    MAX_CANVAS: 512,
+    HATCH: 6,         // hatch period (canvas px)
+    OPACITY: 0.85,
+
+    data: null,       // { product, lat, lng, km, row }
+    layers: {},       // side -> L.ImageOverlay
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        $('nb-show')?.addEventListener('click', () => this.show());
+        $('nb-clear')?.addEventListener('click', () => this.clear());
+        $('nb-index')?.addEventListener('change', () => this.render());
+    },
+
+    // Selected variable, if the loaded product has it
+    index() {
+        const keys = Products.primary(this.data?.product || 'MOD13Q1');
+        const v = document.getElementById('nb-index')?.value;
+        return keys.includes(v) ? v : keys[0];
+    },
+
+    async show() {
+        const { lat, lng } = MapManager.getCurrentLocation();
+        const product = document.getElementById('vi-product')?.value || 'MOD13Q1';
+        const km = Utils.clamp(parseInt(document.getElementById('nb-km')?.value) || 2, 1, AOI.MAX_KM);
+        this._status(`Loading ±${km} km of ${product}…`);
         try {
-            await this.loadPhotosAroundPoint(); // start near selected point
-            this.setupMapListener();
-        } catch (error) {
-            console.error('Failed to load photos:', error);
-            AppState.inatActive = false;
+            const json = await VegetationManager.fetchDates(product, lat, lng);
+            const dates = json?.dates || [];
+            if (!dates.length) throw new Error('No composite dates available for this location');
+            const [row] = await RstSeries.fetch(product, lat, lng, [dates[dates.length - 1]], { km });
+            if (!row?.grid?.nrows) throw new Error('Empty subset');
+            this.data = { product, lat, lng, km, row };
+            this.render();
+        } catch (e) {
+            console.error('[Neighborhood]', e);
+            this._status(`Failed: ${e.message}`);
         }
     },
 
-    disablePhotos() {
-        AppState.inatActive = false;
-        this.clearLayers();
-        this.removeMapListener();
-        AppState.inatIndex.clear();
-        const stats = document.getElementById('photos-stats');
-        if (stats) stats.textContent = '—';
+    clear() {
+        for (const side of Object.keys(this.layers)) this._remove(side);
+        this.data = null;
+        this._status('');
     },
 
-    toggleHeatmap() {
-        if (!AppState.inatActive) return;
-        this.ensureLayers();
-        this.renderPhotos();
+    _remove(side) {
+        const layer = this.layers[side];
+        if (!layer) return;
+        layer.remove();
+        delete this.layers[side];
+        Legends.refresh(side);
     },
 
-    ensureLayers() {
-        const useHeatmap = document.getElementById('photos-heatmap')?.checked;
-
-        if (useHeatmap) {
-            if (AppState.inatMarkerLayer) {
-                AppState.map.removeLayer(AppState.inatMarkerLayer);
-                AppState.inatMarkerLayer = null;
-            }
-            if (!AppState.inatHeatLayer) {
-                AppState.inatHeatLayer = L.heatLayer([], { radius: 25 }).addTo(AppState.map);
-            }
-        } else {
-            if (AppState.inatHeatLayer) {
-                AppState.map.removeLayer(AppState.inatHeatLayer);
-                AppState.inatHeatLayer = null;
-            }
-            if (!AppState.inatMarkerLayer) {
-                AppState.inatMarkerLayer = L.markerClusterGroup().addTo(AppState.map);
-            }
+    // ---- pixels ----
+    // Scaled values and QA verdicts of every pixel (row-major, row 0 = north)
+    pixels(row, index) {
+        const v = Products.variable(index);
+        const vName = Products.bandName(Object.keys(row.bands), v.match);
+        const n = row.grid.nrows * row.grid.ncols;
+        const values = new Array(n), reasons = new Array(n);
+        for (let i = 0; i < n; i++) {
+            values[i] = vName ? Products.scale(v, row.bands[vName][i]) : null;
+            reasons[i] = ViQuality.reasons(Products.qaFor(Products.qaAt(row.product, row.bands, i), index));
         }
+        return { values, reasons };
     },
 
-    clearLayers() {
-        if (AppState.inatMarkerLayer) {
-            AppState.map.removeLayer(AppState.inatMarkerLayer);
-            AppState.inatMarkerLayer = null;
-        }
-        if (AppState.inatHeatLayer) {
-            AppState.map.removeLayer(AppState.inatHeatLayer);
-            AppState.inatHeatLayer = null;
+    // Forward sinusoidal projection -> { r, c } of the containing pixel, or null outside the window
+    cellAt(grid, lat, lng) {
+        const phi = (lat * Math.PI) / 180;
+        const x = AOI.R * ((lng * Math.PI) / 180) * Math.cos(phi);
+        const y = AOI.R * phi;
+        const c = Math.floor((x - grid.xllcorner) / grid.cellsize);
+        const r = Math.floor(grid.nrows - (y - grid.yllcorner) / grid.cellsize);
+        return r >= 0 && r < grid.nrows && c >= 0 && c < grid.ncols ? { r, c } : null;
+    },
+
+    // Lat/lng box around the window (corners of the edge pixels; sinusoidal edges are slanted)
+    bounds(grid) {
+        const pts = [];
+        for (const r of [-0.5, grid.nrows - 0.5]) {
+            for (const c of [-0.5, grid.ncols - 0.5]) pts.push(AOI.pixelLatLng(grid, r, c));
         }
+        return {
+            south: Math.min(...pts.map(p => p.lat)), north: Math.max(...pts.map(p => p.lat)),
+            west: Math.min(...pts.map(p => p.lng)), east: Math.max(...pts.map(p => p.lng))
+        };
     },
 
-    // Load around the currently selected point
-    async loadPhotosAroundPoint() {
-        const { lat, lng } = MapManager.getCurrentLocation();
-        const startDate = document.getElementById('photos-start')?.value;
-        const endDate = document.getElementById('photos-end')?.value;
-        const taxon = parseInt(document.getElementById('photos-taxon')?.value) || 47125;
-        const maxPages = Utils.clamp(parseInt(document.getElementById('photos-max-pages')?.value) || 5, 1, 20);
-        const radiusKm = Utils.clamp(parseInt(document.getElementById('photos-radius')?.value) || 25, 1, 200);
+    // ---- rendering ----
+    canvas(grid, px, meta) {
+        const b = this.bounds(grid);
+        const scale = Math.min(this.PX_PER_CELL, this.MAX_CANVAS / Math.max(grid.nrows, grid.ncols));
+        const w = Math.max(1, Math.round(grid.ncols * scale)), h = Math.max(1, Math.round(grid.nrows * scale));
+        const canvas = document.createElement('canvas');
+        canvas.width = w; canvas.height = h;
+        const ctx = canvas.getContext('2d');
+        const img = ctx.createImageData(w, h);
+        const merc = (lat) => Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI) / 360));
+        const yN = merc(b.north), yS = merc(b.south);
+        for (let y = 0; y < h; y++) {
+            const lat = (360 / Math.PI) * Math.atan(Math.exp(yN + ((y + 0.5) / h) * (yS - yN))) - 90;
+            for (let x = 0; x < w; x++) {
+                const cell = this.cellAt(grid, lat, b.west + ((x + 0.5) / w) * (b.east - b.west));
+                if (!cell) continue;
+                const i = cell.r * grid.ncols + cell.c;
+                const v = px.values[i];
+                if (v == null) continue;
+                const k = (y * w + x) * 4;
+                // QA-failed pixels: dark diagonal hatching over the colour
+                const hatch = px.reasons[i].length && (x + y) % this.HATCH < 2;
+                const [R, G, B] = hatch ? [30, 30, 30] : Colormaps.rampColor(meta.ramp, (v - meta.min) / (meta.max - meta.min));
+                img.data[k] = R; img.data[k + 1] = G; img.data[k + 2] = B; img.data[k + 3] = 255;
+            }
+        }
+        ctx.putImageData(img, 0, 0);
+        return { canvas, bounds: b };
+    },
 
-        let added = 0;
-        let pages = 0;
+    render() {
+        if (!this.data) return;
+        const { row, product, km } = this.data;
+        const index = this.index();
+        const meta = HeatmapHelper.TYPES[index];
+        const px = this.pixels(row, index);
+        const { canvas, bounds: b } = this.canvas(row.grid, px, meta);
+        const url = canvas.toDataURL();
+
+        const masked = px.reasons.filter(r => r.length).length;
+        // Statistics over QA-passing pixels only, as in AOI.zonal; masked ones are still drawn (hatched)
+        const valid = px.values.filter((v, i) => v != null && !px.reasons[i].length);
+        const policy = ViQuality.POLICIES[ViQuality.policy].label.toLowerCase();
+        const legend = {
+            ...meta, kind: 'Neighborhood',
+            note: `${product} ${row.date} · ${row.grid.nrows}×${row.grid.ncols} px · hatched: fails ${policy} QA`
+        };
 
-        try {
-            for (let page = 1; page <= maxPages; page++) {
-                const observations = await this.fetchINatNearby(lat, lng, radiusKm, startDate, endDate, taxon, page, 200);
-                pages++;
-                if (!observations.length) break;
+        for (const side of ['A', 'B']) {
+            const map = side === 'B' ? AppState.mapB : AppState.map;
+            this._remove(side);
+            if (!map) continue;
+            const layer = L.imageOverlay(url, [[b.south, b.west], [b.north, b.east]], { opacity: this.OPACITY, interactive: true, className: 'nb-raster' });
+            layer.heat = legend;
+            layer.bindTooltip('', { sticky: true, direction: 'top' });
+            layer.on('mousemove', (e) => layer.setTooltipContent(this._hover(row.grid, px, meta, e.latlng)));
+            this.layers[side] = layer.addTo(map);
+            Legends.refresh(side);
+        }
 
-                for (const obs of observations) {
-                    const id = obs.id;
-                    if (AppState.inatIndex.has(id)) continue;
+        const mean = valid.length ? valid.reduce((a, v) => a + v, 0) / valid.length : null;
+        const sd = valid.length ? Math.sqrt(valid.reduce((a, v) => a + (v - mean) ** 2, 0) / valid.length) : null;
+        this._status(`±${km} km · ${valid.length} clear pixels · ${meta.label} mean ${Utils.fmt(mean, 3)}, SD ${Utils.fmt(sd, 3)} · ${masked} fail ${policy} QA`);
+    },
 
-                    const latV = obs.geojson?.coordinates?.[1] ?? obs.location?.split(',')[0];
-                    const lngV = obs.geojson?.coordinates?.[0] ?? obs.location?.split(',')[1];
-                    if (!Number.isFinite(+latV) || !Number.isFinite(+lngV)) continue;
+    _hover(grid, px, meta, latlng) {
+        const cell = this.cellAt(grid, latlng.lat, latlng.lng);
+        if (!cell) return 'Outside the window';
+        const i = cell.r * grid.ncols + cell.c;
+        const qa = px.reasons[i].length ? `QA: ${px.reasons[i].join(', ')}` : 'QA: passes';
+        return `${meta.label}: <strong>${HeatmapHelper.format(meta, px.values[i])}</strong><br>${HeatmapHelper._esc(qa)}<br>Pixel row ${cell.r}, col ${cell.c}`;
+    },
 
-                    const species = obs.taxon?.preferred_common_name || obs.taxon?.name || '—';
-                    const date = (obs.observed_on_details?.date || obs.observed_on || '').slice(0, 10);
-                    const url = obs.uri || `https://www.inaturalist.org/observations/${id}`;
-                    const thumb = obs.photos?.[0]?.url?.replace('square', 'small') || null;
+    _status(text) {
+        const el = document.getElementById('nb-status');
+        if (el) el.textContent = text;
+    }
+};
+window.Neighborhood = Neighborhood;
 
-                    AppState.inatIndex.set(id, { lat: +latV, lng: +lngV, species, date, url, thumb });
-                    added++;
-                }
-                this.renderPhotos();
+/* =========================================================
+ * Smoothing (NEW): gap-aware smoothers for composite time series
+ * - t: days (any origin), y: values with null for masked/missing
+ * - savitzkyGolay: local polynomial on the gap-filled series
+ * - whittaker: weighted penalised least squares (2nd differences),
+ *   masked points get zero weight so the curve bridges them
+ * - harmonic: least-squares mean + K annual harmonics
+ * All return an array aligned with the input (null only when nothing is valid).
+ * =======================================================*/
+const Smoothing = {
+    // Linear interpolation over nulls; edges take the nearest valid value
+    fill(t, y) {
+        const out = y.slice();
+        let prev = -1;
+        for (let i = 0; i <= y.length; i++) {
+            if (i < y.length && y[i] == null) continue;
+            // Gap (prev, i): interpolate inside, hold the nearest value at either edge
+            for (let j = prev + 1; j < i; j++) {
+                if (prev < 0) out[j] = i < y.length ? y[i] : null;
+                else if (i === y.length) out[j] = y[prev];
+                else out[j] = y[prev] + ((y[i] - y[prev]) * (t[j] - t[prev])) / (t[i] - t[prev]);
             }
-        } catch (error) {
-            console.error('Error loading iNaturalist data:', error);
+            prev = i;
         }
+        return out;
+    },
 
-        const stats = document.getElementById('photos-stats');
-        if (stats) {
-            stats.textContent = `Loaded ${AppState.inatIndex.size} records (+${added}, pages ${pages}/${maxPages})`;
-        }
+    savitzkyGolay(t, y, { window = 7, order = 2 } = {}) {
+        const f = this.fill(t, y);
+        if (f[0] == null) return f;
+        const n = f.length;
+        const h = Math.min(Math.floor(window / 2), Math.floor((n - 1) / 2));
+        if (h < 1) return f.slice();
+        const p = Math.min(order, 2 * h);
+        return f.map((_, i) => {
+            // Shift the window inwards at the edges instead of truncating it
+            const lo = Utils.clamp(i - h, 0, n - 1 - 2 * h);
+            const span = t[lo + 2 * h] - t[lo] || 1; // scaled abscissa keeps the normal equations well conditioned
+            const xs = [], ys = [];
+            for (let j = lo; j <= lo + 2 * h; j++) { xs.push((t[j] - t[i]) / span); ys.push(f[j]); }
+            return this.polyfit(xs, ys, p)[0];
+        });
     },
 
-    // Keep this for moveend updates; still centers near current marker
-    setupMapListener() {
-        this.mapMoveHandler = () => this.loadPhotosAroundPoint();
-        AppState.map.on('moveend', this.mapMoveHandler);
+    whittaker(y, { lambda = 20, weights = null } = {}) {
+        const n = y.length;
+        const w = y.map((v, i) => (v == null ? 0 : (weights ? weights[i] : 1)));
+        if (!w.some(Boolean)) return y.map(() => null);
+        if (n < 3) return this.fill(y.map((_, i) => i), y);
+        // A = W + lambda * D'D is symmetric pentadiagonal: diagonals d0, d1, d2
+        const d0 = new Float64Array(n), d1 = new Float64Array(n), d2 = new Float64Array(n);
+        for (let k = 0; k < n - 2; k++) {
+            const c = [1, -2, 1];
+            for (let a = 0; a < 3; a++) {
+                d0[k + a] += lambda * c[a] * c[a];
+                if (a < 2) d1[k + a] += lambda * c[a] * c[a + 1];
+            }
+            d2[k] += lambda * c[0] * c[2];
+        }
+        const rhs = new Float64Array(n);
+        for (let i = 0; i < n; i++) { d0[i] += w[i]; rhs[i] = w[i] * (y[i] ?? 0); }
+        return Array.from(this._solvePenta(d0, d1, d2, rhs));
     },
 
-    removeMapListener() {
-        if (this.mapMoveHandler) {
-            AppState.map.off('moveend', this.mapMoveHandler);
-            this.mapMoveHandler = null;
+    // LDL' for a symmetric pentadiagonal system (d1[i] = A[i][i+1], d2[i] = A[i][i+2])
+    _solvePenta(d0, d1, d2, b) {
+        const n = d0.length;
+        const D = new Float64Array(n), L1 = new Float64Array(n), L2 = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const l2 = i >= 2 ? d2[i - 2] / D[i - 2] : 0;
+            const l1 = i >= 1 ? (d1[i - 1] - (i >= 2 ? l2 * D[i - 2] * L1[i - 1] : 0)) / D[i - 1] : 0;
+            L2[i] = l2; L1[i] = l1;
+            D[i] = d0[i] - l1 * l1 * (i >= 1 ? D[i - 1] : 0) - l2 * l2 * (i >= 2 ? D[i - 2] : 0);
         }
+        const z = new Float64Array(n);
+        for (let i = 0; i < n; i++) z[i] = b[i] - (i >= 1 ? L1[i] * z[i - 1] : 0) - (i >= 2 ? L2[i] * z[i - 2] : 0);
+        for (let i = 0; i < n; i++) z[i] /= D[i];
+        for (let i = n - 1; i >= 0; i--) {
+            z[i] -= (i + 1 < n ? L1[i + 1] * z[i + 1] : 0) + (i + 2 < n ? L2[i + 2] * z[i + 2] : 0);
+        }
+        return z;
     },
 
-    async fetchINatNearby(lat, lng, radiusKm, startDate, endDate, taxon, page, perPage) {
-        const url = new URL('https://api.inaturalist.org/v1/observations');
-        const params = {
-            geo: true,
-            photos: true,
-            verifiable: true,
-            lat: lat,
-            lng: lng,
-            radius: radiusKm, // kilometers
-            taxon_id: taxon,
-            per_page: perPage,
-            page: page
+    harmonic(t, y, { harmonics = 3, period = 365.25 } = {}) {
+        const basis = (x) => {
+            const row = [1];
+            for (let k = 1; k <= harmonics; k++) {
+                const a = (2 * Math.PI * k * x) / period;
+                row.push(Math.cos(a), Math.sin(a));
+            }
+            return row;
         };
-        if (startDate) params.d1 = startDate;
-        if (endDate) params.d2 = endDate;
-
-        url.search = new URLSearchParams(params).toString();
-        const response = await fetch(url.toString());
-        if (!response.ok) throw new Error(`iNaturalist API error: ${response.status}`);
-        const data = await response.json();
-        return data.results || [];
+        const X = [], Y = [];
+        t.forEach((x, i) => { if (y[i] != null) { X.push(basis(x)); Y.push(y[i]); } });
+        if (!X.length || X.length < X[0].length) return this.fill(t, y);
+        const coef = this.lstsq(X, Y);
+        return t.map(x => basis(x).reduce((s, v, k) => s + v * coef[k], 0));
     },
 
-    renderPhotos() {
-        const useHeatmap = document.getElementById('photos-heatmap')?.checked;
+    // Polynomial coefficients (constant first) fitted to (xs, ys)
+    polyfit(xs, ys, order) {
+        return this.lstsq(xs.map(x => Array.from({ length: order + 1 }, (_, k) => x ** k)), ys);
+    },
 
-        if (useHeatmap && AppState.inatHeatLayer) {
-            const points = Array.from(AppState.inatIndex.values()).map(item => [item.lat, item.lng]);
-            AppState.inatHeatLayer.setLatLngs(points);
-        } else if (AppState.inatMarkerLayer) {
-            AppState.inatMarkerLayer.clearLayers();
-            for (const item of AppState.inatIndex.values()) {
-                const marker = L.marker([item.lat, item.lng], { icon: Icons.flower });
-                const popupContent = `
-                    <div>
-                        <strong>${item.species}</strong><br>
-                        Date: ${item.date}<br>
-                        <a href="${item.url}" target="_blank">View Details</a>
-                        ${item.thumb ? `<br><img src="${item.thumb}" style="max-width: 150px; margin-top: 5px;">` : ''}
-                    </div>`;
-                marker.bindPopup(popupContent);
-                AppState.inatMarkerLayer.addLayer(marker);
+    // Least squares via the normal equations (small, well-scaled problems only)
+    lstsq(X, y) {
+        const m = X[0].length;
+        const A = Array.from({ length: m }, () => new Array(m + 1).fill(0));
+        X.forEach((row, r) => {
+            for (let i = 0; i < m; i++) {
+                for (let j = 0; j < m; j++) A[i][j] += row[i] * row[j];
+                A[i][m] += row[i] * y[r];
+            }
+        });
+        // Gauss-Jordan with partial pivoting; a tiny ridge keeps singular fits finite
+        for (let i = 0; i < m; i++) A[i][i] += 1e-9;
+        for (let c = 0; c < m; c++) {
+            let p = c;
+            for (let r = c + 1; r < m; r++) if (Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+            [A[c], A[p]] = [A[p], A[c]];
+            for (let r = 0; r < m; r++) {
+                if (r === c || !A[c][c]) continue;
+                const f = A[r][c] / A[c][c];
+                for (let k = c; k <= m; k++) A[r][k] -= f * A[c][k];
             }
         }
+        return A.map((row, i) => (row[i] ? row[m] / row[i] : 0));
     }
 };
+window.Smoothing = Smoothing;
 
 /* =========================================================
- * Vegetation Manager
+ * ViSeries (NEW): multi-year NDVI/EVI chart for the selected point
+ * - composites come from RstSeries for the product chosen in the panel
+ * - composites failing the ViQuality policy are masked (cloud, snow/ice,
+ *   shadow, marginal … depending on the policy)
+ * - the clear composites are smoothed (Savitzky–Golay, Whittaker or
+ *   harmonic fit) and drawn with the raw and masked points
  * =======================================================*/
-const VegetationManager = {
-    init() { this.setupControls(); },
+const ViSeries = {
+    METHODS: {
+        sg:        { label: 'Savitzky–Golay', param: 'Window (composites)', value: 7, min: 3, max: 21, step: 2 },
+        whittaker: { label: 'Whittaker', param: 'Smoothing λ', value: 20, min: 0.1, max: 10000, step: 5 },
+        harmonic:  { label: 'Harmonic fit', param: 'Harmonics per year', value: 3, min: 1, max: 6, step: 1 },
+        none:      { label: 'No smoothing', param: '', value: '', min: 0, max: 0, step: 1 }
+    },
 
-    setupControls() {
-        const queryBtn = document.getElementById('vi-query');
-        if (queryBtn) queryBtn.addEventListener('click', () => this.queryVegetationIndex());
+    rows: [],
+    product: null,
+    lat: 0,
+    _key: null,
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        $('vi-ts-load')?.addEventListener('click', () => this.load());
+        $('vi-ts-method')?.addEventListener('change', () => { this._syncParam(); this.render(); });
+        ['vi-ts-param', 'vi-ts-index'].forEach(id => $(id)?.addEventListener('change', () => this.render()));
+        this._syncParam();
     },
 
-    async queryVegetationIndex() {
-        const location = MapManager.getCurrentLocation();
+    _syncParam() {
+        const input = document.getElementById('vi-ts-param');
+        const m = this.METHODS[this.method()];
+        if (!input) return;
+        Object.assign(input, { value: m.value, min: m.min, max: m.max, step: m.step, title: m.param, disabled: !m.param });
+    },
+
+    method() {
+        const v = document.getElementById('vi-ts-method')?.value;
+        return this.METHODS[v] ? v : 'sg';
+    },
+
+    // ---- data ----
+    async load() {
+        const { lat, lng } = MapManager.getCurrentLocation();
         const product = document.getElementById('vi-product')?.value || 'MOD13Q1';
+        const years = Utils.clamp(parseInt(document.getElementById('vi-ts-years')?.value) || 3, 1, 10);
+        this._status(`Loading ${years} year(s) of ${product}…`);
         try {
-            await this.fetchVegetationIndex(location.lat, location.lng, product);
-        } catch (error) {
-            console.error('Failed to fetch vegetation index:', error);
-            this.clearVegetationDisplay();
+            this.rows = await RstSeries.fetchYears(product, lat, lng, {
+                years,
+                onProgress: (done, total) => this._status(`Loading ${product}: ${done}/${total} windows…`)
+            });
+            this.product = product;
+            this.lat = lat;
+            this._key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+            if (!this.rows.length) throw new Error('No composites returned');
+            this.render();
+        } catch (e) {
+            console.error('[ViSeries]', e);
+            this._status(`Failed: ${e.message}`);
         }
     },
 
-    async fetchVegetationIndex(lat, lng, product) {
-        // Fetch available dates
-        const dates = await this.fetchDates(product, lat, lng);
-        const dateArray = dates?.dates || [];
-        if (!dateArray.length) throw new Error('No composite dates available for this location');
-
-        // Fetch latest subset
-        const latestDate = dateArray[dateArray.length - 1]?.modis_date || dateArray[dateArray.length - 1];
-        const subset = await this.fetchSubset(product, lat, lng, latestDate, latestDate);
-        if (!subset?.subset?.length) throw new Error('Empty subset data');
-
-        this.parseAndDisplayVegetationData(subset);
+    // -> { dates, t, raw, mask, clear, smooth, method, index } for the loaded rows
+    series(index = 'ndvi', method = this.method(), param = null, policy = ViQuality.policy) {
+        const rows = this.rows.filter(r => r.date);
+        const dates = rows.map(r => r.date);
+        const t0 = dates.length ? Date.parse(dates[0]) : 0;
+        const t = dates.map(d => (Date.parse(d) - t0) / 864e5);
+        const raw = rows.map(r => r.values?.[index] ?? null);
+        const mask = rows.map((r, i) => (raw[i] == null ? 'fill' : ViQuality.reason(Products.qaFor(r.qa, index), policy)));
+        const clear = raw.map((v, i) => (mask[i] ? null : v));
+        const p = param ?? this.METHODS[method].value;
+        let smooth = null;
+        if (method === 'sg') smooth = Smoothing.savitzkyGolay(t, clear, { window: Math.max(3, Math.round(p) | 1) });
+        else if (method === 'whittaker') smooth = Smoothing.whittaker(clear, { lambda: Math.max(0.01, p) });
+        else if (method === 'harmonic') smooth = Smoothing.harmonic(t, clear, { harmonics: Math.max(1, Math.round(p)) });
+        return { dates, t, raw, mask, clear, smooth, method, index };
     },
 
-    async fetchDates(product, lat, lng) {
-        const url = `${CONFIG.RST}/${product}/dates?latitude=${lat}&longitude=${lng}`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Dates API error: ${response.status}`);
-        return response.json();
+    // ---- chart ----
+    render() {
+        if (!this.rows.length) return;
+        const keys = Products.primary(this.product);
+        const picked = document.getElementById('vi-ts-index')?.value;
+        const index = keys.includes(picked) ? picked : keys[0];
+        const method = this.method();
+        const param = parseFloat(document.getElementById('vi-ts-param')?.value);
+        const s = this.series(index, method, Number.isFinite(param) ? param : null);
+
+        const masked = s.mask.filter(Boolean).length;
+        const counts = {};
+        s.mask.forEach(m => { if (m) counts[m] = (counts[m] || 0) + 1; });
+        const detail = Object.entries(counts).map(([k, n]) => `${n} ${k}`).join(', ');
+        const policy = ViQuality.POLICIES[ViQuality.policy].label.toLowerCase();
+        this._status(`${this.product} · ${s.dates.length} composites, ${s.dates.length - masked} clear under ${policy} QA${masked ? ` (masked: ${detail})` : ''} · ${this._key}`);
+
+        const el = document.getElementById('vi-ts-chart');
+        if (!el || !window.Plotly) return;
+        const label = Products.label(index);
+        const pick = (keep) => {
+            const idx = s.dates.map((_, i) => i).filter(keep);
+            return { x: idx.map(i => s.dates[i]), y: idx.map(i => s.raw[i]), text: idx.map(i => s.mask[i] || 'clear') };
+        };
+        const traces = [
+            { ...pick(i => !s.mask[i]), type: 'scatter', mode: 'markers', name: `${label} clear`, marker: { color: '#10b981', size: 6 }, hovertemplate: '%{x}: %{y:.3f}<extra>clear</extra>' },
+            { ...pick(i => s.mask[i] && s.raw[i] != null), type: 'scatter', mode: 'markers', name: `${label} masked`, marker: { color: '#94a3b8', size: 6, symbol: 'x' }, hovertemplate: '%{x}: %{y:.3f}<extra>%{text}</extra>' }
+        ];
+        if (s.smooth) {
+            traces.push({ x: s.dates, y: s.smooth, type: 'scatter', mode: 'lines', name: `${this.METHODS[method].label}`, line: { color: '#3b82f6', width: 2 } });
+        }
+        traces.push(...LandPhenology.update(s, this.lat));
+        Plotly.newPlot(el, traces, {
+            margin: { l: 48, r: 16, t: 24, b: 56 },
+            title: { text: `${this.product} ${label} time series`, font: { size: 12 } },
+            yaxis: { title: label },
+            legend: { orientation: 'h', y: -0.25 }
+        }, { displayModeBar: false, responsive: true });
     },
 
-    async fetchSubset(product, lat, lng, startDate, endDate) {
-        const url = `${CONFIG.RST}/${product}/subset?latitude=${lat}&longitude=${lng}&startDate=${startDate}&endDate=${endDate}&kmAboveBelow=0&kmLeftRight=0`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`Subset API error: ${response.status}`);
-        return response.json();
-    },
+    _status(text) {
+        const el = document.getElementById('vi-ts-status');
+        if (el) el.textContent = text;
+    }
+};
+window.ViSeries = ViSeries;
 
-    parseAndDisplayVegetationData(json) {
-        const grid = {};
-        const arr = json?.subset || [];
+/* =========================================================
+ * LandPhenology (NEW): season metrics from the smoothed VI series
+ * - works on the ViSeries curve (clear composites, chosen smoother),
+ *   resampled to daily values
+ * - seasons are calendar years (July–June south of the equator)
+ * - 'threshold': SOS/EOS where the curve crosses a fraction of the
+ *   amplitude above the left/right minimum; 'derivative': steepest
+ *   green-up / senescence around the peak
+ * - per season: SOS, peak date/value, EOS, LOS (days), integrated VI
+ *   (sum of daily values from SOS to EOS)
+ * =======================================================*/
+const LandPhenology = {
+    MIN_COVERAGE_DAYS: 300, // a season needs this much of the curve inside it
+    MIN_AMPLITUDE: 0.05,    // flatter seasons (evergreen, bare) give no metrics
 
-        for (const item of arr) {
-            const key = (item.band || '').toLowerCase();
-            const val = Array.isArray(item.data) ? item.data[0] : item.data;
-            grid[key] = {
-                date: item.calendar_date || item.modis_date,
-                raw: val,
-                scaled: this.scaleValue(key, val)
-            };
-        }
+    active: false,
+    metrics: [],
 
-        const tile = arr[0]?.tile || '—';
-        const modisDate = arr[0]?.modis_date || null;
-        const calendarDate = arr[0]?.calendar_date || null;
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        $('lsp-run')?.addEventListener('click', () => this.run());
+        ['lsp-method', 'lsp-threshold'].forEach(id => $(id)?.addEventListener('change', () => this.active && ViSeries.render()));
+        $('lsp-method')?.addEventListener('change', () => this._syncThreshold());
+        this._syncThreshold();
+    },
 
-        const pick = (keyword) => {
-            const key = Object.keys(grid).find(x => x.includes(keyword));
-            return key ? grid[key] : { scaled: null, raw: null };
-        };
+    _syncThreshold() {
+        const input = document.getElementById('lsp-threshold');
+        if (input) input.disabled = this.options().method !== 'threshold';
+    },
 
-        const ndvi = pick('ndvi').scaled;
-        const evi = pick('evi').scaled;
-        const red = pick('red_reflectance').scaled;
-        const nir = pick('nir_reflectance').scaled;
-        const blue = pick('blue_reflectance').scaled;
-        const mir = pick('mir_reflectance').scaled;
-        const reliability = pick('pixel_reliability').raw;
-        const viQuality = pick('vi_quality').raw;
-
-        this.updateVegetationDisplay({
-            date: calendarDate || modisDate,
-            tile,
-            ndvi, evi, red, nir, blue, mir,
-            reliability, viQuality
-        });
+    options() {
+        return {
+            method: document.getElementById('lsp-method')?.value === 'derivative' ? 'derivative' : 'threshold',
+            threshold: Utils.clamp(parseFloat(document.getElementById('lsp-threshold')?.value) || 0.2, 0.05, 0.95)
+        };
     },
 
-    scaleValue(bandName, raw) {
-        if (raw == null) return null;
-        const n = Number(raw);
-        if (n <= -9000) return null; // fill / invalid
-        const b = (bandName || '').toLowerCase();
-        if (b.includes('reflectance')) return n * 0.0001;
-        if (b.includes('ndvi') || b.includes('evi')) return n * 0.0001;
-        if (b.includes('zenith') || b.includes('azimuth')) return n * 0.01;
-        return n;
+    async run() {
+        this.active = true;
+        if (!ViSeries.rows.length) await ViSeries.load(); // renders, which extracts the metrics
+        else ViSeries.render();
     },
 
-    updateVegetationDisplay(data) {
-        const elements = {
-            'vi-meta': `Date: ${data.date || '—'}, Tile: ${data.tile}`,
-            'vi-quality': this.getQualityBadge(data.reliability, data.viQuality),
-            'vi-vigor': this.getVigorInfo(data.ndvi),
-            'vi-ndvi': Utils.fmt(data.ndvi, 4),
-            'vi-evi': Utils.fmt(data.evi, 4),
-            'vi-red': Utils.fmt(data.red, 4),
-            'vi-nir': Utils.fmt(data.nir, 4),
-            'vi-blue': Utils.fmt(data.blue, 4),
-            'vi-mir': Utils.fmt(data.mir, 4)
-        };
+    // ---- extraction ----
+    // Daily values between the first and last composite: [{ date: ms, v }]
+    daily(s) {
+        const curve = s.smooth || Smoothing.fill(s.t, s.clear);
+        const out = [];
+        const t0 = Date.parse(s.dates[0]);
+        for (let i = 0; i < s.t.length - 1; i++) {
+            const [a, b] = [curve[i], curve[i + 1]];
+            if (a == null || b == null) continue;
+            for (let d = s.t[i]; d < s.t[i + 1]; d++) {
+                out.push({ date: t0 + d * 864e5, v: a + ((b - a) * (d - s.t[i])) / (s.t[i + 1] - s.t[i]) });
+            }
+        }
+        const last = s.t.length - 1;
+        if (curve[last] != null) out.push({ date: t0 + s.t[last] * 864e5, v: curve[last] });
+        return out;
+    },
 
-        for (const [id, content] of Object.entries(elements)) {
-            const element = document.getElementById(id);
-            if (!element) continue;
-            if (id === 'vi-quality' || id === 'vi-vigor') element.innerHTML = content;
-            else element.textContent = content;
+    seasons(daily, lat) {
+        if (!daily.length) return [];
+        const startMonth = lat < 0 ? 6 : 0; // 0-based month
+        const first = new Date(daily[0].date).getUTCFullYear() - 1;
+        const last = new Date(daily[daily.length - 1].date).getUTCFullYear();
+        const out = [];
+        for (let y = first; y <= last; y++) {
+            const from = Date.UTC(y, startMonth, 1), to = Date.UTC(y + 1, startMonth, 1);
+            const days = daily.filter(d => d.date >= from && d.date < to);
+            if (days.length < this.MIN_COVERAGE_DAYS) continue;
+            out.push({ label: startMonth ? `${y}/${String(y + 1).slice(2)}` : String(y), from, days });
         }
+        return out;
     },
 
-    getQualityBadge(reliability, viQuality) {
-        const reliabilityMap = {
-            0: ['Good', 'b-good'],
-            1: ['Marginal', 'b-marg'],
-            2: ['Snow/Ice', 'b-snow'],
-            3: ['Cloud', 'b-cloud']
-        };
-        let result = '';
-        if (reliability != null) {
-            const [label] = reliabilityMap[Number(reliability)] || ['Unknown', ''];
-            result += `<span class="badge">${label} (${reliability})</span>`;
+    extract(s, lat, opts = this.options(), daily = this.daily(s)) {
+        return this.seasons(daily, lat).map(season => this._season(season, opts));
+    },
+
+    _season({ label, from, days }, { method, threshold }) {
+        const out = { season: label, from, sos: null, peak: null, peakValue: null, eos: null, los: null, integral: null, note: '' };
+        let p = 0;
+        days.forEach((d, i) => { if (d.v > days[p].v) p = i; });
+        const leftMin = Math.min(...days.slice(0, p + 1).map(d => d.v));
+        const rightMin = Math.min(...days.slice(p).map(d => d.v));
+        out.peak = days[p].date;
+        out.peakValue = days[p].v;
+        if (days[p].v - Math.max(leftMin, rightMin) < this.MIN_AMPLITUDE) {
+            out.note = 'No clear season (low amplitude)';
+            return out;
         }
-        if (viQuality != null) {
-            result += (result ? ' · ' : '') + `VI Quality=${viQuality}`;
+
+        let sos = -1, eos = -1;
+        if (method === 'derivative') {
+            let up = -Infinity, down = Infinity;
+            for (let i = 1; i < days.length; i++) {
+                const dv = days[i].v - days[i - 1].v;
+                if (i <= p && dv > up) { up = dv; sos = i; }
+                if (i > p && dv < down) { down = dv; eos = i; }
+            }
+            if (up <= 0) sos = -1;
+            if (down >= 0) eos = -1;
+        } else {
+            const upLevel = leftMin + threshold * (days[p].v - leftMin);
+            const downLevel = rightMin + threshold * (days[p].v - rightMin);
+            // Last rise through the level before the peak, first fall through it after
+            for (let i = p; i > 0; i--) if (days[i - 1].v < upLevel && days[i].v >= upLevel) { sos = i; break; }
+            for (let i = p; i < days.length - 1; i++) if (days[i].v >= downLevel && days[i + 1].v < downLevel) { eos = i + 1; break; }
+        }
+
+        if (sos >= 0) out.sos = days[sos].date;
+        if (eos >= 0) out.eos = days[eos].date;
+        if (sos >= 0 && eos > sos) {
+            out.los = eos - sos;
+            out.integral = days.slice(sos, eos + 1).reduce((a, d) => a + d.v, 0);
+        } else {
+            out.note = sos < 0 ? 'Start of season not reached' : 'End of season not reached';
         }
-        return result || '—';
+        return out;
     },
 
-    getVigorInfo(ndvi) {
-        if (ndvi == null || isNaN(ndvi)) return '<span class="vig-verylow">Unknown</span>';
+    // Days since the season start (DOY for northern seasons)
+    dayOfSeason(m, key) {
+        return m[key] == null ? null : Math.round((m[key] - m.from) / 864e5) + 1;
+    },
 
-        let label, cls;
-        if (ndvi < 0.2)       { label = 'Very Low (Bare/Urban)'; cls = 'vig-verylow'; }
-        else if (ndvi < 0.3)  { label = 'Low'; cls = 'vig-low'; }
-        else if (ndvi < 0.5)  { label = 'Moderate'; cls = 'vig-medium'; }
-        else if (ndvi < 0.7)  { label = 'High'; cls = 'vig-high'; }
-        else                  { label = 'Very High'; cls = 'vig-veryhigh'; }
-        return `<span class="${cls}">${label}</span> (NDVI=${Utils.fmt(ndvi, 3)})`;
+    // ---- output ----
+    // Called by ViSeries.render with the current series; returns chart traces for the markers
+    update(s, lat) {
+        if (!this.active) return [];
+        const daily = this.daily(s);
+        const at = new Map(daily.map(d => [d.date, d.v]));
+        this.metrics = this.extract(s, lat, this.options(), daily);
+        this.renderTable(s.index);
+        this.plotTrend(s.index);
+        const mk = (key, name, color, symbol) => {
+            const list = this.metrics.filter(m => m[key] != null);
+            return {
+                x: list.map(m => this._iso(m[key])), y: list.map(m => at.get(m[key]) ?? null),
+                type: 'scatter', mode: 'markers', name, marker: { color, size: 10, symbol, line: { color: '#fff', width: 1 } }
+            };
+        };
+        return [mk('sos', 'Start of season', '#22c55e', 'triangle-up'), mk('peak', 'Peak', '#f59e0b', 'star'), mk('eos', 'End of season', '#ef4444', 'triangle-down')];
     },
 
-    clearVegetationDisplay() {
-        const ids = ['vi-meta', 'vi-quality', 'vi-vigor', 'vi-ndvi', 'vi-evi', 'vi-red', 'vi-nir', 'vi-blue', 'vi-mir'];
-        ids.forEach(id => {
-            const el = document.getElementById(id);
-            if (!el) return;
-            if (id === 'vi-quality' || id === 'vi-vigor') el.innerHTML = '—';
-            else el.textContent = '—';
-        });
+    renderTable(index) {
+        const el = document.getElementById('lsp-table');
+        if (!el) return;
+        if (!this.metrics.length) {
+            el.innerHTML = '<div class="date-label">No complete season in the loaded series; load more years.</div>';
+            return;
+        }
+        const d = (ms) => (ms == null ? '—' : this._iso(ms));
+        const rows = this.metrics.map(m => `
+            <tr><td>${m.season}</td><td>${d(m.sos)}</td><td>${d(m.peak)}</td><td>${Utils.fmt(m.peakValue, 3)}</td>
+            <td>${d(m.eos)}</td><td>${m.los ?? '—'}</td><td>${Utils.fmt(m.integral, 1)}</td></tr>
+            ${m.note ? `<tr><td></td><td colspan="6" class="small">${m.note}</td></tr>` : ''}`).join('');
+        const trend = (key) => {
+            const pts = this.metrics.map((m, i) => [i, this.dayOfSeason(m, key)]).filter(([, v]) => v != null);
+            if (pts.length < 3) return '—';
+            const slope = Smoothing.polyfit(pts.map(p => p[0]), pts.map(p => p[1]), 1)[1];
+            return `${slope >= 0 ? '+' : ''}${Utils.fmt(slope, 1)} d/season`;
+        };
+        const { method, threshold } = this.options();
+        el.innerHTML = `
+            <div class="date-label">${method === 'derivative' ? 'Derivative (steepest change)' : `Amplitude threshold ${Math.round(threshold * 100)}%`} · trends: SOS ${trend('sos')}, peak ${trend('peak')}, EOS ${trend('eos')}</div>
+            <table class="vi-table">
+                <thead><tr><th>Season</th><th>SOS</th><th>Peak</th><th>Peak ${Products.label(index)}</th><th>EOS</th><th>LOS (d)</th><th>Integrated</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>`;
     },
 
-    updateLocation(_lat, _lng) {
-        // Could auto-refresh when location changes if needed
-        // this.queryVegetationIndex();
+    plotTrend(index) {
+        const el = document.getElementById('lsp-chart');
+        if (!el || !window.Plotly) return;
+        const x = this.metrics.map(m => m.season);
+        const day = (key) => this.metrics.map(m => this.dayOfSeason(m, key));
+        Plotly.newPlot(el, [
+            { x, y: day('sos'), type: 'scatter', mode: 'lines+markers', name: 'SOS', line: { color: '#22c55e' } },
+            { x, y: day('peak'), type: 'scatter', mode: 'lines+markers', name: 'Peak', line: { color: '#f59e0b' } },
+            { x, y: day('eos'), type: 'scatter', mode: 'lines+markers', name: 'EOS', line: { color: '#ef4444' } },
+            { x, y: this.metrics.map(m => m.integral), type: 'bar', name: `Integrated ${Products.label(index)}`, yaxis: 'y2', opacity: 0.25, marker: { color: '#94a3b8' } }
+        ], {
+            margin: { l: 48, r: 48, t: 24, b: 56 },
+            title: { text: 'Season metrics by year', font: { size: 12 } },
+            xaxis: { type: 'category' },
+            yaxis: { title: 'Day of season' },
+            yaxis2: { title: 'Integrated', overlaying: 'y', side: 'right', showgrid: false },
+            legend: { orientation: 'h', y: -0.25 }
+        }, { displayModeBar: false, responsive: true });
+    },
+
+    _iso(ms) {
+        return new Date(ms).toISOString().slice(0, 10);
     }
 };
+window.LandPhenology = LandPhenology;
 
 /* =========================================================
  * Phenology Manager
@@ -1168,7 +5163,8 @@ const PhenologyManager = {
 
         try {
             const dailyData = await this.fetchPOWERDaily(location.lat, location.lng, theYear);
-            this.calculateFlowerPredictions(dailyData, theYear);
+            const predictions = this.calculateFlowerPredictions(dailyData, theYear);
+            Sites.record(location.lat, location.lng, 'bloom', { year: theYear, predictions });
             this.plotTemperatureChart(dailyData);
         } catch (error) {
             console.error('Failed to calculate phenology:', error);
@@ -1177,37 +5173,15 @@ const PhenologyManager = {
     },
 
     async fetchPOWERDaily(lat, lng, year) {
-        const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-        url.search = new URLSearchParams({
-            parameters: 'T2M,T2M_MIN,T2M_MAX,PRECTOTCORR',
-            community: 'AG',
-            longitude: String(lng),
-            latitude: String(lat),
-            start: `${year}0101`,
-            end: `${year}1231`,
-            format: 'JSON'
-        }).toString();
-
-        const response = await fetch(url.toString());
-        if (!response.ok) throw new Error(`POWER API error: ${response.status}`);
-
-        const data = await response.json();
-        const params = data?.properties?.parameter || {};
-        const dates = Object.keys(params?.T2M || {}).sort();
-
-        return dates.map(d => ({
-            date: d,
-            T2M: Utils.numOrNull(params.T2M[d]),
-            T2M_MIN: Utils.numOrNull(params.T2M_MIN?.[d]),
-            T2M_MAX: Utils.numOrNull(params.T2M_MAX?.[d]),
-            P: Utils.numOrNull(params.PRECTOTCORR?.[d])
-        }));
+        const wx = await Power.daily(lat, lng, `${year}0101`, `${year}1231`, ['T2M', 'T2M_MIN', 'T2M_MAX', 'PRECTOTCORR']);
+        return Power.rows(wx, { PRECTOTCORR: 'P' });
     },
 
     calculateFlowerPredictions(dailyData, year) {
         const temps = dailyData.map(d => d.T2M);
         const tbody = document.querySelector('#flowers-table tbody');
-        if (!tbody) return;
+        const results = [];
+        if (!tbody) return results;
 
         for (const tr of tbody.querySelectorAll('tr')) {
             const baseInput = tr.children[1].querySelector('input');
@@ -1236,7 +5210,13 @@ const PhenologyManager = {
                 daysCell.textContent = '—';
                 predCell.className = 'pred bad';
             }
+            results.push({
+                name: tr.getAttribute('data-name') || tr.children[0].textContent.trim(),
+                date: result.doy ? Utils.doyToDate(year, result.doy) : null,
+                days: result.days
+            });
         }
+        return results;
     },
 
     estimateGDD(tempDaily, base, threshold) {
@@ -1309,26 +5289,9 @@ const WeatherManager = {
     },
 
     async fetchWeatherData(lat, lng, isoDate) {
-        const ymd = isoDate.replace(/-/g, '');
-        const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-        url.search = new URLSearchParams({
-            parameters: 'T2M,PRECTOTCORR',
-            community: 'AG',
-            longitude: String(lng),
-            latitude: String(lat),
-            start: ymd,
-            end: ymd,
-            format: 'JSON'
-        }).toString();
-
-        const response = await fetch(url);
-        if (!response.ok) throw new Error(`POWER API error: ${response.status}`);
-
-        const data = await response.json();
-        const params = data?.properties?.parameter || {};
-
-        const temp = Utils.numOrNull(Object.values(params.T2M || {})[0]);
-        const precip = Utils.numOrNull(Object.values(params.PRECTOTCORR || {})[0]);
+        const wx = await Power.daily(lat, lng, isoDate, isoDate, ['T2M', 'PRECTOTCORR']);
+        const temp = wx.values.T2M[0] ?? null;
+        const precip = wx.values.PRECTOTCORR[0] ?? null;
 
         const tempStr = temp == null ? '—' : temp.toFixed(1);
         const precipStr = precip == null ? '—' : precip.toFixed(1);
@@ -1351,7 +5314,10 @@ const WeatherManager = {
  * DataHub (NEW): gather 30d weather, latest VI, and phenology predictions
  * =======================================================*/
 const DataHub = {
-    _key(lat, lng) { return `${lat.toFixed(3)},${lng.toFixed(3)}`; },
+    RECENT_VI: 6, // composites searched back for a usable latest VI
+
+    // The VI part depends on the QA policy, so it is part of the cache key
+    _key(lat, lng) { return `${lat.toFixed(3)},${lng.toFixed(3)},${ViQuality.policy}`; },
 
     async collectAll(lat, lng) {
         const key = this._key(lat, lng);
@@ -1374,26 +5340,8 @@ const DataHub = {
     },
 
     async _fetchPowerRange(lat, lng, start, end) {
-        const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-        url.search = new URLSearchParams({
-            parameters: 'T2M,T2M_MIN,T2M_MAX,PRECTOTCORR',
-            community: 'AG',
-            longitude: String(lng),
-            latitude: String(lat),
-            start, end, format: 'JSON'
-        }).toString();
-        const r = await fetch(url);
-        if (!r.ok) throw new Error('POWER 30d failed');
-        const j = await r.json();
-        const par = j?.properties?.parameter || {};
-        const dates = Object.keys(par?.T2M || {}).sort();
-        const rows = dates.map(d => ({
-            date: d,
-            T2M: Utils.numOrNull(par.T2M?.[d]),
-            T2M_MIN: Utils.numOrNull(par.T2M_MIN?.[d]),
-            T2M_MAX: Utils.numOrNull(par.T2M_MAX?.[d]),
-            P: Utils.numOrNull(par.PRECTOTCORR?.[d])
-        }));
+        const wx = await Power.daily(lat, lng, start, end, ['T2M', 'T2M_MIN', 'T2M_MAX', 'PRECTOTCORR']);
+        const rows = Power.rows(wx, { PRECTOTCORR: 'P' });
         const mean = (arr) => arr.length ? (arr.reduce((a,b)=>a+b,0)/arr.length) : null;
         const sum = (arr) => arr.length ? arr.reduce((a,b)=>a+b,0) : null;
         return {
@@ -1407,35 +5355,31 @@ const DataHub = {
         };
     },
 
+    // Latest composite that passes the QA policy (searching back RECENT_VI composites),
+    // else the latest one flagged as unusable; graded for vigor against the site history and land cover
     async _fetchLatestVI(lat, lng) {
         const dates = await VegetationManager.fetchDates('MOD13Q1', lat, lng);
-        const arr = dates?.dates || [];
-        const latest = arr.length ? (arr[arr.length - 1]?.modis_date || arr[arr.length - 1]) : null;
-        if (!latest) return null;
-        const subset = await VegetationManager.fetchSubset('MOD13Q1', lat, lng, latest, latest);
-        if (!subset?.subset?.length) return null;
-
-        const grid = {};
-        for (const it of subset.subset) {
-            const name = (it.band || '').toLowerCase();
-            const v = Array.isArray(it.data) ? it.data[0] : it.data;
-            grid[name] = v;
-        }
-        const val = (key, scale=0.0001) => {
-            const k = Object.keys(grid).find(n => n.includes(key));
-            const raw = k ? Number(grid[k]) : null;
-            if (raw == null || raw <= -9000) return null;
-            return raw * scale;
-        };
-
+        const arr = (dates?.dates || []).slice(-this.RECENT_VI);
+        if (!arr.length) return null;
+        const rows = await RstSeries.fetch('MOD13Q1', lat, lng, arr);
+        if (!rows.length) return null;
+        const row = [...rows].reverse().find(r => r.values.ndvi != null && ViQuality.usable(r.qa)) || rows[rows.length - 1];
+        const masked = ViQuality.reasons(row.qa);
+        const [history, landCover] = await Promise.all([
+            VegetationManager.vigorHistory('MOD13Q1', lat, lng, row.modisDate).catch(() => null),
+            Products.landCover(lat, lng).catch(() => null)
+        ]);
         return {
-            date: subset.subset[0]?.calendar_date || subset.subset[0]?.modis_date || null,
-            ndvi: val('ndvi'),
-            evi: val('evi'),
-            red: val('red_reflectance'),
-            nir: val('nir_reflectance'),
-            blue: val('blue_reflectance'),
-            mir: val('mir_reflectance')
+            date: row.date,
+            ...row.values,
+            reliability: row.qa.reliability,
+            viQuality: row.qa.viQuality,
+            qaPolicy: ViQuality.policy,
+            usable: !masked.length,
+            masked,
+            quality: ViQuality.describe(row.qa),
+            landCover,
+            vigor: row.values.ndvi != null ? VegetationManager.vigor(row.values.ndvi, { history, landCover, qa: row.qa }) : null
         };
     },
 
@@ -1462,7 +5406,7 @@ const DataHub = {
         return table.map(row => {
             if (!Number.isFinite(row.base) || !Number.isFinite(row.thr)) return { name: row.name, date:null, gdd:null, days:null };
             const r = estimate(row.base, row.thr);
-            return { name: row.name, date: r.date, days: r.doy, gdd: r.gdd };
+            return { name: row.name, date: r.date, days: r.doy, gdd: r.gdd, base: row.base, thr: row.thr };
         });
     },
 
@@ -1475,21 +5419,731 @@ const DataHub = {
 /* =========================================================
  * AI Manager
  * =======================================================*/
-function removeExclamationMarks(str) { return str.replace(/！/g, ''); }
-const OPENAI_BASE  = 'https://api.openai.com/v1';
-const OPENAI_MODEL = 'gpt-4o-mini';
-const OPENAI_KEY   = removeExclamationMarks('s！k-p！roj-d-PKY！kxmzmyZ！AnHdbWH4zbJ5mnxdvi7kgVU！vMpmXSMIuBdspcdSFIiyCbocTdPVqijv！9FNjcbBT3BlbkFJU-sRcJsKqcRH！0c1v_1FNm2lBHhqTKf0aQTcf！IjjktRWAfeDWJxUz！vrUDO6YlxZ7！ESP6BY-V6UA');
+
+// App capabilities the assistant may call while answering (OpenAI function-calling schema).
+// run(args, here) receives the parsed arguments and the current marker { lat, lng };
+// whatever it returns is sent back to the model as JSON.
+const AITools = {
+  MAX_ROWS: 120,
+
+  get_ndvi_series: {
+    description: 'MODIS vegetation index time series (16-day composites) at the location for a date range. Use it to compare seasons or years.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_date: { type: 'string', description: 'YYYY-MM-DD' },
+        end_date: { type: 'string', description: 'YYYY-MM-DD' },
+        index: { type: 'string', enum: ['ndvi', 'evi'], description: 'Vegetation index (default ndvi)' }
+      },
+      required: ['start_date', 'end_date']
+    },
+    async run({ start_date, end_date, index = 'ndvi' }, { lat, lng }) {
+      const product = 'MOD13Q1';
+      const json = await VegetationManager.fetchDates(product, lat, lng);
+      const dates = (json?.dates || []).filter(d => d.calendar_date >= start_date && d.calendar_date <= end_date);
+      if (!dates.length) return { product, index, count: 0, note: 'No composites in that range.' };
+      // Long ranges are subsampled evenly (keeping both ends) rather than cut at the start
+      const step = Math.max(1, (dates.length - 1) / (AITools.MAX_ROWS - 1));
+      const picked = dates.length > AITools.MAX_ROWS
+        ? Array.from({ length: AITools.MAX_ROWS }, (_, i) => dates[Math.round(i * step)])
+        : dates;
+      const rows = (await RstSeries.fetch(product, lat, lng, picked))
+        .map(r => {
+          const masked = ViQuality.reasons(r.qa);
+          return {
+            date: r.date,
+            value: r.values[index] != null ? +r.values[index].toFixed(4) : null,
+            reliability: r.qa.reliability,
+            usable: !masked.length,
+            ...(masked.length ? { masked: masked.join(', ') } : {})
+          };
+        });
+      const vals = rows.filter(r => r.usable).map(r => r.value).filter(v => v != null);
+      return {
+        product, index, count: rows.length,
+        ...(picked.length < dates.length ? {
+          truncated: true,
+          available: dates.length,
+          first_date: rows[0]?.date ?? null,
+          last_date: rows[rows.length - 1]?.date ?? null,
+          sampling: `every ~${step.toFixed(1)} composites`
+        } : {}),
+        mean: vals.length ? +(vals.reduce((a, b) => a + b, 0) / vals.length).toFixed(4) : null,
+        min: vals.length ? Math.min(...vals) : null,
+        max: vals.length ? Math.max(...vals) : null,
+        note: `reliability: 0 good, 1 marginal, 2 snow/ice, 3 cloudy. mean/min/max use only composites usable under the ${ViQuality.policy} QA policy.`,
+        series: rows
+      };
+    }
+  },
+
+  compute_gdd: {
+    description: 'Growing degree days from NASA POWER daily mean air temperature (sum of max(0, T2M - base)) over a date range.',
+    parameters: {
+      type: 'object',
+      properties: {
+        base_temp_c: { type: 'number', description: 'Base temperature in °C (e.g. 5 or 10)' },
+        start_date: { type: 'string', description: 'YYYY-MM-DD' },
+        end_date: { type: 'string', description: 'YYYY-MM-DD' },
+        threshold: { type: 'number', description: 'Optional GDD target; the date it is reached is reported' }
+      },
+      required: ['base_temp_c', 'start_date', 'end_date']
+    },
+    async run({ base_temp_c, start_date, end_date, threshold }, { lat, lng }) {
+      const base = Number(base_temp_c);
+      if (!Number.isFinite(base)) throw new Error('base_temp_c must be a number');
+      const wx = await Power.daily(lat, lng, start_date, end_date, ['T2M']);
+      let gdd = 0, missing = 0, reached = null;
+      wx.values.T2M.forEach((t, i) => {
+        if (t == null) { missing++; return; }
+        gdd += Math.max(0, t - base);
+        if (threshold != null && reached == null && gdd >= threshold) reached = wx.iso[i];
+      });
+      return {
+        base_temp_c: base,
+        first_day: wx.iso[0] || null,
+        last_day: wx.iso[wx.iso.length - 1] || null,
+        days: wx.dates.length,
+        missing_days: missing,
+        gdd: +gdd.toFixed(1),
+        ...(threshold != null ? { threshold, threshold_reached_on: reached } : {})
+      };
+    }
+  },
+
+  count_inat_observations: {
+    description: 'Count research/verifiable iNaturalist observations of a taxon near the location, optionally within a date range.',
+    parameters: {
+      type: 'object',
+      properties: {
+        taxon: { type: 'string', description: 'Scientific or common name, or a numeric iNaturalist taxon id' },
+        radius_km: { type: 'number', description: 'Search radius in km (default 10)' },
+        start_date: { type: 'string', description: 'YYYY-MM-DD (optional)' },
+        end_date: { type: 'string', description: 'YYYY-MM-DD (optional)' }
+      },
+      required: ['taxon']
+    },
+    async run({ taxon, radius_km = 10, start_date, end_date }, { lat, lng }) {
+      let taxonId = /^\d+$/.test(String(taxon).trim()) ? String(taxon).trim() : null;
+      let taxonName = null;
+      if (!taxonId) {
+        const t = new URL('https://api.inaturalist.org/v1/taxa/autocomplete');
+        t.search = new URLSearchParams({ q: taxon, per_page: '1' }).toString();
+        const r = await Http.fetch(t.toString());
+        if (!r.ok) throw new Error(`iNaturalist taxa lookup failed: ${r.status}`);
+        const hit = (await r.json())?.results?.[0];
+        if (!hit) return { taxon, count: 0, note: 'Taxon not found on iNaturalist.' };
+        taxonId = String(hit.id);
+        taxonName = `${hit.name}${hit.preferred_common_name ? ` (${hit.preferred_common_name})` : ''}`;
+      }
+      const u = new URL('https://api.inaturalist.org/v1/observations');
+      const params = { lat, lng, radius: radius_km, taxon_id: taxonId, verifiable: 'true', per_page: '0' };
+      if (start_date) params.d1 = start_date;
+      if (end_date) params.d2 = end_date;
+      u.search = new URLSearchParams(params).toString();
+      const r = await Http.fetch(u.toString());
+      if (!r.ok) throw new Error(`iNaturalist API error: ${r.status}`);
+      const j = await r.json();
+      return { taxon_id: +taxonId, taxon: taxonName || taxon, radius_km, start_date: start_date || null, end_date: end_date || null, count: j?.total_results ?? 0 };
+    }
+  },
+
+  get_power_climatology: {
+    description: 'NASA POWER long-term monthly climatology at the location. Temperatures in °C; precipitation (PRECTOTCORR) in mm/day.',
+    parameters: {
+      type: 'object',
+      properties: {
+        parameters: {
+          type: 'array',
+          items: { type: 'string', enum: ['T2M', 'T2M_MIN', 'T2M_MAX', 'PRECTOTCORR', 'RH2M', 'ALLSKY_SFC_SW_DWN'] },
+          description: 'POWER parameters (default T2M and PRECTOTCORR)'
+        }
+      }
+    },
+    async run({ parameters = ['T2M', 'PRECTOTCORR'] }, { lat, lng }) {
+      const clim = await Power.climatology(lat, lng, parameters.length ? parameters : ['T2M', 'PRECTOTCORR']);
+      const round = (v) => (v == null ? null : +v.toFixed(2));
+      const monthly = {};
+      for (const [p, arr] of Object.entries(clim.values)) {
+        monthly[p] = Object.fromEntries(Power.MONTHS.map((m, i) => [m, round(arr[i])]));
+      }
+      const annual = Object.fromEntries(Object.entries(clim.annual).map(([p, v]) => [p, round(v)]));
+      return { monthly, annual };
+    }
+  },
+
+  list() {
+    return Object.keys(this).filter(k => typeof this[k]?.run === 'function');
+  },
+
+  // OpenAI-style `tools` array
+  schema() {
+    return this.list().map(name => ({
+      type: 'function',
+      function: { name, description: this[name].description, parameters: this[name].parameters }
+    }));
+  },
+
+  // Never throws: failures are reported to the model so it can explain or retry
+  async call(name, argsJson, here) {
+    const tool = this.list().includes(name) ? this[name] : null;
+    if (!tool) return { error: `Unknown tool: ${name}` };
+    let args = {};
+    try {
+      args = typeof argsJson === 'string' ? JSON.parse(argsJson || '{}') : (argsJson || {});
+    } catch (_) {
+      return { error: 'Arguments were not valid JSON' };
+    }
+    try {
+      return await tool.run(args, here);
+    } catch (e) {
+      console.warn(`[AITools] ${name} failed:`, e);
+      return { error: e.message };
+    }
+  }
+};
+window.AITools = AITools;
+
+// Backend adapters:
+//   complete(messages, settings, opts)                          -> assistant text
+//   stream(messages, settings, { signal, onToken, tools })      -> { content, tool_calls }
+//   json(messages, settings, { signal, format: { name, schema } }) -> parsed object matching the schema
+// Messages and tool calls use the OpenAI chat format; adapters convert as needed.
+
+// Feed a streamed response body to onLine() one text line at a time
+async function readLines(resp, onLine) {
+  if (!resp.body || !resp.body.getReader) {
+    (await resp.text()).split('\n').forEach(onLine);
+    return;
+  }
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      onLine(buf.slice(0, nl).replace(/\r$/, ''));
+      buf = buf.slice(nl + 1);
+    }
+  }
+  buf += decoder.decode();
+  if (buf) onLine(buf);
+}
+
+// Parse a JSON reply, tolerating backends that wrap it in a ``` fence
+function parseJSONReply(text) {
+  const body = String(text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    return JSON.parse(body);
+  } catch (_) {
+    throw new Error('AI backend did not return valid JSON');
+  }
+}
+
+const AIProviders = {
+  openai: {
+    label: 'OpenAI-compatible (proxy / own key)',
+    async _post(messages, s, opts, stream) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (s.key) headers.Authorization = `Bearer ${s.key}`; // otherwise the proxy adds it server-side
+      const body = { model: s.model, messages, temperature: CONFIG.AI.TEMPERATURE, stream };
+      if (opts.tools?.length) body.tools = opts.tools;
+      if (opts.format) body.response_format = { type: 'json_schema', json_schema: { name: opts.format.name, strict: true, schema: opts.format.schema } };
+      const resp = await Http.fetch(`${s.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: opts.signal
+      });
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(`AI backend error: ${resp.status} - ${txt}`);
+      }
+      return resp;
+    },
+    async complete(messages, s, opts = {}) {
+      const data = await (await this._post(messages, s, opts, false)).json();
+      return data?.choices?.[0]?.message?.content?.trim() || '';
+    },
+    async json(messages, s, opts = {}) {
+      return parseJSONReply(await this.complete(messages, s, opts));
+    },
+    // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]".
+    // Tool calls arrive as fragments keyed by index and are stitched back together.
+    async stream(messages, s, opts = {}) {
+      const resp = await this._post(messages, s, opts, true);
+      let content = '';
+      const calls = [];
+      await readLines(resp, (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        let delta;
+        try { delta = JSON.parse(payload)?.choices?.[0]?.delta; } catch (_) { return; }
+        if (!delta) return;
+        for (const part of (delta.tool_calls || [])) {
+          const call = calls[part.index ?? calls.length] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        }
+        if (delta.content) {
+          content += delta.content;
+          opts.onToken?.(delta.content);
+        }
+      });
+      const toolCalls = calls.filter(c => c && c.function.name);
+      return { content: content.trim(), ...(toolCalls.length ? { tool_calls: toolCalls } : {}) };
+    }
+  },
+
+  ollama: {
+    label: 'Ollama (local)',
+    // Ollama wants tool-call arguments as objects rather than JSON strings
+    _messages(messages) {
+      return messages.map(m => {
+        if (!m.tool_calls) return m;
+        return {
+          ...m,
+          tool_calls: m.tool_calls.map(c => {
+            let args = {};
+            try { args = JSON.parse(c.function.arguments || '{}'); } catch (_) {}
+            return { function: { name: c.function.name, arguments: args } };
+          })
+        };
+      });
+    },
+    async _post(messages, s, opts, stream) {
+      const body = { model: s.model, messages: this._messages(messages), stream, options: { temperature: CONFIG.AI.TEMPERATURE } };
+      if (opts.tools?.length) body.tools = opts.tools;
+      if (opts.format) body.format = opts.format.schema;
+      const resp = await Http.fetch(`${s.baseUrl.replace(/\/+$/, '')}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: opts.signal
+      });
+      if (!resp.ok) {
+        const txt = await resp.text();
+        throw new Error(`Ollama error: ${resp.status} - ${txt}`);
+      }
+      return resp;
+    },
+    async complete(messages, s, opts = {}) {
+      const data = await (await this._post(messages, s, opts, false)).json();
+      return data?.message?.content?.trim() || '';
+    },
+    async json(messages, s, opts = {}) {
+      return parseJSONReply(await this.complete(messages, s, opts));
+    },
+    // Newline-delimited JSON: one {message:{content, tool_calls}} object per chunk
+    async stream(messages, s, opts = {}) {
+      const resp = await this._post(messages, s, opts, true);
+      let content = '';
+      const calls = [];
+      await readLines(resp, (line) => {
+        if (!line.trim()) return;
+        let obj;
+        try { obj = JSON.parse(line); } catch (_) { return; }
+        if (obj.error) throw new Error(`Ollama error: ${obj.error}`);
+        for (const c of (obj?.message?.tool_calls || [])) {
+          calls.push({
+            id: `call_${calls.length}`,
+            type: 'function',
+            function: { name: c.function?.name || '', arguments: JSON.stringify(c.function?.arguments || {}) }
+          });
+        }
+        const delta = obj?.message?.content || '';
+        if (!delta) return;
+        content += delta;
+        opts.onToken?.(delta);
+      });
+      return { content: content.trim(), ...(calls.length ? { tool_calls: calls } : {}) };
+    }
+  },
+
+  mock: {
+    label: 'Mock (offline canned replies)',
+    async complete(messages) {
+      const turns = messages.filter(m => m.role === 'user' || m.role === 'assistant');
+      const last = [...turns].reverse().find(m => m.role === 'user')?.content || '';
+      return [
+        '### Mock assistant',
+        'This reply comes from the **mock** backend; no model was called.',
+        `- **Your message:** ${last.trim() || '—'}`,
+        `- **Conversation so far:** ${turns.length} message(s), ${messages.length - turns.length} context block(s)`
+      ].join('\n');
+    },
+    // Canned site report built from the phenology table
+    async json() {
+      const names = Array.from(document.querySelectorAll('#flowers-table tbody tr'))
+        .map(tr => tr.getAttribute('data-name'))
+        .filter(n => n && n !== 'Custom');
+      const pick = (n, i) => ({
+        name: n,
+        scientific_name: '',
+        reasons: ['Mock backend: placeholder reasoning.'],
+        bloom_window: { start: ['March', 'April', 'May'][i % 3], end: ['April', 'May', 'June'][i % 3] },
+        confidence: +(0.9 - i * 0.1).toFixed(2)
+      });
+      return {
+        summary: 'Mock report generated offline; no model was called.',
+        overall_confidence: 0.5,
+        suitable: names.slice(0, 3).map(pick),
+        unsuitable: names.slice(3, 5).map((n, i) => ({ ...pick(n, i), bloom_window: { start: '', end: '' } }))
+      };
+    },
+    // Never calls tools
+    async stream(messages, s, opts = {}) {
+      const text = await this.complete(messages);
+      for (const word of text.split(/(\s+)/)) {
+        if (opts.signal?.aborted) throw new DOMException('Aborted', 'AbortError');
+        opts.onToken?.(word);
+        await Utils.sleep(15);
+      }
+      return { content: text };
+    }
+  }
+};
+
+/* =========================================================
+ * SiteNarrative (NEW): deterministic offline site summary
+ * Turns the DataHub.collectAll payload into markdown without a model:
+ * vigor class, recent dryness, bloom outlook and frost risk.
+ * Used by the AI panel when no backend is reachable.
+ * =======================================================*/
+const SiteNarrative = {
+  // 30-day precipitation totals (mm) -> dryness class
+  DRYNESS: [
+    [10, 'Very dry', 'Under 10 mm in 30 days: irrigate new plantings and delay sowing unless rain is forecast.'],
+    [30, 'Dry', 'Little rain: water transplants and mulch to hold soil moisture.'],
+    [90, 'Moderate', 'Adequate rainfall for most established plants.'],
+    [Infinity, 'Wet', 'Plenty of rain: watch drainage and fungal disease on susceptible species.']
+  ],
+  PROJECT_MAX_DAYS: 120, // do not project bloom dates further out than this
+
+  build(ctx, where) {
+    const w = ctx?.weather30d || {};
+    const rows = w.series || [];
+    const today = new Date().toISOString().slice(0, 10);
+    const fmt = (v, d = 1) => Utils.fmt(v, d);
+
+    const out = [`### Offline site summary — ${where}`, ''];
+
+    // Vigor
+    const vi = ctx?.vegetationLatest;
+    const vigor = vi?.vigor || VegetationManager.vigor(vi?.ndvi);
+    out.push('**Vegetation vigor**');
+    if (vi?.ndvi != null) {
+      out.push(`- ${vigor.label} canopy (NDVI ${fmt(vi.ndvi, 3)}${vi.evi != null ? `, EVI ${fmt(vi.evi, 3)}` : ''}; composite of ${vi.date || 'unknown date'}).`);
+      vigor.basis.forEach(line => out.push(`  - ${line}`));
+      if (vi.ndvi < 0.2) out.push('- Little green cover: bare soil, built-up ground or a dormant season.');
+      else if (vi.ndvi >= 0.5) out.push('- Dense, actively growing vegetation around the point.');
+      if (vi.usable === false) out.push(`- Caution: no recent composite passes the ${vi.qaPolicy} QA policy (${vi.masked.join(', ')}); treat this value as unreliable.`);
+    } else {
+      out.push('- No recent vegetation index available.');
+    }
+    out.push('');
+
+    // Dryness
+    const precip = w.summaries?.precip_sum;
+    out.push('**Recent moisture (30 days)**');
+    if (precip != null) {
+      const [, label, advice] = this.DRYNESS.find(([max]) => precip < max);
+      const rainyDays = rows.filter(r => (r.P ?? 0) >= 1).length;
+      const dryRun = this._longestRun(rows, r => r.P != null && r.P < 1);
+      out.push(`- ${label}: ${fmt(precip)} mm over ${rainyDays} rainy day(s); longest dry spell ${dryRun} day(s).`);
+      if (w.summaries?.t2m_max_mean != null && w.summaries.t2m_max_mean >= 28 && precip < 30) {
+        out.push(`- Hot days (mean max ${fmt(w.summaries.t2m_max_mean)} °C) add to the moisture deficit.`);
+      }
+      out.push(`- ${advice}`);
+    } else {
+      out.push('- Precipitation data unavailable.');
+    }
+    out.push('');
+
+    // Frost
+    out.push('**Frost risk**');
+    const frost = this.frostRisk(rows);
+    if (frost) {
+      out.push(`- ${frost.level}: ${frost.reason}`);
+      if (frost.level !== 'Low') out.push('- Protect tender seedlings and blossoms on clear, calm nights.');
+    } else {
+      out.push('- Minimum temperature data unavailable.');
+    }
+    out.push('');
+
+    // Bloom outlook
+    out.push('**Bloom outlook (GDD model)**');
+    const phen = (ctx?.phenology || []).filter(p => p.gdd != null);
+    if (!phen.length) out.push('- No bloom predictions available.');
+    for (const p of phen) {
+      if (p.date) {
+        const ago = Math.round((Date.parse(today) - Date.parse(p.date)) / 864e5);
+        out.push(`- ${p.name}: GDD threshold reached on ${p.date}${ago > 0 ? ` (${ago} days ago)` : ''}.`);
+        continue;
+      }
+      const eta = this.projectBloom(p, rows);
+      if (eta) out.push(`- ${p.name}: ${fmt(p.gdd, 0)}/${p.thr} GDD so far; at the recent warming rate expected around ${eta.date} (~${eta.days} days).`);
+      else out.push(`- ${p.name}: ${fmt(p.gdd, 0)}/${p.thr ?? '?'} GDD so far; not expected within ${this.PROJECT_MAX_DAYS} days at the recent warming rate.`);
+    }
+    out.push('', '_Generated offline from app data by fixed rules; no language model was used._');
+    return out.join('\n');
+  },
+
+  // Frost risk from the daily minimum temperatures of the last 30 days
+  frostRisk(rows) {
+    const mins = rows.filter(r => r.T2M_MIN != null);
+    if (!mins.length) return null;
+    const last7 = mins.slice(-7);
+    const frostDays = mins.filter(r => r.T2M_MIN <= 0);
+    const lowest = mins.reduce((a, r) => (r.T2M_MIN < a.T2M_MIN ? r : a));
+    const lastFrost = frostDays.length ? Power.iso(frostDays[frostDays.length - 1].date) : null;
+    const meanMin7 = last7.reduce((a, r) => a + r.T2M_MIN, 0) / last7.length;
+
+    if (last7.some(r => r.T2M_MIN <= 0)) {
+      return { level: 'High', reason: `frost in the last week (last on ${lastFrost}, lowest ${Utils.fmt(lowest.T2M_MIN, 1)} °C).` };
+    }
+    if (frostDays.length) {
+      return { level: 'Moderate', reason: `${frostDays.length} frost day(s) this month, last on ${lastFrost}.` };
+    }
+    if (meanMin7 < 5) {
+      return { level: 'Moderate', reason: `no frost recorded, but nights average ${Utils.fmt(meanMin7, 1)} °C this week.` };
+    }
+    return { level: 'Low', reason: `no frost in 30 days; lowest minimum ${Utils.fmt(lowest.T2M_MIN, 1)} °C.` };
+  },
+
+  // Days until the GDD threshold at the mean daily GDD of the last 30 days
+  projectBloom(p, rows) {
+    if (!Number.isFinite(p.base) || !Number.isFinite(p.thr)) return null;
+    const temps = rows.map(r => r.T2M).filter(t => t != null);
+    if (!temps.length) return null;
+    const rate = temps.reduce((a, t) => a + Math.max(0, t - p.base), 0) / temps.length;
+    if (rate < 0.1) return null;
+    const days = Math.ceil((p.thr - p.gdd) / rate);
+    if (days > this.PROJECT_MAX_DAYS) return null;
+    const d = new Date();
+    d.setUTCDate(d.getUTCDate() + days);
+    return { days, date: d.toISOString().slice(0, 10) };
+  },
+
+  _longestRun(rows, pred) {
+    let best = 0, run = 0;
+    for (const r of rows) {
+      run = pred(r) ? run + 1 : 0;
+      best = Math.max(best, run);
+    }
+    return best;
+  }
+};
+window.SiteNarrative = SiteNarrative;
 
 const AIManager = {
+  SETTINGS_KEY: 'floracast.ai',
+  KEY_KEY: 'floracast.ai.key',
+  CHAT_PREFIX: 'floracast.chat.',
+  MAX_MESSAGES: 50,
+  SYSTEM_PROMPT: 'You are an agronomy and phenology expert. Always reply in Markdown. Be practical and concise, but include enough detail to be actionable. Keep guidance flexible (avoid over-prescriptive advice) and ground it in the app data provided for the current location.',
+  TOOLS_PROMPT: 'You can call tools to query app data for the current location (vegetation index series, growing degree days, iNaturalist observation counts, POWER climatology). Use them whenever a question needs numbers you do not have, e.g. comparing this season with previous years, and cite the figures they return. Dates are YYYY-MM-DD.',
+  MAX_TOOL_ROUNDS: 5,
+  ANALYZE_PROMPT: 'Analyze this location: which plants/flowers would be suitable and which not suitable to grow here, considering climate (temperature, precipitation), soil considerations and seasonal bloom timing. Give an actionable recommendation list with reasons.',
+
+  _ctrl: null,       // AbortController of the reply being streamed
+  _threadKey: null,  // DataHub key of the location the thread belongs to
+
   init() {
+    const { lat, lng } = MapManager.getCurrentLocation();
+    this.loadThread(lat, lng);
+    AIReports.init(lat, lng);
+    if (this._bound) return;
+    this._bound = true;
     this.setupControls();
   },
 
   setupControls() {
-    const analyzeBtn = document.getElementById('ai-analyze');
-    const askBtn = document.getElementById('ai-ask');
-    if (analyzeBtn) analyzeBtn.addEventListener('click', () => this.analyzeLocation());
-    if (askBtn) askBtn.addEventListener('click', () => this.askQuestion());
+    const $ = (id) => document.getElementById(id);
+    $('ai-analyze')?.addEventListener('click', () => this.analyzeLocation());
+    $('ai-ask')?.addEventListener('click', () => this.askQuestion());
+    $('ai-stop')?.addEventListener('click', () => this.stop());
+    $('ai-regen')?.addEventListener('click', () => this.regenerate());
+    $('ai-clear')?.addEventListener('click', () => this.clearThread());
+    $('ai-export')?.addEventListener('click', () => this.exportThread());
+    $('ai-offline')?.addEventListener('click', () => this.offlineSummary());
+    // Ctrl/Cmd+Enter sends the question
+    $('ai-question')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); this.askQuestion(); }
+    });
+    this.setupSettings();
+  },
+
+  // ---- backend settings (provider/endpoint/model in localStorage, key in sessionStorage) ----
+  settings() {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(this.SETTINGS_KEY) || '{}'); } catch (_) {}
+    const provider = AIProviders[saved.provider] ? saved.provider : CONFIG.AI.PROVIDER;
+    const isOllama = provider === 'ollama';
+    return {
+      provider,
+      baseUrl: saved.baseUrl || (isOllama ? CONFIG.AI.OLLAMA_URL : CONFIG.AI.BASE_URL),
+      model: saved.model || (isOllama ? CONFIG.AI.OLLAMA_MODEL : CONFIG.AI.MODEL),
+      tools: saved.tools !== false,
+      key: sessionStorage.getItem(this.KEY_KEY) || ''
+    };
+  },
+
+  saveSettings({ provider, baseUrl, model, tools, key }) {
+    localStorage.setItem(this.SETTINGS_KEY, JSON.stringify({ provider, baseUrl, model, tools }));
+    if (key) sessionStorage.setItem(this.KEY_KEY, key);
+  },
+
+  setupSettings() {
+    const $ = (id) => document.getElementById(id);
+    const providerSel = $('ai-provider');
+    if (!providerSel) return;
+
+    const fill = () => {
+      const s = this.settings();
+      providerSel.value = s.provider;
+      if ($('ai-base-url')) $('ai-base-url').value = s.baseUrl;
+      if ($('ai-model')) $('ai-model').value = s.model;
+      if ($('ai-tools')) $('ai-tools').checked = s.tools;
+      if ($('ai-key')) $('ai-key').value = '';
+      if ($('ai-key-state')) $('ai-key-state').textContent = s.key ? 'A session key is set for this tab.' : 'No key stored (proxy or local backend).';
+    };
+
+    providerSel.addEventListener('change', () => {
+      // Suggest the provider's default endpoint/model when switching
+      const isOllama = providerSel.value === 'ollama';
+      if ($('ai-base-url')) $('ai-base-url').value = isOllama ? CONFIG.AI.OLLAMA_URL : CONFIG.AI.BASE_URL;
+      if ($('ai-model')) $('ai-model').value = isOllama ? CONFIG.AI.OLLAMA_MODEL : CONFIG.AI.MODEL;
+    });
+    $('ai-save')?.addEventListener('click', () => {
+      this.saveSettings({
+        provider: providerSel.value,
+        baseUrl: ($('ai-base-url')?.value || '').trim(),
+        model: ($('ai-model')?.value || '').trim(),
+        tools: $('ai-tools') ? $('ai-tools').checked : true,
+        key: ($('ai-key')?.value || '').trim()
+      });
+      fill();
+    });
+    $('ai-forget-key')?.addEventListener('click', () => {
+      sessionStorage.removeItem(this.KEY_KEY);
+      fill();
+    });
+    fill();
+  },
+
+  // ---- conversation thread (persisted per location in localStorage) ----
+  loadThread(lat, lng) {
+    const key = DataHub._key(lat, lng);
+    if (key === this._threadKey) return;
+    this.stop();
+    this._threadKey = key;
+    let saved = [];
+    try { saved = JSON.parse(localStorage.getItem(this.CHAT_PREFIX + key) || '[]'); } catch (_) {}
+    AppState.chatHistory = Array.isArray(saved) ? saved : [];
+    this.renderThread();
+  },
+
+  saveThread() {
+    if (!this._threadKey) return;
+    AppState.chatHistory = this._store(this._threadKey, AppState.chatHistory);
+  },
+
+  _store(key, history) {
+    history = history.slice(-this.MAX_MESSAGES);
+    try {
+      if (history.length) localStorage.setItem(this.CHAT_PREFIX + key, JSON.stringify(history));
+      else localStorage.removeItem(this.CHAT_PREFIX + key);
+    } catch (e) {
+      console.warn('Chat history not saved:', e.message);
+    }
+    return history;
+  },
+
+  // Switch threads when the marker moves while the panel is open
+  updateLocation(lat, lng) {
+    this.loadThread(lat, lng);
+    AIReports.updateLocation(lat, lng);
+  },
+
+  clearThread() {
+    if (!AppState.chatHistory.length) return;
+    if (!confirm('Clear the conversation for this location?')) return;
+    this.stop();
+    AppState.chatHistory = [];
+    this.saveThread();
+    this.renderThread();
+  },
+
+  exportThread() {
+    const history = AppState.chatHistory;
+    if (!history.length) { alert('Nothing to export yet.'); return; }
+    const lines = [`# FloraCast conversation — ${this._threadKey}`, ''];
+    history.forEach(m => {
+      const when = m.ts ? ` (${new Date(m.ts).toLocaleString()})` : '';
+      lines.push(`## ${m.role === 'user' ? 'You' : 'Assistant'}${when}`, '', m.content, '');
+    });
+    const blob = new Blob([lines.join('\n')], { type: 'text/markdown' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `floracast-chat-${this._threadKey.replace(/[^\d.-]+/g, '_')}.md`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  },
+
+  _md(text) {
+    if (window.marked && typeof window.marked.parse === 'function') return window.marked.parse(text);
+    return text
+      .replace(/&/g,'&amp;')
+      .replace(/</g,'&lt;')
+      .replace(/>/g,'&gt;')
+      .replace(/\n/g,'<br>');
+  },
+
+  _bubble(role, text, note) {
+    const el = document.createElement('div');
+    el.className = `chat-msg ${role}`;
+    el.innerHTML = role === 'user' ? this._md(text) : (text ? this._md(text) : 'Thinking<span class="loading"></span>');
+    if (note) {
+      const n = document.createElement('div');
+      n.className = 'chat-note';
+      n.textContent = note;
+      el.appendChild(n);
+    }
+    return el;
+  },
+
+  renderThread() {
+    const report = document.getElementById('ai-report');
+    if (!report) return;
+    report.innerHTML = '';
+    if (!AppState.chatHistory.length) {
+      report.innerHTML = '<div class="chat-empty">No conversation for this location yet. Analyze it or ask a question.</div>';
+    }
+    AppState.chatHistory.forEach(m => {
+      const notes = [];
+      if (m.tools?.length) notes.push(`Looked up: ${m.tools.join(', ')}`);
+      if (m.offline) notes.push(m.error ? `Offline summary — AI backend unavailable (${m.error})` : 'Offline summary');
+      if (m.stopped) notes.push('Stopped');
+      report.appendChild(this._bubble(m.role, m.content, notes.join(' · ')));
+    });
+    report.scrollTop = report.scrollHeight;
+    this._setBusy(Boolean(this._ctrl));
+  },
+
+  _setBusy(busy) {
+    const $ = (id) => document.getElementById(id);
+    ['ai-analyze', 'ai-ask', 'ai-offline', 'ai-regen', 'ai-clear'].forEach(id => { if ($(id)) $(id).disabled = busy; });
+    if ($('ai-stop')) $('ai-stop').disabled = !busy;
+  },
+
+  stop() {
+    this._ctrl?.abort();
   },
 
   async buildLocationContext() {
@@ -1515,94 +6169,534 @@ const AIManager = {
   - NDVI: ${ctx.vegetationLatest?.ndvi?.toFixed?.(3) ?? '—'}
   - EVI: ${ctx.vegetationLatest?.evi?.toFixed?.(3) ?? '—'}
   - Red: ${ctx.vegetationLatest?.red?.toFixed?.(4) ?? '—'}, NIR: ${ctx.vegetationLatest?.nir?.toFixed?.(4) ?? '—'}
+  - Land cover: ${ctx.vegetationLatest?.landCover ? `${ctx.vegetationLatest.landCover.label} (MCD12Q1 ${ctx.vegetationLatest.landCover.year})` : '—'}
+  - Vigor: ${ctx.vegetationLatest?.vigor ? `${ctx.vegetationLatest.vigor.label} (${ctx.vegetationLatest.vigor.basis.join('; ')})` : '—'}
+  - QA (${ctx.vegetationLatest?.qaPolicy ?? '—'} policy): ${ctx.vegetationLatest ? (ctx.vegetationLatest.usable ? 'usable' : `masked (${ctx.vegetationLatest.masked.join(', ')})`) : '—'}${ctx.vegetationLatest?.quality?.length ? `; ${ctx.vegetationLatest.quality.join('; ')}` : ''}
 - **Bloom Predictions (current year):**
 ${(ctx.phenology || []).map(p => `  - ${p.name}: ${p.date ? p.date : 'Not reached'}${p.days ? ` (${p.days} days)` : ''}`).join('\n') || '  - —'}
 `;
 
-    return { where, lat, lng, mdContext };
+    return { where, lat, lng, mdContext, ctx };
   },
 
   async analyzeLocation() {
-    const { where, mdContext } = await this.buildLocationContext();
-    const prompt = `Given the ${mdContext}, analyze what plants/flowers would be suitable and what not suitable to grow here considering climate (temperature, precipitation), soil considerations, and seasonal bloom timing. Provide a actionable analyze  recommendation list with reasons.`;
+    return this.send(this.ANALYZE_PROMPT);
+  },
+
+  async askQuestion() {
+    const questionInput = document.getElementById('ai-question');
+    const question = questionInput?.value?.trim();
+    if (!question) {
+      alert('Please enter a question or use the Analyze button.');
+      return;
+    }
+    if (this._ctrl) return;
+    questionInput.value = '';
+    return this.send(question);
+  },
+
+  // Append a user turn and stream the reply
+  async send(text) {
+    if (this._ctrl) return;
+    AppState.chatHistory.push({ role: 'user', content: text, ts: Date.now() });
+    this.saveThread();
+    this.renderThread();
+    return this.callAI();
+  },
+
+  // Drop the last reply (if any) and answer the last user turn again
+  async regenerate() {
+    if (this._ctrl) return;
+    const history = AppState.chatHistory;
+    if (history.length && history[history.length - 1].role === 'assistant') history.pop();
+    if (!history.length) return;
+    this.saveThread();
+    this.renderThread();
+    return this.callAI();
+  },
+
+  // Stream an assistant reply to the current thread. The location context is rebuilt
+  // for every request so follow-ups see fresh data; only the turns themselves are stored.
+  async callAI() {
+    const report = document.getElementById('ai-report');
+    const threadKey = this._threadKey;
+    const ctrl = new AbortController();
+    this._ctrl = ctrl;
+    this._setBusy(true);
+
+    const bubble = this._bubble('assistant', '');
+    report?.querySelector('.chat-empty')?.remove();
+    report?.appendChild(bubble);
+    if (report) report.scrollTop = report.scrollHeight;
+
+    // Re-render the markdown at most once per frame while tokens arrive
+    let text = '';
+    let frame = 0;
+    let status = '';
+    const used = [];
+    const paint = () => {
+      frame = 0;
+      bubble.innerHTML = text ? this._md(text) : 'Thinking<span class="loading"></span>';
+      if (status) bubble.insertAdjacentHTML('beforeend', `<div class="chat-note">${status}</div>`);
+      if (report) report.scrollTop = report.scrollHeight;
+    };
+
+    let context;
+    try {
+      try {
+        context = await this.buildLocationContext();
+      } catch (e) {
+        console.warn('Location context unavailable:', e);
+        const { lat, lng } = MapManager.getCurrentLocation();
+        context = { where: `${lat.toFixed(4)}, ${lng.toFixed(4)}`, mdContext: '**App Data Context** unavailable (data services failed).' };
+      }
+      if (ctrl.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+
+      const s = this.settings();
+      const here = MapManager.getCurrentLocation();
+      const messages = [
+        { role: 'system', content: s.tools ? `${this.SYSTEM_PROMPT}\n\n${this.TOOLS_PROMPT}` : this.SYSTEM_PROMPT },
+        { role: 'system', content: `Location context: ${context.where}\n\n${context.mdContext}\nToday: ${new Date().toISOString().slice(0, 10)}` },
+        ...AppState.chatHistory.map(({ role, content }) => ({ role, content }))
+      ];
+      const onToken = (delta) => {
+        text += delta;
+        if (!frame) frame = requestAnimationFrame(paint);
+      };
+
+      // Tool loop: run requested tools, hand results back, until the model answers in text.
+      // The last round is sent without tools so it has to answer with what it has.
+      for (let round = 0; ; round++) {
+        const tools = s.tools && round < this.MAX_TOOL_ROUNDS ? AITools.schema() : undefined;
+        const reply = await AIProviders[s.provider].stream(messages, s, { signal: ctrl.signal, onToken, tools });
+        if (!reply.tool_calls?.length) break;
+
+        messages.push({ role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls });
+        if (text && !/\n\n$/.test(text)) text += '\n\n';
+        for (const call of reply.tool_calls) {
+          used.push(call.function.name);
+          status = `Querying ${call.function.name.replace(/[^\w-]/g, '')}…`;
+          paint();
+          const result = await AITools.call(call.function.name, call.function.arguments, here);
+          if (ctrl.signal.aborted) throw new DOMException('Aborted', 'AbortError');
+          messages.push({ role: 'tool', tool_call_id: call.id, name: call.function.name, content: JSON.stringify(result) });
+        }
+        status = '';
+      }
+      if (frame) cancelAnimationFrame(frame);
+      paint();
+      this._finish(threadKey, { role: 'assistant', content: text.trim() || '(no content)', ts: Date.now(), ...(used.length ? { tools: [...new Set(used)] } : {}) });
+    } catch (err) {
+      if (frame) cancelAnimationFrame(frame);
+      if (err.name === 'AbortError') {
+        // Keep whatever arrived before the stop
+        if (text) this._finish(threadKey, { role: 'assistant', content: text, ts: Date.now(), stopped: true, ...(used.length ? { tools: [...new Set(used)] } : {}) });
+        else bubble.remove();
+      } else if (context?.ctx) {
+        // Backend unreachable or misconfigured: answer with the rule-based summary instead
+        console.error(err);
+        this._finish(threadKey, { role: 'assistant', content: SiteNarrative.build(context.ctx, context.where), ts: Date.now(), offline: true, error: err.message });
+      } else {
+        console.error(err);
+        bubble.classList.add('error');
+        bubble.textContent = `AI failed: ${err.message}`;
+      }
+    } finally {
+      if (this._ctrl === ctrl) this._ctrl = null;
+      this._setBusy(Boolean(this._ctrl));
+    }
+  },
+
+  // Rule-based summary of the current location, added to the thread without calling a model
+  async offlineSummary() {
+    if (this._ctrl) return;
+    const threadKey = this._threadKey;
+    const btn = document.getElementById('ai-offline');
+    if (btn) btn.disabled = true;
+    try {
+      const { where, ctx } = await this.buildLocationContext();
+      this._finish(threadKey, { role: 'assistant', content: SiteNarrative.build(ctx, where), ts: Date.now(), offline: true });
+    } catch (err) {
+      console.error(err);
+      alert(`Offline summary failed: ${err.message}`);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  },
+
+  // Store a finished reply on the thread it was asked in (the marker may have moved since)
+  _finish(threadKey, msg) {
+    if (!threadKey) return;
+    if (threadKey !== this._threadKey) {
+      // Background thread: append to its stored history, nothing on screen to update
+      let saved = [];
+      try { saved = JSON.parse(localStorage.getItem(this.CHAT_PREFIX + threadKey) || '[]'); } catch (_) {}
+      this._store(threadKey, [...(Array.isArray(saved) ? saved : []), msg]);
+      return;
+    }
+    AppState.chatHistory.push(msg);
+    this.saveThread();
+    this.renderThread();
+  }
+};
+
+/* =========================================================
+ * AIReports (NEW): structured site reports
+ * - asks the backend for JSON matching SCHEMA (suitable / unsuitable species,
+ *   reasons, bloom windows, confidence)
+ * - renders sortable tables; species found in #flowers-table link to it
+ * - saved per location in IndexedDB ('reports' store, newest first)
+ * - export as Markdown, standalone HTML or print-to-PDF, with the data context
+ * =======================================================*/
+const AIReports = {
+  STORE: 'reports',
+  MAX_SAVED: 20,
+  SCHEMA: (() => {
+    const species = (withBloom) => ({
+      type: 'object',
+      additionalProperties: false,
+      required: ['name', 'scientific_name', 'reasons', 'bloom_window', 'confidence'],
+      properties: {
+        name: { type: 'string', description: 'Common name' },
+        scientific_name: { type: 'string' },
+        reasons: { type: 'array', items: { type: 'string' } },
+        bloom_window: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['start', 'end'],
+          properties: {
+            start: { type: 'string', description: withBloom ? 'Month name or YYYY-MM-DD' : 'Empty if not applicable' },
+            end: { type: 'string', description: withBloom ? 'Month name or YYYY-MM-DD' : 'Empty if not applicable' }
+          }
+        },
+        confidence: { type: 'number', description: '0 (guess) to 1 (certain)' }
+      }
+    });
+    return {
+      type: 'object',
+      additionalProperties: false,
+      required: ['summary', 'overall_confidence', 'suitable', 'unsuitable'],
+      properties: {
+        summary: { type: 'string' },
+        overall_confidence: { type: 'number', description: '0 to 1' },
+        suitable: { type: 'array', items: species(true) },
+        unsuitable: { type: 'array', items: species(false) }
+      }
+    };
+  })(),
+  PROMPT: 'Produce a structured planting report for this location: species that are suitable to grow (with expected bloom window) and species that are not suitable, each with concise reasons grounded in the data context and a confidence between 0 and 1. Prefer species from the phenology table when they fit. Reply with JSON only.',
+
+  _key: null,
+  _saved: [],     // reports for the current location, newest first
+  _current: null, // report shown in #ai-structured
+
+  init(lat, lng) {
+    this.updateLocation(lat, lng);
+    if (this._bound) return;
+    this._bound = true;
+    const $ = (id) => document.getElementById(id);
+    $('ai-structured-run')?.addEventListener('click', () => this.generate());
+    $('ai-structured-saved')?.addEventListener('change', (e) => this.show(this._saved.find(r => r.id === e.target.value) || null));
+    $('ai-structured-delete')?.addEventListener('click', () => this.remove());
+    $('ai-export-md')?.addEventListener('click', () => this.exportMarkdown());
+    $('ai-export-html')?.addEventListener('click', () => this.exportHTML());
+    $('ai-export-pdf')?.addEventListener('click', () => this.print());
+  },
+
+  async updateLocation(lat, lng) {
+    const key = DataHub._key(lat, lng);
+    if (key === this._key) return;
+    this._key = key;
+    try {
+      this._saved = (await Store.get(this.STORE, key)) || [];
+    } catch (e) {
+      console.warn('Saved reports unavailable:', e.message);
+      this._saved = [];
+    }
+    if (key !== this._key) return; // marker moved again meanwhile
+    this.fillSaved();
+    this.show(this._saved[0] || null);
+  },
+
+  fillSaved() {
+    const sel = document.getElementById('ai-structured-saved');
+    if (!sel) return;
+    sel.innerHTML = this._saved.length
+      ? this._saved.map(r => `<option value="${r.id}">${new Date(r.ts).toLocaleString()} · ${this._esc(r.model || r.provider)}</option>`).join('')
+      : '<option value="">No saved reports for this location</option>';
+    sel.disabled = !this._saved.length;
+  },
+
+  async generate() {
+    const btn = document.getElementById('ai-structured-run');
+    const out = document.getElementById('ai-structured');
+    if (this._busy) return;
+    this._busy = true;
+    if (btn) btn.disabled = true;
+    if (out) out.innerHTML = 'Generating report<span class="loading"></span>';
+
+    try {
+      const { lat, lng } = MapManager.getCurrentLocation();
+      const key = DataHub._key(lat, lng);
+      const { where, mdContext } = await AIManager.buildLocationContext();
+      const s = AIManager.settings();
+      const report = await AIProviders[s.provider].json([
+        { role: 'system', content: AIManager.SYSTEM_PROMPT },
+        { role: 'system', content: `Location context: ${where}\n\n${mdContext}` },
+        { role: 'user', content: this.PROMPT }
+      ], s, { format: { name: 'site_report', schema: this.SCHEMA } });
+      this._validate(report);
+
+      const rec = { id: String(Date.now()), ts: Date.now(), key, where, lat, lng, provider: s.provider, model: s.model, context: mdContext, report };
+      const saved = [rec, ...((await Store.get(this.STORE, key).catch(() => null)) || [])].slice(0, this.MAX_SAVED);
+      await Store.put(this.STORE, key, saved).catch(e => console.warn('Report not saved:', e.message));
+      if (key === this._key) {
+        this._saved = saved;
+        this.fillSaved();
+        this.show(rec);
+      }
+    } catch (err) {
+      console.error(err);
+      if (out) out.textContent = `Report failed: ${err.message}`;
+    } finally {
+      this._busy = false;
+      if (btn) btn.disabled = false;
+    }
+  },
+
+  // Loose check so a partially conforming backend still renders
+  _validate(report) {
+    if (!report || typeof report !== 'object') throw new Error('Empty report');
+    for (const k of ['suitable', 'unsuitable']) {
+      if (!Array.isArray(report[k])) report[k] = [];
+      report[k] = report[k].filter(sp => sp && sp.name).map(sp => ({
+        name: String(sp.name),
+        scientific_name: sp.scientific_name || '',
+        reasons: Array.isArray(sp.reasons) ? sp.reasons.map(String) : (sp.reasons ? [String(sp.reasons)] : []),
+        bloom_window: { start: sp.bloom_window?.start || '', end: sp.bloom_window?.end || '' },
+        confidence: Utils.numOrNull(sp.confidence)
+      }));
+    }
+    report.summary = report.summary ? String(report.summary) : '';
+    report.overall_confidence = Utils.numOrNull(report.overall_confidence);
+  },
+
+  async remove() {
+    const rec = this._current;
+    if (!rec || !confirm('Delete this saved report?')) return;
+    this._saved = this._saved.filter(r => r.id !== rec.id);
+    try {
+      if (this._saved.length) await Store.put(this.STORE, rec.key, this._saved);
+      else await Store.del(this.STORE, rec.key);
+    } catch (e) {
+      console.warn('Report not deleted:', e.message);
+    }
+    this.fillSaved();
+    this.show(this._saved[0] || null);
+  },
+
+  show(rec) {
+    this._current = rec;
+    const out = document.getElementById('ai-structured');
+    const sel = document.getElementById('ai-structured-saved');
+    if (sel && rec) sel.value = rec.id;
+    ['ai-structured-delete', 'ai-export-md', 'ai-export-html', 'ai-export-pdf'].forEach(id => {
+      const b = document.getElementById(id);
+      if (b) b.disabled = !rec;
+    });
+    if (!out) return;
+    if (!rec) { out.innerHTML = ''; return; }
+    out.innerHTML = this.toHTMLFragment(rec, { links: true });
+    out.querySelectorAll('table.sortable').forEach(t => this._sortable(t));
+    out.querySelectorAll('a.species-link').forEach(a => a.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.focusFlower(a.dataset.flower);
+    }));
+  },
+
+  // ---- rendering ----
+  _esc(v) {
+    return String(v ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  _pct(v) { return v == null ? '—' : `${Math.round(Math.max(0, Math.min(1, v)) * 100)}%`; },
+
+  _window(sp) {
+    const { start, end } = sp.bloom_window || {};
+    return start || end ? `${start || '?'} – ${end || '?'}` : '—';
+  },
 
+  // data-name of the #flowers-table row matching a species, if any
+  _flowerRow(sp) {
+    const names = [sp.name, sp.scientific_name].filter(Boolean).map(n => n.toLowerCase());
+    const rows = Array.from(document.querySelectorAll('#flowers-table tbody tr'));
+    const hit = rows.find(tr => {
+      const n = (tr.getAttribute('data-name') || '').toLowerCase();
+      return n && n !== 'custom' && names.some(x => x === n || x.includes(n) || n.includes(x));
+    });
+    return hit ? hit.getAttribute('data-name') : null;
+  },
 
-    return this.callAI([
-      { role: 'system', content: `You are an agronomy and phenology expert. Always reply in Markdown. Be practical and concise, but include enough detail to be actionable.` },
-      { role: 'system', content: `Location context: ${where}` },
-      { role: 'user', content: prompt }
-    ]);
-  }, 
+  focusFlower(name) {
+    UIManager.openPanel('phenology');
+    const row = Array.from(document.querySelectorAll('#flowers-table tbody tr')).find(tr => tr.getAttribute('data-name') === name);
+    if (!row) return;
+    row.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    row.classList.add('row-flash');
+    setTimeout(() => row.classList.remove('row-flash'), 2000);
+  },
 
-  async askQuestion() {
-    const questionInput = document.getElementById('ai-question');
-    const question = questionInput?.value?.trim();
-    if (!question) {
-      alert('Please enter a question or use the Analyze button.');
-      return;
-    }
+  _table(list, { bloom, links }) {
+    if (!list.length) return '<p class="date-label">None listed.</p>';
+    const head = ['Species', 'Scientific name', ...(bloom ? ['Bloom window'] : []), 'Confidence', 'Reasons'];
+    const rows = list.map(sp => {
+      const flower = links ? this._flowerRow(sp) : null;
+      const name = flower
+        ? `<a href="#" class="species-link" data-flower="${this._esc(flower)}" title="Show in phenology table">${this._esc(sp.name)}</a>`
+        : this._esc(sp.name);
+      return `<tr>
+        <td data-sort="${this._esc(sp.name.toLowerCase())}">${name}</td>
+        <td data-sort="${this._esc(sp.scientific_name.toLowerCase())}"><em>${this._esc(sp.scientific_name) || '—'}</em></td>
+        ${bloom ? `<td data-sort="${this._esc(this._window(sp))}">${this._esc(this._window(sp))}</td>` : ''}
+        <td data-sort="${sp.confidence ?? -1}" data-type="num">${this._pct(sp.confidence)}</td>
+        <td>${sp.reasons.length ? `<ul>${sp.reasons.map(r => `<li>${this._esc(r)}</li>`).join('')}</ul>` : '—'}</td>
+      </tr>`;
+    }).join('');
+    return `<table class="flowers-table report-table sortable">
+      <thead><tr>${head.map((h, i) => `<th data-col="${i}"${h === 'Reasons' ? '' : ' class="sort"'}>${h}</th>`).join('')}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  },
 
-    const { where, mdContext } = await this.buildLocationContext();
-    const prompt = `Data：${mdContext}
+  // Shown as escaped text, never through marked: it embeds the reverse-geocoded place name
+  // (editable OSM data), and stored reports and exported files carry it as-is
+  _contextHTML(md) {
+    return `<pre>${this._esc(md)}</pre>`;
+  },
 
-You are an agronomy and phenology expert. Please reply **only in Markdown** and keep guidance flexible (avoid over-prescriptive advice). 
-Using the local data above, address the user's question with concrete, location-aware recommendations.
+  toHTMLFragment(rec, { links = false } = {}) {
+    const r = rec.report;
+    return `<div class="report-head">
+        <h3>Site report — ${this._esc(rec.where)}</h3>
+        <div class="date-label">${new Date(rec.ts).toLocaleString()} · ${this._esc(rec.provider)} / ${this._esc(rec.model)} · overall confidence ${this._pct(r.overall_confidence)}</div>
+      </div>
+      ${r.summary ? `<p>${this._esc(r.summary)}</p>` : ''}
+      <h4>Suitable</h4>
+      ${this._table(r.suitable, { bloom: true, links })}
+      <h4>Not suitable</h4>
+      ${this._table(r.unsuitable, { bloom: false, links })}
+      <details class="report-context"><summary>Data context</summary>${this._contextHTML(rec.context)}</details>`;
+  },
 
-**User question:** ${question}
-`;
+  // Click a header to sort by that column; click again to reverse
+  _sortable(table) {
+    table.querySelectorAll('th.sort').forEach(th => th.addEventListener('click', () => {
+      const col = +th.dataset.col;
+      const dir = th.dataset.dir === 'asc' ? 'desc' : 'asc';
+      table.querySelectorAll('th').forEach(h => { delete h.dataset.dir; });
+      th.dataset.dir = dir;
+      const body = table.tBodies[0];
+      const rows = Array.from(body.rows);
+      const val = (tr) => {
+        const td = tr.cells[col];
+        return td.dataset.type === 'num' ? parseFloat(td.dataset.sort) : (td.dataset.sort || '');
+      };
+      rows.sort((a, b) => {
+        const x = val(a), y = val(b);
+        const c = typeof x === 'number' ? x - y : x.localeCompare(y);
+        return dir === 'asc' ? c : -c;
+      });
+      rows.forEach(tr => body.appendChild(tr));
+    }));
+  },
 
-    return this.callAI([
-      { role: 'system', content: `You are an agronomy and phenology expert. Always reply in Markdown. Be practical and concise, but include enough detail to be actionable.` },
-      { role: 'system', content: `Location context: ${where}` },
-      { role: 'user', content: prompt }
-    ]);
-  }, 
+  // ---- export ----
+  toMarkdown(rec) {
+    const r = rec.report;
+    const cell = (v) => String(v ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const table = (list, bloom) => {
+      if (!list.length) return '_None listed._';
+      const head = ['Species', 'Scientific name', ...(bloom ? ['Bloom window'] : []), 'Confidence', 'Reasons'];
+      return [
+        `| ${head.join(' | ')} |`,
+        `| ${head.map(() => '---').join(' | ')} |`,
+        ...list.map(sp => `| ${[sp.name, sp.scientific_name || '—', ...(bloom ? [this._window(sp)] : []), this._pct(sp.confidence), sp.reasons.join('; ') || '—'].map(cell).join(' | ')} |`)
+      ].join('\n');
+    };
+    return [
+      `# Site report — ${rec.where}`,
+      '',
+      `_${new Date(rec.ts).toLocaleString()} · ${rec.provider} / ${rec.model} · overall confidence ${this._pct(r.overall_confidence)}_`,
+      '',
+      r.summary,
+      '',
+      '## Suitable',
+      '',
+      table(r.suitable, true),
+      '',
+      '## Not suitable',
+      '',
+      table(r.unsuitable, false),
+      '',
+      '## Data context',
+      '',
+      rec.context || '—',
+      ''
+    ].join('\n');
+  },
 
-  async callAI(messages) {
-    const report = document.getElementById('ai-report');
-    if (report) {
-      report.innerHTML = 'Thinking<span class="loading"></span>';
-    }
+  toHTMLDocument(rec) {
+    return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8">
+<title>FloraCast site report — ${this._esc(rec.where)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; color: #111; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ccc; padding: 0.4rem 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f1f5f9; }
+  ul { margin: 0; padding-left: 1.1rem; }
+  .date-label { color: #555; font-size: 0.85rem; }
+  details { margin-top: 1rem; }
+  pre { white-space: pre-wrap; font-size: 0.85rem; }
+  @media print { details > * { display: block; } }
+</style></head>
+<body>${this.toHTMLFragment(rec).replace('<details class="report-context">', '<details class="report-context" open>')}</body></html>`;
+  },
 
-    try {
-      const resp = await fetch(`${OPENAI_BASE}/chat/completions`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${OPENAI_KEY}`
-        },
-        body: JSON.stringify({
-          model: OPENAI_MODEL,
-          messages,
-          temperature: 0.4
-        })
-      });
+  _download(text, type, ext) {
+    const rec = this._current;
+    const blob = new Blob([text], { type });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `floracast-report-${rec.key.replace(/[^\d.-]+/g, '_')}-${new Date(rec.ts).toISOString().slice(0, 10)}.${ext}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  },
 
-      if (!resp.ok) {
-        const txt = await resp.text();
-        throw new Error(`OpenAI error: ${resp.status} - ${txt}`);
-      }
+  exportMarkdown() {
+    if (this._current) this._download(this.toMarkdown(this._current), 'text/markdown', 'md');
+  },
 
-      const data = await resp.json();
-      const content = data?.choices?.[0]?.message?.content?.trim() || '(no content)';
+  exportHTML() {
+    if (this._current) this._download(this.toHTMLDocument(this._current), 'text/html', 'html');
+  },
 
-      if (report) {
-        if (window.marked && typeof window.marked.parse === 'function') {
-          report.innerHTML = window.marked.parse(content);
-        } else {
-          report.innerHTML = content
-            .replace(/&/g,'&amp;')
-            .replace(/</g,'&lt;')
-            .replace(/>/g,'&gt;')
-            .replace(/\n/g,'<br>');
-        }
-      }
-    } catch (err) {
-      console.error(err);
-      if (report) report.textContent = `AI failed: ${err.message}`;
-    }
+  // Browser print dialog; "Save as PDF" produces the PDF
+  print() {
+    if (!this._current) return;
+    const w = window.open('', '_blank');
+    if (!w) { alert('Please allow pop-ups to print the report.'); return; }
+    w.document.write(this.toHTMLDocument(this._current));
+    w.document.close();
+    w.focus();
+    setTimeout(() => w.print(), 300);
   }
-}; 
+};
+window.AIReports = AIReports;
 
 /* =====================================================================
  * Overlays: OpenPortGuide (XYZ) & NASA GIBS (WMS) for Map A / Map B
@@ -1628,7 +6722,11 @@ Using the local data above, address the user's question with concrete, location-
   // --- small helpers ---
   const $ = (id) => document.getElementById(id);
   const getMap = (side) => side === 'B' ? (AppState.mapB || null) : (AppState.map || AppState.mapA || null);
-  const setOverlay = (side, kind, layer) => { AppState[kind + (side === 'B' ? 'B' : 'A')] = layer; };
+  const setOverlay = (side, kind, layer) => {
+    AppState[kind + (side === 'B' ? 'B' : 'A')] = layer;
+    window.Permalink?.schedule();
+    window.Legends?.refresh(side);
+  };
   const getOverlay = (side, kind) => AppState[kind + (side === 'B' ? 'B' : 'A')] || null;
   const removeOverlay = (side, kind) => {
     const map = getMap(side);
@@ -1654,9 +6752,10 @@ Using the local data above, address the user's question with concrete, location-
     const step    = stepSel.value || '0h';
 
     removeOverlay(side, 'opg');
-    const layer = L.tileLayer(opgUrl(variant, step), {
+    const layer = Fixtures.tileLayer(opgUrl(variant, step), {
       maxZoom: 18, opacity: 0.9, crossOrigin: true, attribution: 'OpenPortGuide'
     }).addTo(map);
+    layer.permalink = { variant, step };
     setOverlay(side, 'opg', layer);
     console.log('[Overlays] OPG added on', side, variant, step);
   }
@@ -1671,7 +6770,7 @@ Using the local data above, address the user's question with concrete, location-
   // ---------- NASA GIBS — WMS ----------
   async function getLastWMSTime(baseUrl, layerName) {
     try {
-      const txt = await fetch(`${baseUrl}?service=WMS&request=GetCapabilities&version=1.3.0`).then(r => r.text());
+      const txt = await Http.fetch(`${baseUrl}?service=WMS&request=GetCapabilities&version=1.3.0`).then(r => r.text());
       const xml = new DOMParser().parseFromString(txt, 'text/xml');
       const layer = Array.from(xml.querySelectorAll('Layer > Layer'))
         .find(L => L.querySelector('Name')?.textContent?.trim() === layerName);
@@ -1713,7 +6812,7 @@ Using the local data above, address the user's question with concrete, location-
         width: '64', height: '64', time: t
       });
       try {
-        const r = await fetch(`${base}?${params.toString()}`);
+        const r = await Http.fetch(`${base}?${params.toString()}`);
         if (r.ok && (r.headers.get('content-type') || '').startsWith('image/')) return t;
       } catch {}
     }
@@ -1764,16 +6863,20 @@ Using the local data above, address the user's question with concrete, location-
     removeOverlay(side, 'wms');
 
     if (!time) {
-      time = await getLastWMSTime(base, layer) ||
+      // The layer catalog already holds the time extent; otherwise ask the server
+      time = window.GibsCatalog?.extent(GibsCatalog.get(layer))?.end ||
+             await getLastWMSTime(base, layer) ||
              await fallbackRecentDate(base, layer, srs, format);
     }
 
     const params = { layers: layer, format, transparent: true };
     if (time) params.time = time;
 
-    const wms = L.tileLayer.wms(base, params)
+    const wms = Fixtures.wmsLayer(base, params)
       .on('tileerror', e => console.warn('[Overlays] WMS tile error', e))
       .addTo(map);
+    // Keep the user's TIME (empty = latest) so a shared link follows the same rule
+    wms.permalink = { srs, format, layer, time: (timeInput?.value || '').trim() };
 
     setOverlay(side, 'wms', wms);
     console.log('[Overlays] WMS added on', side, { layer, srs, format, time });
@@ -1818,7 +6921,7 @@ Using the local data above, address the user's question with concrete, location-
 
 
 /* =========================================================
- * ForecastManager — NDVI/EVI 30-day prediction (in-app)
+ * ForecastManager — 30-day prediction of an RST variable (NDVI/EVI, LAI/FPAR, LST)
  * 依赖：MapManager, VegetationManager, Utils；Plotly（画图），tf.js（可选）
  * =======================================================*/
 const ForecastManager = {
@@ -1831,23 +6934,36 @@ const ForecastManager = {
     const clearBtn = document.getElementById('fc-clear');
     if (trainBtn) trainBtn.addEventListener('click', () => this.run());
     if (clearBtn) clearBtn.addEventListener('click', () => this.clear());
+
+    // 目标变量随产品切换
+    const productSel = document.getElementById('fc-product');
+    if (productSel) {
+      productSel.addEventListener('change', () => Products.fillSelect('fc-target', productSel.value));
+      Products.fillSelect('fc-target', productSel.value);
+    }
   },
 
   async run() {
     const statsEl = document.getElementById('fc-stats');
     const product = document.getElementById('fc-product')?.value || 'MOD13Q1';
-    const target  = document.getElementById('fc-target')?.value  || 'ndvi'; // 'ndvi'|'evi'
+    const keys    = Products.primary(product);
+    const picked  = document.getElementById('fc-target')?.value;
+    const target  = keys.includes(picked) ? picked : keys[0]; // 'ndvi'|'evi'|'lai'|'fpar'|'lst_day'|'lst_night'
+    const range   = Products.variable(target).range;
     const years   = Math.max(1, Math.min(8, parseInt(document.getElementById('fc-years')?.value || '3')));
     const epochs  = Math.max(20, Math.min(1000, parseInt(document.getElementById('fc-epochs')?.value || '120')));
     const lr      = Math.max(0.001, Math.min(0.1, parseFloat(document.getElementById('fc-lr')?.value || '0.01')));
 
     const { lat, lng } = MapManager.getCurrentLocation();
-    if (statsEl) statsEl.textContent = 'Fetching VI history…';
+    if (statsEl) statsEl.textContent = `Fetching ${product} history…`;
 
     try {
-      // 1) 历史 VI （按产品；用 RST dates/subset）
-      const viSeries = await this._fetchVISeries(product, target, lat, lng, years);
-      if (!viSeries.length) { if (statsEl) statsEl.textContent = 'No VI history here.'; return; }
+      // 1) 历史 VI （按产品；用 RST dates/subset，批量并行）
+      const onProgress = (done, total) => {
+        if (statsEl) statsEl.textContent = `Fetching ${product} history… ${done}/${total} batches`;
+      };
+      const viSeries = await this._fetchVISeries(product, target, lat, lng, years, onProgress);
+      if (!viSeries.length) { if (statsEl) statsEl.textContent = `No ${Products.label(target)} history here.`; return; }
 
       // 2) 同期 POWER 天气（按 VI 日期±8天聚合）
       if (statsEl) statsEl.textContent = 'Fetching weather…';
@@ -1864,11 +6980,17 @@ const ForecastManager = {
 
       // 5) 预测未来30天（逐日步进，天气用近30天统计近似）
       if (statsEl) statsEl.textContent = 'Forecasting next 30 days…';
-      const fc = this._forecastNext30Days(viSeries, wxByDate, model);
+      const fc = this._forecastNext30Days(viSeries, wxByDate, model, range);
 
       // 6) 画图
-      this._plot(viSeries, fc, target);
+      this._plot(viSeries, fc, Products.label(target), range);
       if (statsEl) statsEl.textContent = `Done. Samples: ${ds.x.length}, RMSE (train): ${model.rmse?.toFixed?.(4) ?? '—'}`;
+      const last = viSeries[viSeries.length - 1];
+      Sites.record(lat, lng, 'forecast', {
+        product, target, rmse: model.rmse ?? null,
+        observed: { date: last.date, value: last.value },
+        values: fc.filter(p => p.value != null)
+      });
     } catch (err) {
       console.error(err);
       if (statsEl) statsEl.textContent = `Failed: ${err.message}`;
@@ -1885,50 +7007,23 @@ const ForecastManager = {
 
   // ---------- 数据获取 ----------
 
-  async _fetchVISeries(product, viType, lat, lng, years) {
-    const datesJson = await VegetationManager.fetchDates(product, lat, lng);
-    const entries = (datesJson?.dates || []).slice(-Math.ceil((365/16) * years)); // ~16天合成
-    const series = [];
-    for (const d of entries) {
-      const md = d?.modis_date || d; // 'YYYY-DOY' 或 'YYYY-MM-DD'
-      try {
-        const subset = await VegetationManager.fetchSubset(product, lat, lng, md, md);
-        const bands = subset?.subset || [];
-        const match = bands.find(b => (b.band || '').toLowerCase().includes(viType)); // ndvi/evi
-        const raw = Array.isArray(match?.data) ? match.data[0] : match?.data;
-        const val = raw == null || raw <= -9000 ? null : Number(raw) * 0.0001;
-        const iso = this._toISO(md);
-        if (val != null && iso) series.push({ date: iso, value: val });
-      } catch(_) { /* skip bad date */ }
-    }
-    series.sort((a,b)=> (a.date < b.date ? -1 : 1));
-    return series;
+  async _fetchVISeries(product, viType, lat, lng, years, onProgress) {
+    // 8/16天合成（见产品描述），按窗口批量获取
+    const rows = await VegetationManager.fetchSeries(product, lat, lng, { years, onProgress });
+    return rows
+      .filter(r => r.values[viType] != null && r.date && ViQuality.usable(Products.qaFor(r.qa, viType)))
+      .map(r => ({ date: r.date, value: r.values[viType], qa: r.qa }));
   },
 
   async _fetchWeatherByDate(viSeries, lat, lng) {
     if (!viSeries.length) return {};
-    const start = viSeries[0].date.replace(/-/g,'');
-    const end   = viSeries[viSeries.length-1].date.replace(/-/g,'');
-
-    const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-    url.search = new URLSearchParams({
-      parameters: 'T2M,PRECTOTCORR',
-      community: 'AG',
-      longitude: String(lng),
-      latitude: String(lat),
-      start, end, format:'JSON'
-    }).toString();
-
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`POWER error ${r.status}`);
-    const j = await r.json();
-    const T = j?.properties?.parameter?.T2M || {};
-    const P = j?.properties?.parameter?.PRECTOTCORR || {};
-
-    const get = (obj, ymd) => {
-      const v = obj?.[ymd]; const n = Number(v);
-      return Number.isFinite(n) && n > -900 ? n : null;
-    };
+    const start = viSeries[0].date;
+    const end   = viSeries[viSeries.length-1].date;
+
+    const daily = await Power.daily(lat, lng, start, end, ['T2M', 'PRECTOTCORR']);
+    const T = Power.lookup(daily, 'T2M');
+    const P = Power.lookup(daily, 'PRECTOTCORR');
+    const get = (obj, ymd) => obj[ymd] ?? null;
 
     const wx = {};
     for (const { date } of viSeries) {
@@ -2044,7 +7139,8 @@ const ForecastManager = {
     }
   },
 
-  _forecastNext30Days(viSeries, wxByDate, model) {
+  // range: physical [min, max] of the target, predictions are clipped to it
+  _forecastNext30Days(viSeries, wxByDate, model, range = [-0.1, 1.0]) {
     const out = [];
     const keys = Object.keys(wxByDate);
     const last30 = keys.slice(-Math.min(30, keys.length));
@@ -2075,7 +7171,7 @@ const ForecastManager = {
         tConst, pConst
       ];
       const vhat = model.infer(f);
-      const clipped = Math.max(-0.1, Math.min(1.0, vhat));
+      const clipped = Math.max(range[0], Math.min(range[1], vhat));
       out.push({ date: iso, value: clipped });
       hist.push({ date: iso, value: clipped });
     }
@@ -2084,7 +7180,7 @@ const ForecastManager = {
 
   // ---------- 绘图 ----------
 
-  _plot(hist, fc, label) {
+  _plot(hist, fc, label, range = [-0.1, 1.0]) {
     const el = document.getElementById('fc-chart');
     if (!el) return;
 
@@ -2099,12 +7195,12 @@ const ForecastManager = {
       return;
     }
 
-    const trHist = { x: hist.map(d=>d.date), y: hist.map(d=>d.value), mode:'lines+markers', name: `${label.toUpperCase()} (history)` };
-    const trFc   = { x: fc.map(d=>d.date),   y: fc.map(d=>d.value),   mode:'lines+markers', name: `${label.toUpperCase()} (forecast)`, line:{ dash:'dash' } };
+    const trHist = { x: hist.map(d=>d.date), y: hist.map(d=>d.value), mode:'lines+markers', name: `${label} (history)` };
+    const trFc   = { x: fc.map(d=>d.date),   y: fc.map(d=>d.value),   mode:'lines+markers', name: `${label} (forecast)`, line:{ dash:'dash' } };
 
     Plotly.newPlot(el, [trHist, trFc], {
       margin: { l: 48, r: 20, t: 16, b: 40 },
-      yaxis: { title: label.toUpperCase(), range: [-0.1, 1.0] },
+      yaxis: { title: label, range },
       xaxis: { title: 'Date' }
     }, { displayModeBar: false, responsive: true });
   },
@@ -2246,7 +7342,7 @@ window.ForecastManager = ForecastManager;
             per_page:String(per), page:String(page)
           }).toString();
 
-          const r = await fetch(u);
+          const r = await Http.fetch(u);
           if (!r.ok) break;
           const j = await r.json();
           const arr = j?.results || [];
@@ -2366,7 +7462,7 @@ window.ForecastManager = ForecastManager;
             per_page:'200', page:String(page)
           }).toString();
 
-          const r = await fetch(u);
+          const r = await Http.fetch(u);
           if (!r.ok) break;
           const j = await r.json();
           const arr = j?.results || [];
@@ -2428,7 +7524,7 @@ window.ForecastManager = ForecastManager;
           establishment_means:'introduced',
           per_page:'200'
         }).toString();
-        let r = await fetch(uIntro);
+        let r = await Http.fetch(uIntro);
         if (r.ok) {
           const j = await r.json();
           list = (j?.results||[]).map(s=>({
@@ -2450,7 +7546,7 @@ window.ForecastManager = ForecastManager;
               verifiable:'true', geo:'true',
               taxon_id:'47125', per_page:'200'
             }).toString();
-            const rr = await fetch(u);
+            const rr = await Http.fetch(u);
             if (!rr.ok) continue;
             const jj = await rr.json();
             for (const s of (jj?.results||[])) {
@@ -2521,7 +7617,7 @@ window.ForecastManager = ForecastManager;
               order:'desc', order_by:'observed_on',
               per_page:'200', page:String(page)
             }).toString();
-            const r = await fetch(u);
+            const r = await Http.fetch(u);
             if (!r.ok) break;
             const j = await r.json();
             const arr = j?.results || [];
@@ -2628,29 +7724,9 @@ window.ForecastManager = ForecastManager;
 
     // POWER daily fetcher (supports multiple parameters)
     async _powerDaily(lat, lng, startYYYYMMDD, endYYYYMMDD, params=['PRECTOTCORR']) {
-      const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-      url.search = new URLSearchParams({
-        parameters: params.join(','),
-        community: 'AG',
-        longitude: String(lng),
-        latitude: String(lat),
-        start: startYYYYMMDD,
-        end:   endYYYYMMDD,
-        format: 'JSON'
-      }).toString();
-      const r = await fetch(url);
-      if (!r.ok) throw new Error('POWER daily error');
-      const j = await r.json();
-      const obj = j?.properties?.parameter || {};
-      const allDates = Object.keys(obj[params[0]] || {}).sort();
-      const out = { dates: allDates.map(d => `${d.slice(0,4)}-${d.slice(4,6)}-${d.slice(6,8)}`) };
-      for (const p of params) {
-        const series = obj[p] || {};
-        out[p.toLowerCase()] = allDates.map(d => {
-          const v = Number(series[d]);
-          return Number.isFinite(v) ? (p==='PRECTOTCORR' ? Math.max(0, v) : v) : null; // clamp negatives for precip
-        });
-      }
+      const daily = await Power.daily(lat, lng, startYYYYMMDD, endYYYYMMDD, params);
+      const out = { dates: daily.iso };
+      for (const p of params) out[p.toLowerCase()] = daily.values[p];
       out.precip = out.prectotcorr || [];
       out.t2m    = out.t2m || [];
       return out;
@@ -2704,7 +7780,7 @@ window.ForecastManager = ForecastManager;
         date_field:'observed', interval:'month_of_year',
         year:String(year)
       }).toString();
-      const r = await fetch(u);
+      const r = await Http.fetch(u);
       if (!r.ok) throw new Error('iNat histogram failed');
       const j = await r.json();
       const obj = j?.results?.month_of_year || {};
@@ -2714,24 +7790,15 @@ window.ForecastManager = ForecastManager;
     },
 
     async _powerMonthly(lat, lng, year) {
-      // Sum daily PRECTOTCORR into months; clamp negatives to 0
-      const u = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-      u.search = new URLSearchParams({
-        parameters:'PRECTOTCORR', community:'AG',
-        longitude:String(lng), latitude:String(lat),
-        start:`${year}0101`, end:`${year}1231`, format:'JSON'
-      }).toString();
-      const r = await fetch(u);
-      if (!r.ok) return {};
-      const j = await r.json();
-      const daily = j?.properties?.parameter?.PRECTOTCORR || {};
-      const monthly = {};
-      for (const [ymd, vRaw] of Object.entries(daily)) {
-        const m = parseInt(String(ymd).slice(4,6), 10);
-        const v = Math.max(0, Number(vRaw) || 0);
-        monthly[m] = (monthly[m] || 0) + v;
+      // Monthly PRECTOTCORR totals (mm); keyed 1..12
+      try {
+        const res = await Power.monthly(lat, lng, year, ['PRECTOTCORR']);
+        const monthly = {};
+        res.months.forEach((m, i) => { monthly[m] = res.values.PRECTOTCORR[i] || 0; });
+        return monthly;
+      } catch (_) {
+        return {};
       }
-      return monthly;
     }
   };
 
@@ -2743,10 +7810,789 @@ window.ForecastManager = ForecastManager;
 
 
 
+/* =========================================================
+ * Permalink (NEW): app state <-> URL hash
+ * - marker, view, open panel, GIBS layer/date/opacity/heatmap per map,
+ *   compare mode, OPG/WMS overlays and photo filters
+ * - restored once at boot (and on manual hash edits), kept in sync with a
+ *   debounced history.replaceState so sharing the URL shares the view
+ * Example: #m=35.68,139.69&v=35.7,139.7,10&panel=layers&layer=MODIS_Terra_NDVI_8Day|png&date=2024-04-01
+ * =======================================================*/
+const Permalink = {
+    DEBOUNCE_MS: 400,
+    _ready: false,
+    _restoring: false,
+    _timer: null,
+    _lastHash: '',
+
+    init() {
+        this.restore(location.hash);
+        this._ready = true;
+        this.write();
+
+        AppState.map.on('moveend', () => this.schedule());
+        // Photo filters are plain inputs; no need to wire each one
+        document.addEventListener('change', (e) => {
+            if ((e.target.id || '').startsWith('photos-')) this.schedule();
+        });
+        window.addEventListener('hashchange', () => {
+            if (location.hash === this._lastHash) return;
+            this.restore(location.hash);
+            this.write();
+        });
+        document.getElementById('share-link')?.addEventListener('click', () => this.share());
+    },
+
+    schedule() {
+        if (!this._ready || this._restoring) return;
+        clearTimeout(this._timer);
+        this._timer = setTimeout(() => this.write(), this.DEBOUNCE_MS);
+    },
+
+    write() {
+        clearTimeout(this._timer);
+        const hash = `#${this._encode(this.serialize())}`;
+        if (hash === location.hash) { this._lastHash = hash; return; }
+        this._lastHash = hash;
+        history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+    },
+
+    async share() {
+        this.write();
+        const url = location.href;
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Link copied to clipboard:\n' + url);
+        } catch (_) {
+            prompt('Copy this link:', url);
+        }
+    },
+
+    // ---- state -> URLSearchParams ----
+    serialize() {
+        const p = new URLSearchParams();
+        const r5 = (v) => (+v).toFixed(5).replace(/\.?0+$/, '');
+
+        const { lat, lng } = MapManager.getCurrentLocation();
+        p.set('m', `${r5(lat)},${r5(lng)}`);
+        if (AppState.map) {
+            const c = AppState.map.getCenter();
+            p.set('v', `${r5(c.lat)},${r5(c.lng)},${AppState.map.getZoom()}`);
+        }
+        if (AppState.currentPanel) p.set('panel', AppState.currentPanel);
+
+        this._sides().forEach(([side, suf]) => {
+            const { layerSelect, opacitySlider } = LayerManager._els(side);
+            if (layerSelect && AppState[`gibsLayer${side}`]) {
+                p.set(`layer${suf}`, layerSelect.value);
+                const date = LayerManager.currentDate(side);
+                if (date) p.set(`date${suf}`, date);
+                if (opacitySlider) p.set(`op${suf}`, opacitySlider.value);
+            }
+            const heat = AppState[`heatType${side}`];
+            if (heat && heat !== 'off') p.set(`heat${suf}`, heat);
+
+            const opg = AppState[`opg${side}`]?.permalink;
+            if (opg) p.set(`opg${suf}`, `${opg.variant},${opg.step}`);
+            const wms = AppState[`wms${side}`]?.permalink;
+            if (wms) p.set(`wms${suf}`, [wms.srs, wms.format, wms.layer, wms.time || ''].join(','));
+        });
+        if (AppState.mapB) {
+            p.set('compare', '1');
+            if (AppState.compareMode !== 'side') p.set('cmode', AppState.compareMode);
+            if (AppState.compareMode === 'swipe') p.set('sx', CompareMode.swipeX.toFixed(3));
+        }
+
+        if (AppState.inatActive) {
+            p.set('photos', '1');
+            const val = (id) => document.getElementById(id)?.value || '';
+            if (document.getElementById('photos-heatmap')?.checked) p.set('pheat', '1');
+            [['taxon', 'photos-taxon'], ['d1', 'photos-start'], ['d2', 'photos-end'],
+             ['radius', 'photos-radius'], ['pages', 'photos-max-pages']].forEach(([k, id]) => {
+                if (val(id)) p.set(k, val(id));
+            });
+        }
+        return p;
+    },
+
+    // Like URLSearchParams#toString but keeps , | / readable
+    _encode(p) {
+        return [...p].map(([k, v]) => `${k}=${encodeURIComponent(v).replace(/%2C/g, ',').replace(/%7C/g, '|').replace(/%2F/g, '/')}`).join('&');
+    },
+
+    // Map A params have no suffix, Map B params end in "B"
+    _sides() {
+        return AppState.mapB ? [['A', ''], ['B', 'B']] : [['A', '']];
+    },
+
+    // ---- URL hash -> state ----
+    restore(hash) {
+        const p = new URLSearchParams((hash || '').replace(/^#/, ''));
+        if (![...p.keys()].length) return;
+        const nums = (s) => (s || '').split(',').map(Number);
+        const setVal = (id, v) => { const el = document.getElementById(id); if (el && v != null) el.value = v; };
+
+        this._restoring = true;
+        try {
+            const [vLat, vLng, vZoom] = nums(p.get('v'));
+            if (Number.isFinite(vLat) && Number.isFinite(vLng)) {
+                AppState.map.setView([vLat, vLng], Number.isFinite(vZoom) ? vZoom : AppState.map.getZoom(), { animate: false });
+            }
+            const [mLat, mLng] = nums(p.get('m'));
+            if (Number.isFinite(mLat) && Number.isFinite(mLng)) MapManager.setMarker(mLat, mLng);
+
+            // Compare mode first so Map B controls exist before B params are applied
+            const controlsB = document.getElementById('layer-controls-b');
+            const sx = parseFloat(p.get('sx'));
+            if (Number.isFinite(sx)) CompareMode.swipeX = Utils.clamp(sx, 0.02, 0.98);
+            CompareMode.setMode(p.get('cmode') || 'side');
+            if (p.get('compare') === '1') {
+                MapManager.createMapB();
+                controlsB?.classList.remove('hidden');
+            } else if (AppState.mapB) {
+                MapManager.destroyMapB();
+                controlsB?.classList.add('hidden');
+            }
+
+            this._sides().forEach(([side, suf]) => {
+                this._restoreLayer(side, p.get(`layer${suf}`), p.get(`date${suf}`), p.get(`op${suf}`));
+
+                const heat = p.get(`heat${suf}`) || 'off';
+                const { heatmapSelect } = LayerManager._els(side);
+                if (heatmapSelect && heatmapSelect.value !== heat) {
+                    heatmapSelect.value = heat;
+                    LayerManager.updateHeatmap(side);
+                }
+
+                const opg = p.get(`opg${suf}`);
+                const lc = side.toLowerCase();
+                if (opg) {
+                    const [variant, step] = opg.split(',');
+                    setVal(`opg-${lc}-var`, variant);
+                    setVal(`opg-${lc}-step`, step);
+                    window.Overlays?.addOPG(side);
+                } else {
+                    window.Overlays?.removeOverlay(side, 'opg');
+                }
+
+                const wms = p.get(`wms${suf}`);
+                if (wms) {
+                    const [srs, format, layer, time] = wms.split(',');
+                    setVal(`wms-${lc}-proj`, srs);
+                    setVal(`wms-${lc}-format`, format);
+                    setVal(`wms-${lc}-layer`, layer);
+                    setVal(`wms-${lc}-time`, time || '');
+                    window.Overlays?.addWMS(side);
+                } else {
+                    window.Overlays?.removeOverlay(side, 'wms');
+                }
+            });
+
+            setVal('photos-taxon', p.get('taxon'));
+            setVal('photos-start', p.get('d1'));
+            setVal('photos-end', p.get('d2'));
+            setVal('photos-radius', p.get('radius'));
+            setVal('photos-max-pages', p.get('pages'));
+            const heatCheck = document.getElementById('photos-heatmap');
+            if (heatCheck) heatCheck.checked = p.get('pheat') === '1';
+            if (p.get('photos') === '1') PhotoManager.enablePhotos();
+            else if (AppState.inatActive) PhotoManager.disablePhotos();
+
+            const panel = p.get('panel');
+            if (panel && panel !== AppState.currentPanel) UIManager.openPanel(panel);
+            else if (!panel && AppState.currentPanel) UIManager.closePanel();
+        } catch (e) {
+            console.warn('[Permalink] could not restore state:', e);
+        } finally {
+            this._restoring = false;
+        }
+    },
+
+    _restoreLayer(side, layer, date, opacity) {
+        const { layerSelect, opacitySlider } = LayerManager._els(side);
+        if (!layerSelect) return;
+        if (!layer) {
+            if (!AppState[`gibsLayer${side}`]) return;
+            const osm = [...layerSelect.options].find(o => o.value.startsWith('STD_OSM'));
+            if (osm) layerSelect.value = osm.value;
+            LayerManager.updateLayer(side);
+            return;
+        }
+        // Unknown layers (e.g. from a newer catalog) are added as an option rather than dropped
+        if (![...layerSelect.options].some(o => o.value === layer)) {
+            layerSelect.add(new Option(layer.split('|')[0], layer));
+        }
+        layerSelect.value = layer;
+        if (date) LayerManager.setDate(side, date, false);
+        if (opacitySlider && opacity != null && Number.isFinite(+opacity)) opacitySlider.value = opacity;
+        LayerManager.updateLayer(side);
+    }
+};
+window.Permalink = Permalink;
+
+/* =========================================================
+ * Sites (NEW): library of named monitoring locations
+ * - add / rename / tag / delete, persisted in IndexedDB ('sites' store)
+ * - each site keeps its last VI reading, bloom predictions and forecast
+ *   (recorded whenever those run at the site's location)
+ * - selecting a site moves the marker; all sites are drawn on Map A
+ * - import/export as GeoJSON or CSV
+ * Site: { id, name, lat, lng, tags: [], created, updated, results: { vi, bloom, forecast } }
+ * =======================================================*/
+const Sites = {
+    STORE: 'sites',
+    _list: [],
+    _layer: null,
+    _filter: '',
+
+    // Boot: load the library and draw it; the panel is wired lazily in init()
+    async setup() {
+        try {
+            this._list = (await Store.all(this.STORE)) || [];
+        } catch (e) {
+            console.warn('[Sites] library unavailable:', e.message);
+            this._list = [];
+        }
+        this.drawMarkers();
+        this.render();
+    },
+
+    init() {
+        this.render();
+        if (this._bound) return;
+        this._bound = true;
+        const $ = (id) => document.getElementById(id);
+        $('sites-add')?.addEventListener('click', () => this.addCurrent());
+        $('sites-filter')?.addEventListener('input', (e) => { this._filter = e.target.value.trim().toLowerCase(); this.render(); });
+        $('sites-export-geojson')?.addEventListener('click', () => this.exportGeoJSON());
+        $('sites-export-csv')?.addEventListener('click', () => this.exportCSV());
+        $('sites-file')?.addEventListener('change', async (e) => {
+            const file = e.target.files?.[0];
+            if (!file) return;
+            try {
+                const n = await this.importText(await file.text(), file.name);
+                alert(`Imported ${n} site(s).`);
+            } catch (err) {
+                alert(`Import failed: ${err.message}`);
+            }
+            e.target.value = '';
+        });
+        $('sites-list')?.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-site]');
+            if (!row) return;
+            const site = this.get(row.dataset.site);
+            const action = e.target.closest('[data-action]')?.dataset.action || 'select';
+            if (site) this[action]?.(site);
+        });
+    },
+
+    get(id) {
+        return this._list.find(s => s.id === id) || null;
+    },
+
+    // Site at (lat, lng) using the same ~100 m rounding as DataHub
+    findAt(lat, lng) {
+        const key = DataHub._key(lat, lng);
+        return this._list.find(s => DataHub._key(s.lat, s.lng) === key) || null;
+    },
+
+    async save(site) {
+        site.updated = Date.now();
+        if (!this.get(site.id)) this._list.push(site);
+        try {
+            await Store.put(this.STORE, site.id, site);
+        } catch (e) {
+            console.warn('[Sites] not saved:', e.message);
+        }
+        this.drawMarkers();
+        this.render();
+        return site;
+    },
+
+    _new(name, lat, lng, tags = []) {
+        const now = Date.now();
+        return {
+            id: `site-${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name, lat: +lat, lng: +lng, tags, created: now, updated: now, results: {}
+        };
+    },
+
+    _tags(text) {
+        return Array.from(new Set(String(text || '').split(/[,;]/).map(t => t.trim()).filter(Boolean)));
+    },
+
+    async addCurrent() {
+        const { lat, lng } = MapManager.getCurrentLocation();
+        const existing = this.findAt(lat, lng);
+        if (existing) { alert(`This location is already saved as "${existing.name}".`); return; }
+        const place = await Geo.reverseGeocode(lat, lng).catch(() => null);
+        const name = prompt('Site name:', place || `${lat.toFixed(4)}, ${lng.toFixed(4)}`);
+        if (!name) return;
+        const tags = this._tags(prompt('Tags (comma separated, optional):', '') || '');
+        const site = await this.save(this._new(name.trim(), lat, lng, tags));
+        this.labelLandCover(site);
+    },
+
+    // Store the MCD12Q1 class of a site (shown next to its name)
+    async labelLandCover(site) {
+        try {
+            const lc = await Products.landCover(site.lat, site.lng);
+            if (lc) this.record(site.lat, site.lng, 'landcover', lc);
+        } catch (e) {
+            console.warn('[Sites] land cover unavailable:', e.message);
+        }
+    },
+
+    select(site) {
+        AppState.map.setView([site.lat, site.lng], Math.max(AppState.map.getZoom(), 12));
+        MapManager.setMarker(site.lat, site.lng);
+    },
+
+    async rename(site) {
+        const name = prompt('Rename site:', site.name);
+        if (!name || name.trim() === site.name) return;
+        site.name = name.trim();
+        await this.save(site);
+    },
+
+    async tag(site) {
+        const text = prompt('Tags (comma separated):', site.tags.join(', '));
+        if (text == null) return;
+        site.tags = this._tags(text);
+        await this.save(site);
+    },
+
+    async remove(site) {
+        if (!confirm(`Delete site "${site.name}" and its saved results?`)) return;
+        this._list = this._list.filter(s => s.id !== site.id);
+        try {
+            await Store.del(this.STORE, site.id);
+        } catch (e) {
+            console.warn('[Sites] not deleted:', e.message);
+        }
+        this.drawMarkers();
+        this.render();
+    },
+
+    // Called by the product (vi | lai | lst | landcover), phenology and forecast panels after a successful run
+    record(lat, lng, kind, data) {
+        const site = this.findAt(lat, lng);
+        if (!site) return;
+        site.results = { ...site.results, [kind]: { ...data, ts: Date.now() } };
+        this.save(site);
+    },
+
+    // ---- map + list ----
+    drawMarkers() {
+        if (!AppState.map) return;
+        if (!this._layer) this._layer = L.layerGroup().addTo(AppState.map);
+        this._layer.clearLayers();
+        for (const site of this._list) {
+            L.circleMarker([site.lat, site.lng], {
+                radius: 6, color: '#f59e0b', weight: 2, fillColor: '#f59e0b', fillOpacity: 0.35
+            })
+                .bindTooltip(site.results?.landcover ? `${this._esc(site.name)} · ${this._esc(site.results.landcover.label)}` : this._esc(site.name))
+                .on('click', (e) => { L.DomEvent.stopPropagation(e); this.select(site); })
+                .addTo(this._layer);
+        }
+    },
+
+    highlight(lat, lng) {
+        const site = this.findAt(lat, lng);
+        const label = document.getElementById('sites-current');
+        if (label) label.textContent = site ? `Current site: ${site.name}` : 'Current marker is not a saved site.';
+        document.querySelectorAll('#sites-list [data-site]').forEach(el => {
+            el.classList.toggle('active', Boolean(site) && el.dataset.site === site.id);
+        });
+    },
+
+    _esc(v) {
+        return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    // One-line summaries of the stored results
+    _summary(site) {
+        const r = site.results || {};
+        const parts = [];
+        if (r.vi) parts.push(`NDVI ${Utils.fmt(r.vi.ndvi, 3)} (${r.vi.date || '—'})`);
+        if (r.lai) parts.push(`LAI ${Utils.fmt(r.lai.lai, 2)}, FPAR ${Utils.fmt(r.lai.fpar, 2)} (${r.lai.date || '—'})`);
+        if (r.lst) parts.push(`LST ${Utils.fmt(r.lst.lst_day, 1)}/${Utils.fmt(r.lst.lst_night, 1)} °C day/night (${r.lst.date || '—'})`);
+        if (r.bloom) {
+            const next = this._nextBloom(site);
+            parts.push(next ? `Bloom: ${next.name} ${next.date}` : `Bloom ${r.bloom.year}: none reached`);
+        }
+        if (r.forecast?.values?.length) {
+            const end = r.forecast.values[r.forecast.values.length - 1];
+            parts.push(`${Products.label(r.forecast.target)} forecast ${Utils.fmt(end.value, 3)} by ${end.date}`);
+        }
+        return parts.join(' · ') || 'No results yet';
+    },
+
+    // First predicted bloom from today on, else the most recent one
+    _nextBloom(site) {
+        const dated = (site.results?.bloom?.predictions || []).filter(p => p.date).sort((a, b) => (a.date < b.date ? -1 : 1));
+        const today = new Date().toISOString().slice(0, 10);
+        return dated.find(p => p.date >= today) || dated[dated.length - 1] || null;
+    },
+
+    render() {
+        const list = document.getElementById('sites-list');
+        if (!list) return;
+        const q = this._filter;
+        const items = this._list
+            .filter(s => !q || s.name.toLowerCase().includes(q) || s.tags.some(t => t.toLowerCase().includes(q)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        const stats = document.getElementById('sites-stats');
+        if (stats) stats.textContent = `${this._list.length} site(s)${q ? `, ${items.length} shown` : ''}`;
+
+        list.innerHTML = items.length ? items.map(s => `
+            <div class="site-item" data-site="${s.id}">
+                <div class="site-head">
+                    <strong>${this._esc(s.name)}</strong>
+                    <span class="coords">${s.lat.toFixed(4)}, ${s.lng.toFixed(4)}</span>
+                </div>
+                ${s.results?.landcover ? `<div class="site-lc" title="MCD12Q1 ${this._esc(s.results.landcover.year)} · IGBP class ${this._esc(s.results.landcover.code)}">${this._esc(s.results.landcover.label)}</div>` : ''}
+                ${s.tags.length ? `<div class="site-tags">${s.tags.map(t => `<span class="site-tag">${this._esc(t)}</span>`).join('')}</div>` : ''}
+                <div class="site-results">${this._esc(this._summary(s))}</div>
+                <div class="site-actions">
+                    <button class="btn" data-action="rename">Rename</button>
+                    <button class="btn" data-action="tag">Tags</button>
+                    <button class="btn" data-action="remove">Delete</button>
+                </div>
+            </div>`).join('') : '<div class="date-label">No saved sites. Place the marker and press "Save current location".</div>';
+
+        const { lat, lng } = MapManager.getCurrentLocation();
+        this.highlight(lat, lng);
+    },
+
+    // ---- import / export ----
+    _download(text, type, name) {
+        const blob = new Blob([text], { type });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = name;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    },
+
+    toGeoJSON() {
+        return {
+            type: 'FeatureCollection',
+            features: this._list.map(s => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [s.lng, s.lat] },
+                properties: { id: s.id, name: s.name, tags: s.tags, created: s.created, updated: s.updated, results: s.results }
+            }))
+        };
+    },
+
+    CSV_COLUMNS: ['name', 'lat', 'lng', 'tags', 'land_cover', 'vi_date', 'ndvi', 'evi', 'next_bloom', 'next_bloom_date', 'forecast_target', 'forecast_date', 'forecast_value', 'updated'],
+
+    toCSV() {
+        const q = (v) => {
+            const s = String(v ?? '');
+            return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        };
+        const rows = this._list.map(s => {
+            const r = s.results || {};
+            const bloom = this._nextBloom(s);
+            const fc = r.forecast?.values?.[r.forecast.values.length - 1];
+            return [
+                s.name, s.lat, s.lng, s.tags.join(';'),
+                r.landcover?.label,
+                r.vi?.date, r.vi?.ndvi, r.vi?.evi,
+                bloom?.name, bloom?.date,
+                r.forecast?.target, fc?.date, fc?.value,
+                new Date(s.updated).toISOString()
+            ].map(q).join(',');
+        });
+        return [this.CSV_COLUMNS.join(','), ...rows].join('\n');
+    },
+
+    exportGeoJSON() {
+        this._download(JSON.stringify(this.toGeoJSON(), null, 2), 'application/geo+json', `floracast-sites-${new Date().toISOString().slice(0, 10)}.geojson`);
+    },
+
+    exportCSV() {
+        this._download(this.toCSV(), 'text/csv', `floracast-sites-${new Date().toISOString().slice(0, 10)}.csv`);
+    },
+
+    // GeoJSON (Point features) or CSV with name/lat/lng[/tags] columns.
+    // Locations already in the library keep their results; names and tags are merged.
+    async importText(text, filename = '') {
+        const trimmed = text.trim();
+        const incoming = (/\.(geo)?json$/i.test(filename) || trimmed.startsWith('{'))
+            ? this._fromGeoJSON(JSON.parse(trimmed))
+            : this._fromCSV(trimmed);
+        if (!incoming.length) throw new Error('No point locations found');
+
+        for (const item of incoming) {
+            const existing = this.findAt(item.lat, item.lng);
+            if (existing) {
+                existing.tags = Array.from(new Set([...existing.tags, ...item.tags]));
+                if (item.name) existing.name = item.name;
+                await this.save(existing);
+            } else {
+                const site = this._new(item.name || `${item.lat.toFixed(4)}, ${item.lng.toFixed(4)}`, item.lat, item.lng, item.tags);
+                if (item.results) site.results = item.results;
+                await this.save(site);
+            }
+        }
+        return incoming.length;
+    },
+
+    _fromGeoJSON(gj) {
+        const features = gj?.type === 'FeatureCollection' ? gj.features : (gj?.type === 'Feature' ? [gj] : []);
+        return (features || [])
+            .filter(f => f?.geometry?.type === 'Point' && Array.isArray(f.geometry.coordinates))
+            .map(f => {
+                const [lng, lat] = f.geometry.coordinates.map(Number);
+                const p = f.properties || {};
+                return {
+                    name: String(p.name || p.title || p.Name || '').trim(),
+                    lat, lng,
+                    tags: Array.isArray(p.tags) ? p.tags.map(String) : this._tags(p.tags),
+                    results: this._cleanResults(p.results)
+                };
+            })
+            .filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lng) && Math.abs(s.lat) <= 90 && Math.abs(s.lng) <= 180);
+    },
+
+    // Imported results are untrusted: keep only the kinds record() writes, in the
+    // shapes _summary() and toCSV() read; anything else is dropped
+    _cleanResults(raw) {
+        const flat = (o) => (o && typeof o === 'object' && !Array.isArray(o)
+            ? Object.fromEntries(Object.entries(o).filter(([, v]) => v === null || typeof v === 'string' || typeof v === 'boolean' || Number.isFinite(v)))
+            : null);
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+        const r = raw;
+        const out = {};
+        for (const kind of ['vi', 'lai', 'lst']) {
+            const res = flat(r[kind]);
+            if (res) out[kind] = res;
+        }
+        const lc = flat(r.landcover);
+        if (typeof lc?.label === 'string') out.landcover = lc;
+
+        const bloom = flat(r.bloom);
+        if (bloom && Array.isArray(r.bloom.predictions)) {
+            const predictions = r.bloom.predictions.map(flat)
+                .filter(p => typeof p?.name === 'string' && (p.date == null || typeof p.date === 'string'));
+            out.bloom = { ...bloom, predictions };
+        }
+
+        const fc = flat(r.forecast);
+        const values = Array.isArray(r.forecast?.values)
+            ? r.forecast.values.map(flat).filter(v => typeof v?.date === 'string' && Number.isFinite(v.value))
+            : [];
+        if (typeof fc?.target === 'string' && values.length) {
+            const observed = flat(r.forecast.observed);
+            out.forecast = { ...fc, ...(observed ? { observed } : {}), values };
+        }
+        return Object.keys(out).length ? out : null;
+    },
+
+    _fromCSV(text) {
+        const rows = this._parseCSV(text);
+        if (rows.length < 2) return [];
+        const head = rows[0].map(h => h.trim().toLowerCase());
+        const col = (...names) => head.findIndex(h => names.includes(h));
+        const iName = col('name', 'site', 'title');
+        const iLat = col('lat', 'latitude', 'y');
+        const iLng = col('lng', 'lon', 'long', 'longitude', 'x');
+        const iTags = col('tags', 'tag');
+        if (iLat < 0 || iLng < 0) throw new Error('CSV needs lat and lng (or latitude/longitude) columns');
+        return rows.slice(1)
+            .map(r => ({
+                name: iName >= 0 ? (r[iName] || '').trim() : '',
+                lat: parseFloat(r[iLat]),
+                lng: parseFloat(r[iLng]),
+                tags: iTags >= 0 ? this._tags(r[iTags]) : []
+            }))
+            .filter(s => Number.isFinite(s.lat) && Number.isFinite(s.lng) && Math.abs(s.lat) <= 90 && Math.abs(s.lng) <= 180);
+    },
+
+    // Minimal RFC 4180 reader (quoted fields, doubled quotes, CRLF)
+    _parseCSV(text) {
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else field += c;
+            } else if (c === '"') {
+                quoted = true;
+            } else if (c === ',') {
+                row.push(field); field = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(field); field = '';
+                if (row.some(v => v !== '')) rows.push(row);
+                row = [];
+            } else {
+                field += c;
+            }
+        }
+        row.push(field);
+        if (row.some(v => v !== '')) rows.push(row);
+        return rows;
+    }
+};
+window.Sites = Sites;
+
+/* =========================================================
+ * GeoSearch (NEW): header search box
+ * - typed coordinates (decimal / DMS, either order) jump straight to the point
+ * - anything else is geocoded (debounced) via Geo.search; suggestions are listed
+ *   under the box and shown as markers on Map A
+ * - picking a result sets the marker and flies there
+ * =======================================================*/
+const GeoSearch = {
+    _timer: null,
+    _seq: 0,
+    _results: [],
+    _active: -1,
+    _layer: null,
+
+    init() {
+        if (this._bound) return;
+        this._bound = true;
+        this.input = document.getElementById('geo-search');
+        this.list = document.getElementById('geo-results');
+        if (!this.input || !this.list) return;
+
+        this.input.addEventListener('input', () => this.schedule());
+        this.input.addEventListener('keydown', (e) => this.onKey(e));
+        this.list.addEventListener('mousedown', (e) => {
+            const li = e.target.closest('li[data-i]');
+            if (!li) return;
+            e.preventDefault(); // keep focus so blur does not close the list first
+            this.pick(+li.dataset.i);
+        });
+        this.input.addEventListener('blur', () => setTimeout(() => this.hideList(), 150));
+    },
+
+    schedule() {
+        clearTimeout(this._timer);
+        const q = this.input.value.trim();
+        const coords = Geo.parseCoordinates(q);
+        if (coords) {
+            this._seq++;
+            this.show([{ name: `Go to ${coords.lat.toFixed(5)}, ${coords.lng.toFixed(5)}`, ...coords, type: 'coordinates', bbox: null }], false);
+            return;
+        }
+        if (q.length < CONFIG.GEOCODER.MIN_CHARS) { this._seq++; this.clear(); return; }
+        this._timer = setTimeout(() => this.search(q), CONFIG.GEOCODER.DEBOUNCE_MS);
+    },
+
+    async search(q) {
+        const seq = ++this._seq;
+        this.showMessage('Searching…');
+        try {
+            const results = await Geo.search(q);
+            if (seq !== this._seq) return; // a newer query superseded this one
+            if (!results.length) { this.clear(); this.showMessage('No places found.'); return; }
+            this.show(results, true);
+        } catch (e) {
+            if (seq !== this._seq) return;
+            console.warn('[GeoSearch] search failed:', e.message);
+            this.clear();
+            this.showMessage('Search unavailable.');
+        }
+    },
+
+    onKey(e) {
+        const n = this._results.length;
+        if (e.key === 'ArrowDown' && n) { e.preventDefault(); this.setActive((this._active + 1) % n); }
+        else if (e.key === 'ArrowUp' && n) { e.preventDefault(); this.setActive((this._active - 1 + n) % n); }
+        else if (e.key === 'Escape') { this.clear(); this.input.blur(); }
+        else if (e.key === 'Enter') {
+            e.preventDefault();
+            clearTimeout(this._timer);
+            if (n) this.pick(Math.max(this._active, 0));
+            else if (this.input.value.trim()) this.search(this.input.value.trim());
+        }
+    },
+
+    setActive(i) {
+        this._active = i;
+        this.list.querySelectorAll('li[data-i]').forEach(li => li.classList.toggle('active', +li.dataset.i === i));
+    },
+
+    // ---- rendering ----
+    show(results, onMap) {
+        this._results = results;
+        this._active = -1;
+        this.list.innerHTML = results.map((r, i) =>
+            `<li data-i="${i}">${this._esc(r.name)}${r.type ? `<span class="geo-type">${this._esc(r.type)}</span>` : ''}</li>`
+        ).join('');
+        this.list.classList.remove('hidden');
+        this.drawMarkers(onMap ? results : []);
+    },
+
+    showMessage(text) {
+        this.list.innerHTML = `<li class="geo-empty">${this._esc(text)}</li>`;
+        this.list.classList.remove('hidden');
+    },
+
+    _esc(v) {
+        return String(v ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    hideList() {
+        this.list?.classList.add('hidden');
+    },
+
+    clear() {
+        this._results = [];
+        this._active = -1;
+        if (this.list) this.list.innerHTML = '';
+        this.hideList();
+        this.drawMarkers([]);
+    },
+
+    drawMarkers(results) {
+        const map = AppState.map;
+        if (this._layer) { map.removeLayer(this._layer); this._layer = null; }
+        if (!results.length) return;
+        this._layer = L.layerGroup(results.map((r, i) =>
+            L.circleMarker([r.lat, r.lng], { radius: 7, color: '#f59e0b', weight: 2, fillOpacity: 0.6 })
+                .bindTooltip(this._esc(r.name))
+                .on('click', (e) => { L.DomEvent.stopPropagation(e); this.pick(i); })
+        )).addTo(map);
+        if (results.length > 1) {
+            map.fitBounds(L.latLngBounds(results.map(r => [r.lat, r.lng])), { padding: [40, 40], maxZoom: 12 });
+        }
+    },
+
+    pick(i) {
+        const r = this._results[i];
+        if (!r) return;
+        this.clear();
+        this.input.value = r.type === 'coordinates' ? `${r.lat.toFixed(5)}, ${r.lng.toFixed(5)}` : r.name;
+        MapManager.setMarker(r.lat, r.lng);
+        const [south, north, west, east] = r.bbox || [];
+        if ([south, north, west, east].every(Number.isFinite) && (north - south > 1e-4 || east - west > 1e-4)) {
+            AppState.map.flyToBounds([[south, west], [north, east]], { maxZoom: 14 });
+        } else {
+            AppState.map.flyTo([r.lat, r.lng], Math.max(AppState.map.getZoom(), 12));
+        }
+    }
+};
+window.GeoSearch = GeoSearch;
+
 /* =========================================================
  * Bootstrap
  * =======================================================*/
 window.addEventListener('DOMContentLoaded', () => {
     UIManager.init();
     MapManager.init();
+    CompareMode.init();
+    ViQuality.init();
+    Fixtures.showBadge();
+    Permalink.init();
+    Sites.setup();
+    GeoSearch.init();
 });
@@ -23,8 +23,8 @@
       const epochs = Math.max(20, Math.min(1000, parseInt(document.getElementById('fc-epochs')?.value || '120')));
       const lr     = Math.max(0.001, Math.min(0.1, parseFloat(document.getElementById('fc-lr')?.value || '0.01')));
 
-      if (!global.MapManager || !global.VegetationManager) {
-        alert('Forecast requires MapManager and VegetationManager.');
+      if (!global.MapManager || !global.Power || !global.RstSeries || !global.ViQuality || !global.Products) {
+        alert('Forecast requires MapManager, Power, RstSeries, ViQuality and Products.');
         return;
       }
 
@@ -33,7 +33,8 @@
 
       try {
         // 1) 历史 NDVI/EVI（~N 年的 16-day composites）
-        const viSeries = await this._fetchVISeries(product, target, lat, lng, years);
+        const onProgress = (done, total) => { stats.textContent = `Fetching history… ${done}/${total} batches`; };
+        const viSeries = await this._fetchVISeries(product, target, lat, lng, years, onProgress);
         if (!viSeries.length) {
           stats.textContent = 'No VI history for this point.';
           return;
@@ -78,55 +79,24 @@
 
     // ---------- data fetching ----------
 
-    async _fetchVISeries(product, viType, lat, lng, years) {
-      // 获取日期列表（按产品/点位）
-      const datesJson = await VegetationManager.fetchDates(product, lat, lng);
-      const entries = (datesJson?.dates || []).slice(-Math.ceil((365/16)*years)); // 估算 N 年
-      const series = [];
-
-      for (const d of entries) {
-        const md = d?.modis_date || d; // 'YYYY-DOY' 或 'YYYY-MM-DD'
-        try {
-          const subset = await VegetationManager.fetchSubset(product, lat, lng, md, md);
-          const bands = subset?.subset || [];
-          const match = bands.find(b => (b.band || '').toLowerCase().includes(viType));
-          const raw = Array.isArray(match?.data) ? match.data[0] : match?.data;
-          const val = raw == null || raw <= -9000 ? null : Number(raw) * 0.0001;
-          const iso = this._toISO(md);
-          if (val != null && iso) series.push({ date: iso, value: val });
-        } catch (_) { /* skip */ }
-      }
-      series.sort((a,b)=> (a.date < b.date ? -1 : 1));
-      return series;
+    async _fetchVISeries(product, viType, lat, lng, years, onProgress) {
+      // 批量窗口获取（RstSeries，见 app.js）
+      const rows = await global.RstSeries.fetchYears(product, lat, lng, { years, onProgress });
+      return rows
+        .filter(r => r.values[viType] != null && r.date && global.ViQuality.usable(global.Products.qaFor(r.qa, viType)))
+        .map(r => ({ date: r.date, value: r.values[viType], qa: r.qa }));
     },
 
     async _fetchWeatherByDate(viSeries, lat, lng) {
       if (!viSeries.length) return {};
-      const start = viSeries[0].date.replace(/-/g,'');
-      const end   = viSeries[viSeries.length-1].date.replace(/-/g,'');
-
-      const url = new URL('https://power.larc.nasa.gov/api/temporal/daily/point');
-      url.search = new URLSearchParams({
-        parameters: 'T2M,PRECTOTCORR',
-        community: 'AG',
-        longitude: String(lng),
-        latitude: String(lat),
-        start: start,
-        end: end,
-        format: 'JSON'
-      }).toString();
-
-      const r = await fetch(url);
-      if (!r.ok) throw new Error(`POWER error ${r.status}`);
-      const data = await r.json();
-      const T = data?.properties?.parameter?.T2M || {};
-      const P = data?.properties?.parameter?.PRECTOTCORR || {};
-
-      const get = (obj, ymd) => {
-        const v = obj?.[ymd];
-        const n = Number(v);
-        return Number.isFinite(n) && n > -900 ? n : null;
-      };
+      const start = viSeries[0].date;
+      const end   = viSeries[viSeries.length-1].date;
+
+      // Shared POWER client from app.js (chunking, fill handling)
+      const daily = await global.Power.daily(lat, lng, start, end, ['T2M', 'PRECTOTCORR']);
+      const T = global.Power.lookup(daily, 'T2M');
+      const P = global.Power.lookup(daily, 'PRECTOTCORR');
+      const get = (obj, ymd) => obj[ymd] ?? null;
 
       const wx = {};
       for (const { date } of viSeries) {
@@ -27,6 +27,8 @@
   const $ = (id) => document.getElementById(id);
   const iso = (d)=>`${d.getUTCFullYear()}-${String(d.getUTCMonth()+1).padStart(2,'0')}-${String(d.getUTCDate()).padStart(2,'0')}`;
   const normalizeFormat = (v) => (typeof v === 'string' && v.startsWith('image/')) ? v : 'image/png';
+  // Go through the app's shared request layer (cache/backoff) when present
+  const http = (url) => (window.Http ? window.Http.fetch(url) : fetch(url));
 
   function getMap(side) {
     const AS = window.AppState || {};
@@ -144,7 +146,7 @@
   // ---- Capabilities: get latest TIME ----
   async function getLastWMSTime(baseUrl, layerName) {
     try {
-      const txt = await fetch(`${baseUrl}?service=WMS&request=GetCapabilities&version=1.3.0`).then(r=>r.text());
+      const txt = await http(`${baseUrl}?service=WMS&request=GetCapabilities&version=1.3.0`).then(r=>r.text());
       const xml = new DOMParser().parseFromString(txt, 'text/xml');
       const target = Array.from(xml.getElementsByTagName('Layer'))
         .find(n => n.getElementsByTagName('Name')[0]?.textContent === layerName);
@@ -190,7 +192,7 @@
         width:'64', height:'64', time:t
       });
       try {
-        const r = await fetch(`${base}?${qs}`);
+        const r = await http(`${base}?${qs}`);
         if (r.ok && (r.headers.get('content-type')||'').startsWith('image/')) return t;
       } catch {}
     }
@@ -0,0 +1,127 @@
+/* =========================================================
+ * FloraCast AI proxy — keeps the model API key server-side
+ * Forwards POST /v1/chat/completions to an OpenAI-compatible upstream,
+ * adding the Authorization header. Streaming responses are piped through.
+ *
+ * Usage (Node 18+, no dependencies):
+ *   OPENAI_API_KEY=sk-... node server/ai-proxy.js
+ * Env:
+ *   PORT            (default 8787)
+ *   UPSTREAM_BASE   (default https://api.openai.com/v1)
+ *   ALLOWED_ORIGIN  comma-separated origins the app is served from, e.g.
+ *                   http://localhost:8000. Unset means no CORS header, so
+ *                   only same-origin pages can use the proxy. "*" is refused
+ *                   unless ALLOW_ANY_ORIGIN=1 is also set.
+ * Then point the AI panel endpoint at http://localhost:8787/v1
+ * =======================================================*/
+'use strict';
+
+const http = require('http');
+const { Readable } = require('stream');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const UPSTREAM = (process.env.UPSTREAM_BASE || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const API_KEY = process.env.OPENAI_API_KEY || '';
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || '')
+  .split(',').map((o) => o.trim().replace(/\/+$/, '')).filter(Boolean);
+const ANY_ORIGIN = ALLOWED_ORIGINS.includes('*');
+const MAX_BODY = 1024 * 1024; // 1 MB of chat history is plenty
+
+// A wildcard lets any web page spend the key, so it takes a second opt-in
+if (ANY_ORIGIN && process.env.ALLOW_ANY_ORIGIN !== '1') {
+  console.error('[ai-proxy] ALLOWED_ORIGIN=* exposes the API key to every website; ' +
+    'set ALLOWED_ORIGIN to the app origin, or ALLOW_ANY_ORIGIN=1 to accept that.');
+  process.exit(1);
+}
+
+function originAllowed(origin) {
+  return ANY_ORIGIN || ALLOWED_ORIGINS.includes(origin);
+}
+
+// Echo only a whitelisted Origin; anything else gets no CORS header at all
+function cors(req, res) {
+  const origin = req.headers.origin;
+  res.setHeader('Vary', 'Origin');
+  if (!origin || !originAllowed(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', ANY_ORIGIN ? '*' : origin);
+  res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+}
+
+function send(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY) { reject(new Error('Request body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  cors(req, res);
+  if (req.method === 'OPTIONS') { res.writeHead(204); res.end(); return; }
+
+  // Simple (non-preflighted) cross-site POSTs would still reach upstream and
+  // bill the key even though the page cannot read the reply — refuse them here.
+  // Same-origin requests and non-browser clients send no foreign Origin.
+  const origin = req.headers.origin;
+  if (origin && !originAllowed(origin) && origin !== `http://${req.headers.host}`) {
+    send(res, 403, { error: 'Origin not allowed' });
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/health') {
+    send(res, 200, { ok: true, upstream: UPSTREAM, key: Boolean(API_KEY) });
+    return;
+  }
+
+  // Only the chat endpoint is forwarded; this is not a general-purpose proxy
+  if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+  if (!API_KEY) {
+    send(res, 500, { error: 'OPENAI_API_KEY is not set on the proxy' });
+    return;
+  }
+
+  try {
+    const body = await readBody(req);
+    const ctrl = new AbortController();
+    res.on('close', () => ctrl.abort()); // client pressed stop / closed the tab
+
+    const upstream = await fetch(`${UPSTREAM}/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
+      body,
+      signal: ctrl.signal
+    });
+
+    res.writeHead(upstream.status, {
+      'Content-Type': upstream.headers.get('content-type') || 'application/json',
+      'Cache-Control': 'no-cache'
+    });
+    if (upstream.body) Readable.fromWeb(upstream.body).pipe(res);
+    else res.end();
+  } catch (e) {
+    if (e.name === 'AbortError') return;
+    console.error('[ai-proxy]', e.message);
+    if (!res.headersSent) send(res, 502, { error: e.message });
+    else res.end();
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[ai-proxy] listening on http://localhost:${PORT}/v1 -> ${UPSTREAM}${API_KEY ? '' : ' (no key set!)'}`);
+  console.log(`[ai-proxy] allowed origins: ${ALLOWED_ORIGINS.length ? ALLOWED_ORIGINS.join(', ') : '(same-origin only)'}`);
+});